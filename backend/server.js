@@ -5,16 +5,43 @@
 
 import express from 'express';
 import cors from 'cors';
-import { parseSurvey, CORE_FIELDS, EXPECTED_FIELDS } from './services/surveyParser.js';
-import { extractFactors } from './services/factorExtractor.js';
+import multer from 'multer';
+import { parseSurvey, parseCsvSurvey, CORE_FIELDS, EXPECTED_FIELDS, CLINICAL_FIELDS, MEASUREMENT_FIELDS } from './services/surveyParser.js';
+import { extractFactors, RULE_SET } from './services/factorExtractor.js';
 import { classifyRisk } from './services/riskClassifier.js';
+import { getScoringModel, MODEL_SET } from './services/scoringModels.js';
 import { generateRecommendations } from './services/recommendationEngine.js';
-import { checkProfileCompleteness, validateInput, validateAnswerRanges, validateOcrText } from './services/guardrails.js';
+import { checkProfileCompleteness, validateInput, validateAnswerRanges, validateOcrText, validateSubjectId } from './services/guardrails.js';
 import { validateSchema, SCHEMAS, createErrorResponse, createSuccessResponse } from './services/schemaValidator.js';
-import { runAnalysisPipeline, runPipelineStep } from './services/pipeline.js';
+import { runAnalysisPipeline, runBatchPipeline, runPipelineStep } from './services/pipeline.js';
+import { computeClinicalScores, getClinicalScoreModules } from './services/clinicalScores.js';
+import { getNextQuestions } from './services/followUpQuestions.js';
+import { runWhatIfSimulation } from './services/simulator.js';
+import { resolveLocale, SUPPORTED_LOCALES, PARSER_LOCALES } from './services/parserLocales.js';
+import { resolveLanguage, SUPPORTED_LANGUAGES } from './services/messageCatalog.js';
+import { assessmentStore } from './services/assessmentStore.js';
+import { analyzeTrends } from './services/trendAnalyzer.js';
+import { generatePdfReport } from './services/reportGenerator.js';
+import { validateQuestionnaireResponse, mapQuestionnaireResponse, buildFhirBundle } from './services/fhirMapper.js';
+import { recognizeImage, detectImageType, SUPPORTED_IMAGE_TYPES } from './services/ocrService.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const BATCH_MAX_SIZE = parseInt(process.env.BATCH_MAX_SIZE, 10) || 500;
+const MAX_SCENARIOS = 20;
+const OCR_MAX_UPLOAD_BYTES = parseInt(process.env.OCR_MAX_UPLOAD_BYTES, 10) || 10 * 1024 * 1024;
+
+// Survey images are kept in memory only and never written to disk
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: OCR_MAX_UPLOAD_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!SUPPORTED_IMAGE_TYPES.includes(file.mimetype)) {
+            return cb(new Error(`Unsupported image type "${file.mimetype}". Supported: ${SUPPORTED_IMAGE_TYPES.join(', ')}`));
+        }
+        cb(null, true);
+    }
+});
 
 // CORS configuration for production and development
 const corsOptions = {
@@ -26,7 +53,7 @@ const corsOptions = {
 
 // Middleware
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/fhir+json'] }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -49,7 +76,7 @@ app.get('/api/health', (req, res) => {
         status: 'ok',
         timestamp: new Date().toISOString(),
         version: '1.1.0',
-        features: ['schema_validation', 'pipeline_processing', 'ocr_support', 'guardrails']
+        features: ['schema_validation', 'pipeline_processing', 'ocr_support', 'guardrails', 'batch_analysis', 'what_if_simulation', 'assessment_history', 'pdf_reports', 'fhir', 'multilingual_parsing', 'localized_output', 'server_ocr', 'clinical_scores', 'versioned_scoring', 'follow_up_questions']
     });
 });
 
@@ -57,13 +84,25 @@ app.get('/api/health', (req, res) => {
  * Main analysis endpoint - uses the full pipeline
  */
 app.post('/api/analyze', asyncHandler(async (req, res) => {
-    const { input, isOcr = false, options = {} } = req.body;
+    const { input, isOcr = false, options = {}, subjectId } = req.body;
+
+    // Results are stored in the subject's history when a subject ID is given
+    if (subjectId !== undefined) {
+        const subjectValidation = validateSubjectId(subjectId);
+        if (!subjectValidation.isValid) {
+            return res.status(400).json(createErrorResponse(subjectValidation.status, subjectValidation.reason));
+        }
+    }
 
     // Run the full pipeline
     const pipelineResult = await runAnalysisPipeline(input, {
         isOcr,
         validateSchemas: options.validateSchemas !== false,
-        stopOnWarning: options.stopOnWarning || false
+        stopOnWarning: options.stopOnWarning || false,
+        locale: options.locale,
+        language: options.language,
+        ocrLines: options.ocrLines,
+        modelVersion: options.modelVersion
     });
 
     if (!pipelineResult.success) {
@@ -71,9 +110,180 @@ app.post('/api/analyze', asyncHandler(async (req, res) => {
         return res.status(statusCode).json(pipelineResult.error);
     }
 
+    if (subjectId !== undefined) {
+        const record = await assessmentStore.save(subjectId, pipelineResult.data);
+        return res.json({
+            ...pipelineResult.data,
+            subject_id: subjectId,
+            assessment_id: record.id
+        });
+    }
+
     res.json(pipelineResult.data);
 }));
 
+// Accept a single survey image in the "image" field, reporting upload problems as 400s
+const receiveSurveyImage = (req, res, next) => {
+    imageUpload.single('image')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json(createErrorResponse('invalid_upload', err.message));
+        }
+        if (!req.file) {
+            return res.status(400).json(createErrorResponse('invalid_upload', 'An image file is required in the "image" field'));
+        }
+        // The declared type is only the client's claim; Tesseract needs bytes it can actually decode
+        if (!detectImageType(req.file.buffer)) {
+            return res.status(400).json(createErrorResponse('invalid_upload', `The uploaded file is not a readable image. Supported: ${SUPPORTED_IMAGE_TYPES.join(', ')}`));
+        }
+        next();
+    });
+};
+
+/**
+ * Server-side OCR endpoint - recognizes a scanned survey image and analyzes the text
+ * Multipart fields: image (file), locale, language, modelVersion, subjectId
+ */
+app.post('/api/analyze/image', receiveSurveyImage, asyncHandler(async (req, res) => {
+    const { locale, language, modelVersion, subjectId } = req.body;
+
+    if (locale !== undefined && !resolveLocale(locale)) {
+        return res.status(400).json(createErrorResponse('invalid_input', `Unsupported locale: ${locale}`));
+    }
+
+    // Checked before OCR, the slow step, rather than left to the pipeline afterwards
+    if (language !== undefined && !resolveLanguage(language)) {
+        return res.status(400).json(createErrorResponse('invalid_input', `Unsupported language: ${language}`));
+    }
+
+    if (!getScoringModel(modelVersion)) {
+        return res.status(400).json(createErrorResponse('invalid_input', `Unknown scoring model version: ${modelVersion}`));
+    }
+
+    if (subjectId !== undefined) {
+        const subjectValidation = validateSubjectId(subjectId);
+        if (!subjectValidation.isValid) {
+            return res.status(400).json(createErrorResponse(subjectValidation.status, subjectValidation.reason));
+        }
+    }
+
+    let ocr;
+    try {
+        ocr = await recognizeImage(req.file.buffer, { locale: resolveLocale(locale) });
+    } catch (error) {
+        return res.status(400).json(createErrorResponse('invalid_ocr', `Unable to read the image: ${error.message || error}`));
+    }
+
+    const ocrValidation = validateOcrText(ocr.text);
+    if (!ocrValidation.isValid) {
+        return res.status(400).json(createErrorResponse('invalid_ocr', ocrValidation.reason, { ocr }));
+    }
+
+    const pipelineResult = await runAnalysisPipeline(ocr.text, {
+        isOcr: true,
+        validateSchemas: true,
+        locale,
+        language,
+        ocrLines: ocr.lines,
+        modelVersion
+    });
+
+    if (!pipelineResult.success) {
+        const statusCode = pipelineResult.error?.status === 'invalid_input' ? 400 : 200;
+        return res.status(statusCode).json({ ...pipelineResult.error, ocr });
+    }
+
+    if (subjectId !== undefined) {
+        const record = await assessmentStore.save(subjectId, pipelineResult.data);
+        return res.json({
+            ...pipelineResult.data,
+            ocr,
+            subject_id: subjectId,
+            assessment_id: record.id
+        });
+    }
+
+    res.json({ ...pipelineResult.data, ocr });
+}));
+
+/**
+ * Batch analysis endpoint - runs the pipeline for each survey in order
+ * Individual failures are reported per entry instead of failing the batch
+ */
+app.post('/api/analyze/batch', asyncHandler(async (req, res) => {
+    const { surveys, options = {} } = req.body;
+
+    if (!Array.isArray(surveys) || surveys.length === 0) {
+        return res.status(400).json(createErrorResponse('invalid_input', 'surveys must be a non-empty array'));
+    }
+
+    if (surveys.length > BATCH_MAX_SIZE) {
+        return res.status(400).json(createErrorResponse(
+            'batch_too_large',
+            `Batch contains ${surveys.length} surveys; maximum is ${BATCH_MAX_SIZE}`
+        ));
+    }
+
+    if (!getScoringModel(options.modelVersion)) {
+        return res.status(400).json(createErrorResponse('invalid_input', `Unknown scoring model version: ${options.modelVersion}`));
+    }
+
+    const batchResult = await runBatchPipeline(surveys, {
+        isOcr: options.isOcr || false,
+        validateSchemas: options.validateSchemas !== false,
+        stopOnWarning: options.stopOnWarning || false,
+        locale: options.locale,
+        language: options.language,
+        modelVersion: options.modelVersion
+    });
+
+    res.json(createSuccessResponse(batchResult));
+}));
+
+/**
+ * What-if simulator - re-scores a baseline survey under hypothetical overrides
+ */
+app.post('/api/simulate', asyncHandler(async (req, res) => {
+    const { input, isOcr = false, scenarios, locale, language, modelVersion } = req.body;
+
+    if (!Array.isArray(scenarios) || scenarios.length === 0) {
+        return res.status(400).json(createErrorResponse('invalid_input', 'scenarios must be a non-empty array'));
+    }
+
+    if (scenarios.length > MAX_SCENARIOS) {
+        return res.status(400).json(createErrorResponse(
+            'invalid_input',
+            `At most ${MAX_SCENARIOS} scenarios can be simulated per request`
+        ));
+    }
+
+    if (scenarios.some(s => !s || typeof s.overrides !== 'object' || Array.isArray(s.overrides))) {
+        return res.status(400).json(createErrorResponse('invalid_input', 'each scenario must have an overrides object'));
+    }
+
+    if (locale !== undefined && !resolveLocale(locale)) {
+        return res.status(400).json(createErrorResponse('invalid_input', `Unsupported locale: ${locale}`));
+    }
+
+    if (language !== undefined && !resolveLanguage(language)) {
+        return res.status(400).json(createErrorResponse('invalid_input', `Unsupported language: ${language}`));
+    }
+
+    if (!getScoringModel(modelVersion)) {
+        return res.status(400).json(createErrorResponse('invalid_input', `Unknown scoring model version: ${modelVersion}`));
+    }
+
+    const simulation = runWhatIfSimulation(input, scenarios, {
+        isOcr, locale, language: resolveLanguage(language) || undefined, modelVersion
+    });
+
+    if (!simulation.success) {
+        const statusCode = simulation.error.status === 'invalid_input' ? 400 : 200;
+        return res.status(statusCode).json(simulation.error);
+    }
+
+    res.json(createSuccessResponse(simulation.data));
+}));
+
 /**
  * Legacy analysis endpoint (for backwards compatibility)
  */
@@ -121,7 +331,7 @@ app.post('/api/analyze/legacy', asyncHandler(async (req, res) => {
     const factorResult = extractFactors(answers);
 
     // Step 3: Classify Risk
-    const riskResult = classifyRisk(factorResult.factors, answers);
+    const riskResult = classifyRisk(factorResult.factors, answers, { protectiveFactors: factorResult.protective_factors });
 
     // Step 4: Generate Recommendations
     const recResult = generateRecommendations(factorResult.factors, riskResult.risk_level);
@@ -130,13 +340,17 @@ app.post('/api/analyze/legacy', asyncHandler(async (req, res) => {
     const response = createSuccessResponse({
         answers,
         missing_fields: parseResult.missing_fields,
+        ambiguities: parseResult.ambiguities,
         parse_confidence: parseResult.confidence,
         corrections: rangeValidation.corrections,
         factors: factorResult.factors,
+        protective_factors: factorResult.protective_factors,
         factor_confidence: factorResult.confidence,
         risk_level: riskResult.risk_level,
         score: riskResult.score,
         rationale: riskResult.rationale,
+        strengths: riskResult.strengths,
+        score_breakdown: riskResult.score_breakdown,
         recommendations: recResult.recommendations,
         detailed_recommendations: recResult.detailed_recommendations,
         warnings: completenessCheck.warnings || []
@@ -151,7 +365,7 @@ app.post('/api/analyze/legacy', asyncHandler(async (req, res) => {
 
 // Step 1: Parse only
 app.post('/api/analyze/parse', asyncHandler(async (req, res) => {
-    const { input, isOcr = false } = req.body;
+    const { input, isOcr = false, locale, ocrLines } = req.body;
 
     const inputValidation = validateInput(input);
     if (!inputValidation.isValid) {
@@ -166,7 +380,11 @@ app.post('/api/analyze/parse', asyncHandler(async (req, res) => {
         }
     }
 
-    const result = parseSurvey(input, isOcr);
+    if (locale !== undefined && !resolveLocale(locale)) {
+        return res.status(400).json(createErrorResponse('invalid_input', `Unsupported locale: ${locale}`));
+    }
+
+    const result = parseSurvey(input, isOcr, { locale, ocrLines });
 
     // Validate schema
     const schemaValidation = validateSchema(result, SCHEMAS.parseResponse);
@@ -178,6 +396,29 @@ app.post('/api/analyze/parse', asyncHandler(async (req, res) => {
     });
 }));
 
+// Step 1 (CSV): Parse a CSV export, one result per row
+app.post('/api/analyze/parse/csv', asyncHandler(async (req, res) => {
+    const { input, headerAliases = {}, delimiter, locale } = req.body;
+
+    if (typeof input !== 'string' || input.trim().length === 0) {
+        return res.status(400).json(createErrorResponse('invalid_input', 'input must be a non-empty CSV string'));
+    }
+
+    if (locale !== undefined && !resolveLocale(locale)) {
+        return res.status(400).json(createErrorResponse('invalid_input', `Unsupported locale: ${locale}`));
+    }
+
+    const result = parseCsvSurvey(input, { headerAliases, delimiter, locale });
+
+    if (result.error) {
+        return res.status(400).json(createErrorResponse('invalid_csv', result.error, {
+            unmapped_headers: result.unmapped_headers
+        }));
+    }
+
+    res.json(createSuccessResponse(result));
+}));
+
 // Step 2: Extract factors
 app.post('/api/analyze/factors', asyncHandler(async (req, res) => {
     const { answers } = req.body;
@@ -199,13 +440,27 @@ app.post('/api/analyze/factors', asyncHandler(async (req, res) => {
 
 // Step 3: Classify risk
 app.post('/api/analyze/risk', asyncHandler(async (req, res) => {
-    const { factors, answers } = req.body;
+    const { factors, protectiveFactors, answers, language, modelVersion } = req.body;
 
     if (!Array.isArray(factors)) {
         return res.status(400).json(createErrorResponse('invalid_input', 'factors must be an array'));
     }
 
-    const result = classifyRisk(factors, answers || {});
+    if (protectiveFactors !== undefined && !Array.isArray(protectiveFactors)) {
+        return res.status(400).json(createErrorResponse('invalid_input', 'protectiveFactors must be an array'));
+    }
+
+    if (language !== undefined && !resolveLanguage(language)) {
+        return res.status(400).json(createErrorResponse('invalid_input', `Unsupported language: ${language}`));
+    }
+
+    if (!getScoringModel(modelVersion)) {
+        return res.status(400).json(createErrorResponse('invalid_input', `Unknown scoring model version: ${modelVersion}`));
+    }
+
+    const result = classifyRisk(factors, answers || {}, {
+        language: resolveLanguage(language) || undefined, modelVersion, protectiveFactors
+    });
 
     const schemaValidation = validateSchema(result, SCHEMAS.riskResponse);
 
@@ -218,13 +473,17 @@ app.post('/api/analyze/risk', asyncHandler(async (req, res) => {
 
 // Step 4: Get recommendations
 app.post('/api/analyze/recommendations', asyncHandler(async (req, res) => {
-    const { factors, riskLevel } = req.body;
+    const { factors, riskLevel, language } = req.body;
 
     if (!Array.isArray(factors)) {
         return res.status(400).json(createErrorResponse('invalid_input', 'factors must be an array'));
     }
 
-    const result = generateRecommendations(factors, riskLevel || 'low');
+    if (language !== undefined && !resolveLanguage(language)) {
+        return res.status(400).json(createErrorResponse('invalid_input', `Unsupported language: ${language}`));
+    }
+
+    const result = generateRecommendations(factors, riskLevel || 'low', { language: resolveLanguage(language) || undefined });
 
     res.json({
         ...result,
@@ -232,6 +491,60 @@ app.post('/api/analyze/recommendations', asyncHandler(async (req, res) => {
     });
 }));
 
+// Optional clinical scores (FINDRISC, Framingham) for parsed answers
+app.post('/api/analyze/clinical-scores', asyncHandler(async (req, res) => {
+    const { answers } = req.body;
+
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+        return res.status(400).json(createErrorResponse('invalid_input', 'answers must be an object'));
+    }
+
+    res.json({
+        clinical_scores: computeClinicalScores(answers),
+        status: 'ok'
+    });
+}));
+
+// Follow-up questions for a partial parse, most informative first
+app.post('/api/analyze/next-questions', asyncHandler(async (req, res) => {
+    const { answers, field_provenance: fieldProvenance, ambiguities, limit, language, modelVersion } = req.body;
+
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+        return res.status(400).json(createErrorResponse('invalid_input', 'answers must be an object'));
+    }
+
+    if (fieldProvenance !== undefined && (!fieldProvenance || typeof fieldProvenance !== 'object' || Array.isArray(fieldProvenance))) {
+        return res.status(400).json(createErrorResponse('invalid_input', 'field_provenance must be an object'));
+    }
+
+    if (ambiguities !== undefined && (!Array.isArray(ambiguities) || ambiguities.some(a => !a || typeof a.field !== 'string'))) {
+        return res.status(400).json(createErrorResponse('invalid_input', 'ambiguities must be an array of { field, value, suggestion, similarity }'));
+    }
+
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+        return res.status(400).json(createErrorResponse('invalid_input', 'limit must be a positive integer'));
+    }
+
+    if (language !== undefined && !resolveLanguage(language)) {
+        return res.status(400).json(createErrorResponse('invalid_input', `Unsupported language: ${language}`));
+    }
+
+    if (!getScoringModel(modelVersion)) {
+        return res.status(400).json(createErrorResponse('invalid_input', `Unknown scoring model version: ${modelVersion}`));
+    }
+
+    const { questions, complete, messages } = getNextQuestions(answers, {
+        fieldProvenance, ambiguities, limit, language: resolveLanguage(language) || undefined, modelVersion
+    });
+
+    res.json({
+        questions,
+        complete,
+        messages,
+        status: 'ok'
+    });
+}));
+
 // Validate input against schema
 app.post('/api/validate', (req, res) => {
     const { data, schema } = req.body;
@@ -261,19 +574,245 @@ app.get('/api/fields', (req, res) => {
     res.json({
         core_fields: CORE_FIELDS,
         all_fields: EXPECTED_FIELDS,
+        measurement_fields: MEASUREMENT_FIELDS,
+        clinical_fields: CLINICAL_FIELDS,
+        clinical_score_modules: getClinicalScoreModules(),
+        supported_locales: SUPPORTED_LOCALES.map(code => ({ code, name: PARSER_LOCALES[code].name })),
+        supported_languages: SUPPORTED_LANGUAGES,
         field_descriptions: {
             age: { type: 'number', description: 'Age in years', range: '0-150' },
             smoker: { type: 'boolean', description: 'Whether the person smokes' },
+            never_smoked: { type: 'boolean', description: 'Whether the person has never smoked; also read from pack_years of 0' },
             exercise: { type: 'string', description: 'Exercise frequency', values: ['rarely', 'sometimes', 'regularly'] },
             diet: { type: 'string', description: 'Diet quality', values: ['high sugar', 'balanced', 'healthy'] },
             alcohol: { type: 'string', description: 'Alcohol consumption', values: ['rarely', 'moderate', 'heavy'] },
             sleep: { type: 'number', description: 'Sleep hours per night', range: '0-24' },
             stress: { type: 'string', description: 'Stress level', values: ['low', 'moderate', 'high'] },
-            bmi: { type: 'number', description: 'Body Mass Index', range: '10-100' }
+            bmi: { type: 'number', description: 'Body Mass Index', range: '10-100' },
+            moderate_minutes: { type: 'number', description: 'Minutes of moderate activity per week', range: '0-10080' },
+            vigorous_minutes: { type: 'number', description: 'Minutes of vigorous activity per week (counts double)', range: '0-10080' },
+            drinks_per_week: { type: 'number', description: 'Standard drinks per week', range: '0-200' },
+            cigarettes_per_day: { type: 'number', description: 'Cigarettes smoked per day', range: '0-100' },
+            pack_years: { type: 'number', description: 'Pack-years smoked (packs per day x years)', range: '0-200' },
+            stress_rating: { type: 'number', description: 'Self-rated stress', range: '1-10' },
+            height: { type: 'string', description: 'Height with unit, converted to BMI', units: ['cm', 'm', 'ft/in', 'in'] },
+            weight: { type: 'string', description: 'Weight with unit, converted to BMI', units: ['kg', 'lb'] },
+            systolic_bp: { type: 'number', description: 'Systolic blood pressure (mmHg)', range: '60-260' },
+            diastolic_bp: { type: 'number', description: 'Diastolic blood pressure (mmHg)', range: '30-160' },
+            blood_pressure: { type: 'string', description: 'Blood pressure reading such as "130/85", split into systolic_bp and diastolic_bp' },
+            resting_heart_rate: { type: 'number', description: 'Resting heart rate (beats per minute)', range: '25-220' },
+            waist_cm: { type: 'number', description: 'Waist circumference in cm; a value with unit is converted', range: '40-250', units: ['cm', 'in'] },
+            fasting_glucose: { type: 'number', description: 'Fasting blood glucose in mg/dL; a value with unit is converted', range: '20-600', units: ['mg/dL', 'mmol/L'] },
+            total_cholesterol: { type: 'number', description: 'Total cholesterol in mg/dL; a value with unit is converted', range: '50-500', units: ['mg/dL', 'mmol/L'] },
+            family_history_heart_disease: { type: 'boolean', description: 'Whether a parent or sibling has had heart disease' },
+            family_history_diabetes: { type: 'boolean', description: 'Whether a parent or sibling has diabetes' },
+            family_history: { type: 'string', description: 'Conditions in the family (e.g. "diabetes, heart disease"), answering both family history fields' },
+            bp_medication: { type: 'boolean', description: 'Whether blood pressure medication is taken (used by clinical scores)' },
+            sex: { type: 'string', description: 'Sex, used by the sex-specific clinical scores', values: ['male', 'female'] }
         }
     });
 });
 
+/**
+ * FHIR interoperability endpoints
+ */
+
+// Import a QuestionnaireResponse and run the analysis (?format=fhir returns a Bundle)
+// Body is either the bare resource or { resource, linkIdMap } for custom linkId mappings
+app.post('/api/fhir/QuestionnaireResponse', asyncHandler(async (req, res) => {
+    const wrapped = req.body && req.body.resourceType === undefined;
+    const resource = wrapped ? req.body.resource : req.body;
+    const linkIdMap = (wrapped && req.body.linkIdMap) || {};
+
+    const resourceValidation = validateQuestionnaireResponse(resource);
+    if (!resourceValidation.isValid) {
+        return res.status(400).json(createErrorResponse('invalid_fhir', resourceValidation.reason));
+    }
+
+    const mapped = mapQuestionnaireResponse(resource, linkIdMap);
+
+    const pipelineResult = await runAnalysisPipeline(mapped.answers, { validateSchemas: true });
+
+    if (!pipelineResult.success) {
+        const statusCode = ['invalid_input', 'empty_input'].includes(pipelineResult.error?.status) ? 400 : 200;
+        return res.status(statusCode).json({
+            ...pipelineResult.error,
+            unmapped_link_ids: mapped.unmapped_link_ids
+        });
+    }
+
+    if (req.query.format === 'fhir') {
+        return res.type('application/fhir+json').json(buildFhirBundle(pipelineResult.data, { subject: mapped.subject }));
+    }
+
+    res.json({
+        ...pipelineResult.data,
+        unmapped_link_ids: mapped.unmapped_link_ids
+    });
+}));
+
+// Export an analysis response as a FHIR Bundle (RiskAssessment + Observations)
+app.post('/api/fhir/export', asyncHandler(async (req, res) => {
+    const { analysis, subject } = req.body;
+
+    if (!analysis || typeof analysis !== 'object') {
+        return res.status(400).json(createErrorResponse('invalid_input', 'analysis must be an analysis response object'));
+    }
+
+    const schemaValidation = validateSchema(analysis, SCHEMAS.analysisResponse);
+    if (!schemaValidation.isValid) {
+        return res.status(400).json(createErrorResponse('invalid_input', 'analysis does not match the analysis response schema', {
+            schema_errors: schemaValidation.errors
+        }));
+    }
+
+    res.type('application/fhir+json').json(buildFhirBundle(analysis, { subject }));
+}));
+
+// Send an analysis as a PDF download
+async function sendPdfReport(res, analysis, filename = 'health-risk-report.pdf') {
+    const pdf = await generatePdfReport(analysis);
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': pdf.length
+    });
+    res.send(pdf);
+}
+
+/**
+ * PDF report of a completed analysis
+ */
+app.post('/api/report/pdf', asyncHandler(async (req, res) => {
+    const { analysis } = req.body;
+
+    if (!analysis || typeof analysis !== 'object') {
+        return res.status(400).json(createErrorResponse('invalid_input', 'analysis must be an analysis response object'));
+    }
+
+    const schemaValidation = validateSchema(analysis, SCHEMAS.analysisResponse);
+    if (!schemaValidation.isValid) {
+        return res.status(400).json(createErrorResponse('invalid_input', 'analysis does not match the analysis response schema', {
+            schema_errors: schemaValidation.errors
+        }));
+    }
+
+    await sendPdfReport(res, analysis);
+}));
+
+/**
+ * Assessment history endpoints
+ */
+
+// Validate the :subjectId route parameter
+const requireSubjectId = (req, res, next) => {
+    const subjectValidation = validateSubjectId(req.params.subjectId);
+    if (!subjectValidation.isValid) {
+        return res.status(400).json(createErrorResponse(subjectValidation.status, subjectValidation.reason));
+    }
+    next();
+};
+
+// List a subject's assessments (oldest first)
+app.get('/api/subjects/:subjectId/assessments', requireSubjectId, asyncHandler(async (req, res) => {
+    const assessments = await assessmentStore.list(req.params.subjectId);
+
+    res.json(createSuccessResponse({
+        subject_id: req.params.subjectId,
+        count: assessments.length,
+        assessments
+    }));
+}));
+
+// Compare two or more stored assessments (all of them unless ?ids=a,b,... is given)
+app.get('/api/subjects/:subjectId/trends', requireSubjectId, asyncHandler(async (req, res) => {
+    let records = await assessmentStore.getAll(req.params.subjectId);
+
+    if (req.query.ids) {
+        const ids = String(req.query.ids).split(',').map(id => id.trim()).filter(Boolean);
+        const unknown = ids.filter(id => !records.some(r => r.id === id));
+        if (unknown.length > 0) {
+            return res.status(404).json(createErrorResponse('not_found', `Unknown assessment IDs: ${unknown.join(', ')}`));
+        }
+        records = records.filter(r => ids.includes(r.id));
+    }
+
+    if (records.length < 2) {
+        return res.status(400).json(createErrorResponse(
+            'insufficient_history',
+            'At least two assessments are needed for trend analysis'
+        ));
+    }
+
+    res.json(createSuccessResponse({
+        subject_id: req.params.subjectId,
+        ...analyzeTrends(records)
+    }));
+}));
+
+// Fetch a single stored assessment
+app.get('/api/subjects/:subjectId/assessments/:assessmentId', requireSubjectId, asyncHandler(async (req, res) => {
+    const record = await assessmentStore.get(req.params.subjectId, req.params.assessmentId);
+
+    if (!record) {
+        return res.status(404).json(createErrorResponse('not_found', 'Assessment not found'));
+    }
+
+    res.json(createSuccessResponse(record));
+}));
+
+// PDF report of a stored assessment
+app.get('/api/subjects/:subjectId/assessments/:assessmentId/report', requireSubjectId, asyncHandler(async (req, res) => {
+    const record = await assessmentStore.get(req.params.subjectId, req.params.assessmentId);
+
+    if (!record) {
+        return res.status(404).json(createErrorResponse('not_found', 'Assessment not found'));
+    }
+
+    await sendPdfReport(
+        res,
+        { ...record.result, subject_id: record.subject_id },
+        `health-risk-report-${record.subject_id}-${record.created_at.slice(0, 10)}.pdf`
+    );
+}));
+
+// Delete a single stored assessment
+app.delete('/api/subjects/:subjectId/assessments/:assessmentId', requireSubjectId, asyncHandler(async (req, res) => {
+    const deleted = await assessmentStore.remove(req.params.subjectId, req.params.assessmentId);
+
+    if (!deleted) {
+        return res.status(404).json(createErrorResponse('not_found', 'Assessment not found'));
+    }
+
+    res.json(createSuccessResponse({ deleted: req.params.assessmentId }));
+}));
+
+// Delete a subject's entire history
+app.delete('/api/subjects/:subjectId/assessments', requireSubjectId, asyncHandler(async (req, res) => {
+    const count = await assessmentStore.removeSubject(req.params.subjectId);
+
+    res.json(createSuccessResponse({ subject_id: req.params.subjectId, deleted_count: count }));
+}));
+
+// Get factor rule definitions (read-only)
+app.get('/api/rules', (req, res) => {
+    res.json({
+        version: RULE_SET.version,
+        count: RULE_SET.rules.length,
+        rules: RULE_SET.rules
+    });
+});
+
+// Get scoring model versions and their parameters
+app.get('/api/scoring-models', (req, res) => {
+    res.json({
+        default: MODEL_SET.default,
+        count: MODEL_SET.models.length,
+        models: MODEL_SET.models
+    });
+});
+
 // Global error handler
 app.use((err, req, res, next) => {
     console.error('Unhandled error:', err);
@@ -294,13 +833,29 @@ app.listen(PORT, () => {
     console.log(`   Running on http://localhost:${PORT}\n`);
     console.log(`📊 Endpoints:`);
     console.log(`   POST /api/analyze              - Full analysis (pipeline)`);
+    console.log(`   POST /api/analyze/image        - OCR + analyze an uploaded survey image`);
+    console.log(`   POST /api/analyze/batch        - Batch analysis of many surveys`);
+    console.log(`   POST /api/simulate             - What-if lifestyle simulation`);
     console.log(`   POST /api/analyze/legacy       - Legacy single-pass analysis`);
     console.log(`   POST /api/analyze/parse        - Step 1: Parse survey`);
+    console.log(`   POST /api/analyze/parse/csv    - Step 1: Parse CSV survey export`);
     console.log(`   POST /api/analyze/factors      - Step 2: Extract factors`);
     console.log(`   POST /api/analyze/risk         - Step 3: Classify risk`);
     console.log(`   POST /api/analyze/recommendations - Step 4: Get recommendations`);
+    console.log(`   POST /api/analyze/clinical-scores - Optional clinical scores`);
+    console.log(`   POST /api/analyze/next-questions - Follow-up questions for a partial parse`);
+    console.log(`   GET  /api/subjects/:id/assessments      - List assessment history`);
+    console.log(`   GET  /api/subjects/:id/assessments/:aid - Get stored assessment`);
+    console.log(`   GET  /api/subjects/:id/assessments/:aid/report - PDF of stored assessment`);
+    console.log(`   GET  /api/subjects/:id/trends           - Compare assessments over time`);
+    console.log(`   DELETE /api/subjects/:id/assessments[/:aid] - Delete assessment(s)`);
+    console.log(`   POST /api/report/pdf           - PDF report of an analysis`);
+    console.log(`   POST /api/fhir/QuestionnaireResponse - Analyze a FHIR QuestionnaireResponse`);
+    console.log(`   POST /api/fhir/export          - Export analysis as FHIR Bundle`);
     console.log(`   POST /api/validate             - Validate data against schema`);
     console.log(`   GET  /api/schemas              - Get available schemas`);
     console.log(`   GET  /api/fields               - Get expected fields`);
+    console.log(`   GET  /api/rules                - Get factor rule definitions`);
+    console.log(`   GET  /api/scoring-models       - Get scoring model versions`);
     console.log(`   GET  /api/health               - Health check\n`);
 });
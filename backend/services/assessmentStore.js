@@ -0,0 +1,134 @@
+/**
+ * Assessment Store Service
+ * File-backed persistence of analysis results, grouped by subject ID
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+
+// Default store location, overridable with ASSESSMENT_STORE_PATH
+const DEFAULT_STORE_PATH = fileURLToPath(new URL('../data/assessments.json', import.meta.url));
+
+// Summary fields returned when listing a subject's assessments
+function summarize(record) {
+    return {
+        id: record.id,
+        subject_id: record.subject_id,
+        created_at: record.created_at,
+        score: record.result.score,
+        risk_level: record.result.risk_level,
+        model_version: record.result.model_version ?? null,
+        factors: record.result.factors || []
+    };
+}
+
+// Subjects keyed by ID with no prototype, so IDs such as "constructor" or
+// "__proto__" are ordinary keys rather than Object.prototype members
+function subjectMap(subjects = {}) {
+    return Object.assign(Object.create(null), subjects);
+}
+
+/**
+ * JSON file store keeping every subject's assessments in one document
+ * Writes are serialized and go through a temp file + rename so a crash never truncates the store
+ */
+export class FileAssessmentStore {
+    constructor(path) {
+        this.path = path;
+        this.loading = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        if (!this.loading) {
+            this.loading = readFile(this.path, 'utf8')
+                .then(content => {
+                    const data = JSON.parse(content);
+                    return { ...data, subjects: subjectMap(data.subjects) };
+                })
+                .catch(error => {
+                    if (error.code === 'ENOENT') return { subjects: subjectMap() };
+                    this.loading = null;
+                    throw error;
+                });
+        }
+        return this.loading;
+    }
+
+    persist(data) {
+        const write = this.writeQueue.then(async () => {
+            await mkdir(dirname(this.path), { recursive: true });
+            const tempPath = `${this.path}.tmp`;
+            await writeFile(tempPath, JSON.stringify(data, null, 2));
+            await rename(tempPath, this.path);
+        });
+
+        // Keep the queue usable after a failed write
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    async save(subjectId, result) {
+        const data = await this.load();
+        const record = {
+            id: randomUUID(),
+            subject_id: subjectId,
+            created_at: new Date().toISOString(),
+            result
+        };
+
+        data.subjects[subjectId] = [...(data.subjects[subjectId] || []), record];
+        await this.persist(data);
+
+        return record;
+    }
+
+    async list(subjectId) {
+        const data = await this.load();
+        return (data.subjects[subjectId] || []).map(summarize);
+    }
+
+    async get(subjectId, assessmentId) {
+        const data = await this.load();
+        return (data.subjects[subjectId] || []).find(r => r.id === assessmentId) || null;
+    }
+
+    async getAll(subjectId) {
+        const data = await this.load();
+        return data.subjects[subjectId] || [];
+    }
+
+    async remove(subjectId, assessmentId) {
+        const data = await this.load();
+        const records = data.subjects[subjectId] || [];
+        const remaining = records.filter(r => r.id !== assessmentId);
+
+        if (remaining.length === records.length) return false;
+
+        if (remaining.length > 0) {
+            data.subjects[subjectId] = remaining;
+        } else {
+            delete data.subjects[subjectId];
+        }
+        await this.persist(data);
+
+        return true;
+    }
+
+    async removeSubject(subjectId) {
+        const data = await this.load();
+        const count = (data.subjects[subjectId] || []).length;
+
+        if (count > 0) {
+            delete data.subjects[subjectId];
+            await this.persist(data);
+        }
+
+        return count;
+    }
+}
+
+// Default store instance used by the server
+export const assessmentStore = new FileAssessmentStore(process.env.ASSESSMENT_STORE_PATH || DEFAULT_STORE_PATH);
@@ -0,0 +1,246 @@
+/**
+ * Body Measurements
+ * Reads height, weight, waist, blood pressure and lab values written in metric,
+ * imperial or SI units, and derives BMI from height and weight
+ */
+
+const CM_PER_INCH = 2.54;
+const KG_PER_POUND = 0.45359237;
+
+// Size of one unit in metres / kilograms
+const HEIGHT_UNIT_METERS = { cm: 0.01, m: 1, in: CM_PER_INCH / 100, ft: 12 * CM_PER_INCH / 100 };
+const WEIGHT_UNIT_KG = { kg: 1, lb: KG_PER_POUND };
+
+// mg/dL in one mmol/L of each analyte
+const MG_DL_PER_MMOL_L = { glucose: 18.016, cholesterol: 38.67 };
+
+// Plausible adult readings; anything outside is treated as unreadable
+const HEIGHT_RANGE_M = { min: 0.9, max: 2.5 };
+const WEIGHT_RANGE_KG = { min: 25, max: 350 };
+const WAIST_RANGE_CM = { min: 40, max: 250 };
+const LAB_RANGE_MG_DL = { glucose: { min: 20, max: 600 }, cholesterol: { min: 50, max: 500 } };
+const SYSTOLIC_RANGE = { min: 60, max: 260 };
+const DIASTOLIC_RANGE = { min: 30, max: 160 };
+
+// Bare lab values below these are taken as mmol/L rather than mg/dL
+const LAB_MMOL_L_BELOW = { glucose: 35, cholesterol: 20 };
+
+// Unit spellings by canonical unit (English, Spanish, French, Hindi and symbols)
+const UNIT_ALIASES = {
+    cm: ['cm', 'cms', 'centimeters', 'centimeter', 'centimetres', 'centimetre', 'centímetros', 'centímetro', 'centimètres', 'centimètre', 'सेमी'],
+    m: ['m', 'meters', 'meter', 'metres', 'metre', 'metros', 'metro', 'mètres', 'mètre', 'मीटर'],
+    ft: ['ft', 'feet', 'foot', 'pies', 'pie', 'pieds', 'pied', 'फीट', 'फुट', "'", '’'],
+    in: ['in', 'inches', 'inch', 'pulgadas', 'pulgada', 'pouces', 'pouce', 'इंच', "''", '’’', '"', '”'],
+    kg: ['kg', 'kgs', 'kilograms', 'kilogram', 'kilogrammes', 'kilogramme', 'kilogramos', 'kilogramo', 'kilos', 'kilo', 'किलोग्राम', 'किलो', 'किग्रा'],
+    lb: ['lb', 'lbs', 'pounds', 'pound', 'libras', 'libra', 'livres', 'livre'],
+    mg_dl: ['mg/dl', 'mg per dl', 'mg'],
+    mmol_l: ['mmol/l', 'mmol per l', 'mmol']
+};
+
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+const BARE_NUMBER = new RegExp(`^\\s*${NUMBER}\\s*$`);
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Alternation of the spellings of some units, longest first, not running into a word
+function unitPattern(units) {
+    const aliases = units.flatMap(unit => UNIT_ALIASES[unit]).sort((a, b) => b.length - a.length);
+    return `(?:(${aliases.map(escapeRegExp).join('|')})(?![\\p{L}\\p{M}]))`;
+}
+
+// 5'10", 5 ft 10 in, 5ft10, 6 feet
+const FEET_INCHES = new RegExp(`${NUMBER}\\s*${unitPattern(['ft'])}\\s*(?:${NUMBER}\\s*${unitPattern(['in'])}?)?`, 'iu');
+// 178 cm, 1.78 m, 70 in
+const LENGTH = new RegExp(`${NUMBER}\\s*${unitPattern(['cm', 'm', 'in'])}`, 'iu');
+// 80 kg, 176 lbs
+const WEIGHT = new RegExp(`${NUMBER}\\s*${unitPattern(['kg', 'lb'])}`, 'iu');
+// 110 mg/dL, 5.6 mmol/L
+const LAB = new RegExp(`${NUMBER}\\s*${unitPattern(['mg_dl', 'mmol_l'])}`, 'iu');
+// 130/85, 130 over 85 (Spanish "sobre", French "sur")
+const BLOOD_PRESSURE = /(?<!\d)(\d{2,3})\s*(?:\/|\s(?:over|sobre|sur)\s)\s*(\d{2,3})(?!\d)/iu;
+
+// "1,78" is a decimal comma
+function toNumber(text) {
+    return parseFloat(String(text).replace(',', '.'));
+}
+
+// Canonical unit for a spelling ("lbs" -> "lb"), or null
+function resolveUnit(text) {
+    if (text === undefined || text === null) return null;
+    const lower = String(text).trim().toLowerCase();
+    return Object.keys(UNIT_ALIASES).find(unit => UNIT_ALIASES[unit].includes(lower)) || null;
+}
+
+// Unit of a height given without one, judged by its size
+function guessHeightUnit(amount) {
+    if (amount < 3) return 'm';
+    if (amount < 8) return 'ft';
+    if (amount >= 48 && amount < 100) return 'in';
+    if (amount >= 100) return 'cm';
+    return null;
+}
+
+function inRange(value, range) {
+    return value >= range.min && value <= range.max;
+}
+
+/**
+ * Read a height ("178 cm", "1.78 m", "5'10\"", "5 ft 10 in", "70 in").
+ * A bare number is read as metres, feet, inches or centimetres by its size.
+ * @param {string|number} value - Height as written
+ * @returns {object|null} { meters, unit, assumed, index, length } (index/length locate
+ *   the reading in the text), or null when no plausible height is found
+ */
+export function parseHeight(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value);
+    let reading = null;
+
+    const bare = text.match(BARE_NUMBER);
+    const feet = !bare && text.match(FEET_INCHES);
+    const metric = !bare && !feet && text.match(LENGTH);
+
+    if (bare) {
+        const amount = toNumber(bare[1]);
+        const unit = guessHeightUnit(amount);
+        if (unit) {
+            reading = { meters: amount * HEIGHT_UNIT_METERS[unit], unit, assumed: true, index: 0, length: text.length };
+        }
+    } else if (feet) {
+        const inches = feet[3] !== undefined ? toNumber(feet[3]) : 0;
+        if (inches < 12) {
+            reading = {
+                meters: toNumber(feet[1]) * HEIGHT_UNIT_METERS.ft + inches * HEIGHT_UNIT_METERS.in,
+                unit: feet[3] !== undefined ? 'ft_in' : 'ft',
+                assumed: false,
+                index: feet.index,
+                length: feet[0].length
+            };
+        }
+    } else if (metric) {
+        const unit = resolveUnit(metric[2]);
+        reading = { meters: toNumber(metric[1]) * HEIGHT_UNIT_METERS[unit], unit, assumed: false, index: metric.index, length: metric[0].length };
+    }
+
+    if (!reading || !inRange(reading.meters, HEIGHT_RANGE_M)) return null;
+    return { ...reading, meters: parseFloat(reading.meters.toFixed(3)) };
+}
+
+/**
+ * Read a weight ("80 kg", "176 lbs"). A bare number is taken as kilograms.
+ * @param {string|number} value - Weight as written
+ * @returns {object|null} { kilograms, unit, assumed, index, length }, or null when
+ *   no plausible weight is found
+ */
+export function parseWeight(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value);
+    let reading = null;
+
+    const bare = text.match(BARE_NUMBER);
+    const withUnit = !bare && text.match(WEIGHT);
+
+    if (bare) {
+        reading = { kilograms: toNumber(bare[1]), unit: 'kg', assumed: true, index: 0, length: text.length };
+    } else if (withUnit) {
+        const unit = resolveUnit(withUnit[2]);
+        reading = { kilograms: toNumber(withUnit[1]) * WEIGHT_UNIT_KG[unit], unit, assumed: false, index: withUnit.index, length: withUnit[0].length };
+    }
+
+    if (!reading || !inRange(reading.kilograms, WEIGHT_RANGE_KG)) return null;
+    return { ...reading, kilograms: parseFloat(reading.kilograms.toFixed(1)) };
+}
+
+/**
+ * Read a waist circumference ("94 cm", "37 in"). A bare number under 50 is taken
+ * as inches, anything larger as centimetres.
+ * @param {string|number} value - Waist as written
+ * @returns {object|null} { centimeters, unit, assumed, index, length }, or null when
+ *   no plausible waist is found
+ */
+export function parseWaist(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value);
+    let reading = null;
+
+    const bare = text.match(BARE_NUMBER);
+    const withUnit = !bare && text.match(LENGTH);
+
+    if (bare) {
+        const amount = toNumber(bare[1]);
+        const unit = amount < 50 ? 'in' : 'cm';
+        reading = { centimeters: amount * HEIGHT_UNIT_METERS[unit] * 100, unit, assumed: true, index: 0, length: text.length };
+    } else if (withUnit) {
+        const unit = resolveUnit(withUnit[2]);
+        reading = { centimeters: toNumber(withUnit[1]) * HEIGHT_UNIT_METERS[unit] * 100, unit, assumed: false, index: withUnit.index, length: withUnit[0].length };
+    }
+
+    if (!reading || !inRange(reading.centimeters, WAIST_RANGE_CM)) return null;
+    return { ...reading, centimeters: parseFloat(reading.centimeters.toFixed(1)) };
+}
+
+/**
+ * Read a fasting glucose or total cholesterol value ("110 mg/dL", "5.6 mmol/L").
+ * A bare number is taken as mmol/L when it is too small to be mg/dL.
+ * @param {string|number} value - Lab value as written
+ * @param {string} analyte - 'glucose' or 'cholesterol'
+ * @returns {object|null} { mg_dl, unit, assumed, index, length }, or null when no
+ *   plausible value is found
+ */
+export function parseLabValue(value, analyte) {
+    if (value === undefined || value === null) return null;
+    const text = String(value);
+    const toMgDl = { mg_dl: 1, mmol_l: MG_DL_PER_MMOL_L[analyte] };
+    let reading = null;
+
+    const bare = text.match(BARE_NUMBER);
+    const withUnit = !bare && text.match(LAB);
+
+    if (bare) {
+        const amount = toNumber(bare[1]);
+        const unit = amount < LAB_MMOL_L_BELOW[analyte] ? 'mmol_l' : 'mg_dl';
+        reading = { mg_dl: amount * toMgDl[unit], unit, assumed: true, index: 0, length: text.length };
+    } else if (withUnit) {
+        const unit = resolveUnit(withUnit[2]);
+        reading = { mg_dl: toNumber(withUnit[1]) * toMgDl[unit], unit, assumed: false, index: withUnit.index, length: withUnit[0].length };
+    }
+
+    if (!reading || !inRange(reading.mg_dl, LAB_RANGE_MG_DL[analyte])) return null;
+    return { ...reading, mg_dl: Math.round(reading.mg_dl) };
+}
+
+/**
+ * Read a blood pressure reading ("130/85", "130/85 mmHg", "130 over 85")
+ * @param {string} value - Reading as written
+ * @returns {object|null} { systolic, diastolic, index, length } in mmHg, or null when
+ *   no plausible reading is found
+ */
+export function parseBloodPressure(value) {
+    if (value === undefined || value === null) return null;
+    const match = String(value).match(BLOOD_PRESSURE);
+    if (!match) return null;
+
+    const systolic = parseInt(match[1], 10);
+    const diastolic = parseInt(match[2], 10);
+    if (!inRange(systolic, SYSTOLIC_RANGE) || !inRange(diastolic, DIASTOLIC_RANGE) || diastolic >= systolic) return null;
+    return { systolic, diastolic, index: match.index, length: match[0].length };
+}
+
+/**
+ * Attach a unit to a bare number ("178", "cm" -> "178 cm"); values that already
+ * carry a unit, and unknown units, are left as they are
+ */
+export function withUnit(value, unit) {
+    const canonical = resolveUnit(unit);
+    if (!canonical || !BARE_NUMBER.test(String(value))) return value;
+    return `${String(value).trim()} ${UNIT_ALIASES[canonical][0]}`;
+}
+
+/**
+ * BMI (kg/m², one decimal) from a height in metres and a weight in kilograms
+ */
+export function calculateBmi(meters, kilograms) {
+    return parseFloat((kilograms / (meters * meters)).toFixed(1));
+}
@@ -0,0 +1,185 @@
+/**
+ * Clinical Score Modules
+ * Optional, validated scoring models reported alongside the lifestyle score.
+ * A module runs only when its required inputs are present; otherwise it reports
+ * which inputs are missing so the caller can ask for them.
+ */
+
+// Inputs that can stand in for a required field ("exercise" is satisfied by activity minutes)
+const INPUT_ALTERNATIVES = {
+    exercise: ['activity_minutes']
+};
+
+// Whether the answers carry a usable value for a field or one of its stand-ins
+function hasInput(answers, field) {
+    return [field, ...(INPUT_ALTERNATIVES[field] || [])]
+        .some(name => answers[name] !== undefined && answers[name] !== null);
+}
+
+// Pick the category whose upper bound the value falls below (the last entry has no bound)
+function categorize(value, bands) {
+    return bands.find(band => band.below === undefined || value < band.below);
+}
+
+// FINDRISC categories: total points -> category and estimated 10-year type 2 diabetes risk
+const FINDRISC_BANDS = [
+    { below: 7, category: 'low', risk_percent: 1 },
+    { below: 12, category: 'slightly elevated', risk_percent: 4 },
+    { below: 15, category: 'moderate', risk_percent: 17 },
+    { below: 21, category: 'high', risk_percent: 33 },
+    { category: 'very high', risk_percent: 50 }
+];
+
+// FINDRISC waist bands differ by sex (cm): [3-point threshold, 4-point threshold]
+const FINDRISC_WAIST = {
+    male: [94, 102],
+    female: [80, 88]
+};
+
+// Framingham 2008 office-based (BMI) 10-year general CVD coefficients
+const FRAMINGHAM_COEFFICIENTS = {
+    female: {
+        ln_age: 2.72107, ln_bmi: 0.51125, ln_sbp_untreated: 2.81291, ln_sbp_treated: 2.88267,
+        smoker: 0.61868, diabetes: 0.77763, baseline_survival: 0.94833, mean: 26.0145
+    },
+    male: {
+        ln_age: 3.11296, ln_bmi: 0.79277, ln_sbp_untreated: 1.85508, ln_sbp_treated: 1.92672,
+        smoker: 0.70953, diabetes: 0.53160, baseline_survival: 0.88431, mean: 23.9388
+    }
+};
+
+// Framingham 10-year CVD risk categories (percent)
+const FRAMINGHAM_BANDS = [
+    { below: 10, category: 'low' },
+    { below: 20, category: 'intermediate' },
+    { category: 'high' }
+];
+
+// Fasting glucose (mg/dL) at which the Framingham model counts diabetes
+const DIABETES_GLUCOSE_MG_DL = 126;
+
+function findriscPoints(answers) {
+    const breakdown = [];
+    const add = (input, points) => breakdown.push({ input, points });
+
+    const { age, bmi, waist_cm: waist, sex } = answers;
+    add('age', age < 45 ? 0 : age < 55 ? 2 : age < 65 ? 3 : 4);
+    add('bmi', bmi < 25 ? 0 : bmi <= 30 ? 1 : 3);
+
+    const [moderateWaist, largeWaist] = FINDRISC_WAIST[sex];
+    add('waist_cm', waist < moderateWaist ? 0 : waist <= largeWaist ? 3 : 4);
+
+    // At least 30 minutes a day; without minutes, "regularly" counts as meeting it
+    const active = typeof answers.activity_minutes === 'number'
+        ? answers.activity_minutes >= 210
+        : answers.exercise === 'regularly';
+    add('exercise', active ? 0 : 2);
+
+    add('diet', ['healthy', 'balanced'].includes(answers.diet) ? 0 : 1);
+
+    // Optional inputs score zero when absent, as on the paper questionnaire
+    if (answers.bp_medication === true) add('bp_medication', 2);
+    if (typeof answers.fasting_glucose === 'number' && answers.fasting_glucose >= 100) add('fasting_glucose', 5);
+    if (answers.family_history_diabetes === true) add('family_history_diabetes', 5);
+
+    return breakdown;
+}
+
+function framinghamRisk(answers) {
+    const c = FRAMINGHAM_COEFFICIENTS[answers.sex];
+    const diabetes = typeof answers.fasting_glucose === 'number' && answers.fasting_glucose >= DIABETES_GLUCOSE_MG_DL;
+    const sbpCoefficient = answers.bp_medication === true ? c.ln_sbp_treated : c.ln_sbp_untreated;
+
+    const sum = c.ln_age * Math.log(answers.age)
+        + c.ln_bmi * Math.log(answers.bmi)
+        + sbpCoefficient * Math.log(answers.systolic_bp)
+        + (answers.smoker === true ? c.smoker : 0)
+        + (diabetes ? c.diabetes : 0);
+
+    return 1 - Math.pow(c.baseline_survival, Math.exp(sum - c.mean));
+}
+
+// Registered modules, reported in this order
+const CLINICAL_SCORE_MODULES = [
+    {
+        id: 'findrisc',
+        name: 'FINDRISC (type 2 diabetes, 10-year)',
+        required_inputs: ['age', 'sex', 'bmi', 'waist_cm', 'exercise', 'diet'],
+        optional_inputs: ['bp_medication', 'fasting_glucose', 'family_history_diabetes'],
+        compute(answers) {
+            const breakdown = findriscPoints(answers);
+            const score = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+            const band = categorize(score, FINDRISC_BANDS);
+            return {
+                score,
+                max_score: 26,
+                category: band.category,
+                ten_year_risk_percent: band.risk_percent,
+                breakdown
+            };
+        }
+    },
+    {
+        id: 'framingham_cvd',
+        name: 'Framingham (cardiovascular disease, 10-year, BMI-based)',
+        required_inputs: ['age', 'sex', 'bmi', 'systolic_bp', 'smoker'],
+        optional_inputs: ['bp_medication', 'fasting_glucose'],
+        // The model was fitted on 30-74 year olds
+        applicability(answers) {
+            return answers.age < 30 || answers.age > 74 ? 'Model is validated for ages 30-74' : null;
+        },
+        compute(answers) {
+            const percent = Math.round(framinghamRisk(answers) * 1000) / 10;
+            return {
+                score: percent,
+                category: categorize(percent, FRAMINGHAM_BANDS).category,
+                ten_year_risk_percent: percent
+            };
+        }
+    }
+];
+
+// Run one module against the answers
+function runModule(module, answers) {
+    const missing = module.required_inputs.filter(field => !hasInput(answers, field));
+    const base = {
+        id: module.id,
+        name: module.name,
+        required_inputs: module.required_inputs,
+        optional_inputs: module.optional_inputs,
+        missing_inputs: missing,
+        missing_optional_inputs: module.optional_inputs.filter(field => !hasInput(answers, field))
+    };
+
+    if (missing.length > 0) {
+        return { ...base, status: 'insufficient_inputs', score: null, category: null };
+    }
+
+    // Sex-specific models cannot score answers outside the sexes they were fitted on
+    const reason = !['male', 'female'].includes(answers.sex)
+        ? 'Model requires sex to be male or female'
+        : module.applicability?.(answers);
+    if (reason) {
+        return { ...base, status: 'not_applicable', reason, score: null, category: null };
+    }
+
+    return { ...base, status: 'computed', ...module.compute(answers) };
+}
+
+/**
+ * Run every clinical score module whose inputs allow it
+ * @param {object} answers - Parsed survey answers
+ * @returns {object[]} One result per module, with status 'computed', 'insufficient_inputs' or 'not_applicable'
+ */
+export function computeClinicalScores(answers = {}) {
+    return CLINICAL_SCORE_MODULES.map(module => runModule(module, answers));
+}
+
+/**
+ * List the registered modules and the inputs each needs
+ */
+export function getClinicalScoreModules() {
+    return CLINICAL_SCORE_MODULES.map(({ id, name, required_inputs, optional_inputs }) => ({
+        id, name, required_inputs, optional_inputs
+    }));
+}
@@ -3,97 +3,15 @@
  * Converts survey answers into risk factors
  */
 
-// Factor definitions with extraction rules
-const FACTOR_RULES = {
-    smoking: {
-        check: (answers) => answers.smoker === true,
-        label: 'smoking',
-        weight: 1.0
-    },
-    poor_diet: {
-        check: (answers) => {
-            const diet = answers.diet?.toLowerCase();
-            return diet === 'high sugar' || diet === 'junk' || diet === 'fast food' || diet === 'unhealthy';
-        },
-        label: 'poor diet',
-        weight: 0.9
-    },
-    low_exercise: {
-        check: (answers) => {
-            const exercise = answers.exercise?.toLowerCase();
-            return exercise === 'rarely' || exercise === 'never' || exercise === 'sedentary' || exercise === 'none';
-        },
-        label: 'low exercise',
-        weight: 0.85
-    },
-    excessive_alcohol: {
-        check: (answers) => {
-            const alcohol = answers.alcohol?.toLowerCase();
-            return alcohol === 'heavy' || alcohol === 'frequent' || alcohol === 'daily';
-        },
-        label: 'excessive alcohol',
-        weight: 0.8
-    },
-    poor_sleep: {
-        check: (answers) => {
-            if (typeof answers.sleep === 'number') {
-                return answers.sleep < 6 || answers.sleep > 9;
-            }
-            const sleep = answers.sleep?.toLowerCase();
-            return sleep === 'poor' || sleep === 'bad' || sleep === 'irregular';
-        },
-        label: 'poor sleep',
-        weight: 0.7
-    },
-    high_stress: {
-        check: (answers) => {
-            const stress = answers.stress?.toLowerCase();
-            return stress === 'high' || stress === 'severe' || stress === 'chronic';
-        },
-        label: 'high stress',
-        weight: 0.75
-    },
-    obesity: {
-        check: (answers) => {
-            if (typeof answers.bmi === 'number') {
-                return answers.bmi >= 30;
-            }
-            return false;
-        },
-        label: 'obesity',
-        weight: 0.85
-    },
-    overweight: {
-        check: (answers) => {
-            if (typeof answers.bmi === 'number') {
-                return answers.bmi >= 25 && answers.bmi < 30;
-            }
-            return false;
-        },
-        label: 'overweight',
-        weight: 0.6
-    },
-    advanced_age: {
-        check: (answers) => {
-            if (typeof answers.age === 'number') {
-                return answers.age >= 60;
-            }
-            return false;
-        },
-        label: 'advanced age',
-        weight: 0.5
-    },
-    middle_age: {
-        check: (answers) => {
-            if (typeof answers.age === 'number') {
-                return answers.age >= 40 && answers.age < 60;
-            }
-            return false;
-        },
-        label: 'middle age',
-        weight: 0.3
-    }
-};
+import { loadFactorRules, compileRule } from './ruleLoader.js';
+
+// Factor definitions, loaded from config/factorRules.json at startup
+const RULE_SET = loadFactorRules();
+
+// Compiled extraction rules keyed by factor id
+const FACTOR_RULES = Object.fromEntries(
+    RULE_SET.rules.map(definition => [definition.id, compileRule(definition)])
+);
 
 // Calculate confidence based on data availability
 function calculateFactorConfidence(answers, extractedFactors) {
@@ -117,21 +35,29 @@ function calculateFactorConfidence(answers, extractedFactors) {
 
 /**
  * Extract risk factors from survey answers
+ * Protective rules (healthy habits) are reported separately from the risk factors
  * @param {object} answers - Parsed survey answers
- * @returns {object} Extracted factors with confidence
+ * @returns {object} Extracted risk and protective factors with confidence
  */
 export function extractFactors(answers) {
     const factors = [];
     const factorDetails = [];
+    const protectiveDetails = [];
 
     for (const [key, rule] of Object.entries(FACTOR_RULES)) {
         try {
             if (rule.check(answers)) {
+                if (rule.protective) {
+                    protectiveDetails.push({ id: key, label: rule.label, weight: rule.weight });
+                    continue;
+                }
+                const dose = rule.dose(answers);
                 factors.push(rule.label);
                 factorDetails.push({
                     id: key,
                     label: rule.label,
-                    weight: rule.weight
+                    weight: rule.weight,
+                    ...(dose && { dose })
                 });
             }
         } catch (e) {
@@ -142,6 +68,7 @@ export function extractFactors(answers) {
 
     // Sort by weight (most significant first)
     factorDetails.sort((a, b) => b.weight - a.weight);
+    protectiveDetails.sort((a, b) => b.weight - a.weight);
     const sortedFactors = factorDetails.map(f => f.label);
 
     const confidence = calculateFactorConfidence(answers, factors);
@@ -149,8 +76,21 @@ export function extractFactors(answers) {
     return {
         factors: sortedFactors,
         factor_details: factorDetails,
+        protective_factors: protectiveDetails.map(f => f.label),
+        protective_details: protectiveDetails,
         confidence
     };
 }
 
-export { FACTOR_RULES };
+/**
+ * How strongly a factor applies, from the quantities in the answers
+ * @param {string} factor - Factor label
+ * @param {object} answers - Parsed survey answers
+ * @returns {object|null} { field, value, multiplier }, or null when no quantity was given
+ */
+export function getFactorDose(factor, answers) {
+    const rule = Object.values(FACTOR_RULES).find(r => r.label === factor);
+    return rule ? rule.dose(answers) : null;
+}
+
+export { FACTOR_RULES, RULE_SET };
@@ -0,0 +1,273 @@
+/**
+ * FHIR Mapper Service
+ * Imports HL7 FHIR R4 QuestionnaireResponse resources and exports analyses as FHIR resources
+ */
+
+import { randomUUID } from 'crypto';
+import { EXPECTED_FIELDS } from './surveyParser.js';
+
+const LOINC = 'http://loinc.org';
+const SNOMED = 'http://snomed.info/sct';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const RISK_PROBABILITY = 'http://terminology.hl7.org/CodeSystem/risk-probability';
+
+// Default linkId -> survey field mapping (field names map to themselves)
+const DEFAULT_LINKID_MAP = {
+    ...Object.fromEntries(EXPECTED_FIELDS.map(field => [field, field])),
+    '30525-0': 'age',                // LOINC: Age
+    '72166-2': 'smoker',             // LOINC: Tobacco smoking status
+    '39156-5': 'bmi',                // LOINC: Body mass index
+    '93832-4': 'sleep',              // LOINC: Sleep duration
+    '8480-6': 'systolic_bp',         // LOINC: Systolic blood pressure
+    '8462-4': 'diastolic_bp',        // LOINC: Diastolic blood pressure
+    '40443-4': 'resting_heart_rate', // LOINC: Heart rate --resting
+    '8280-0': 'waist_cm',            // LOINC: Waist circumference
+    '1558-6': 'fasting_glucose',     // LOINC: Fasting glucose [Mass/volume]
+    '2093-3': 'total_cholesterol'    // LOINC: Cholesterol [Mass/volume]
+};
+
+// Smoking status codings (SNOMED CT)
+const SMOKING_STATUS = {
+    smoker: { system: SNOMED, code: '77176002', display: 'Smoker' },
+    nonSmoker: { system: SNOMED, code: '8392000', display: 'Non-smoker' },
+    neverSmoked: { system: SNOMED, code: '266919005', display: 'Never smoked tobacco' },
+    exSmoker: { system: SNOMED, code: '8517006', display: 'Ex-smoker' }
+};
+
+// SNOMED smoking codes that mean the person currently smokes
+const CURRENT_SMOKER_CODES = ['77176002', '449868002', '428041000124106', '428071000124103', '428061000124105'];
+// SNOMED smoking codes that say whether the person has ever smoked (current smokers have)
+const NEVER_SMOKED_CODES = { '266919005': true, '8517006': false };
+
+// Risk levels -> risk-probability codes
+const RISK_LEVEL_CODES = {
+    'low': 'low',
+    'moderate': 'moderate',
+    'high': 'high',
+    'very high': 'high'
+};
+
+// Extract a plain value from a QuestionnaireResponse answer
+function getAnswerValue(answer, field) {
+    if (answer.valueBoolean !== undefined) return answer.valueBoolean;
+    if (answer.valueInteger !== undefined) return answer.valueInteger;
+    if (answer.valueDecimal !== undefined) return answer.valueDecimal;
+    if (answer.valueQuantity !== undefined) return answer.valueQuantity?.value;
+    if (answer.valueString !== undefined) return answer.valueString;
+    if (answer.valueCoding) {
+        const { code, display } = answer.valueCoding;
+        if (field === 'smoker' && code) return CURRENT_SMOKER_CODES.includes(code);
+        return display || code;
+    }
+    return undefined;
+}
+
+// Smoking status coding for the answers: a non-smoker is a never-smoker or ex-smoker when known
+function smokingStatusCoding(answers) {
+    if (answers.smoker) return SMOKING_STATUS.smoker;
+    if (answers.never_smoked === true) return SMOKING_STATUS.neverSmoked;
+    if (answers.never_smoked === false) return SMOKING_STATUS.exSmoker;
+    return SMOKING_STATUS.nonSmoker;
+}
+
+// Walk (possibly nested) questionnaire items
+function collectItems(items, collected = []) {
+    for (const item of items || []) {
+        collected.push(item);
+        collectItems(item.item, collected);
+        for (const answer of item.answer || []) {
+            collectItems(answer.item, collected);
+        }
+    }
+    return collected;
+}
+
+// First structural problem in (possibly nested) items: every item must be an object with
+// a linkId, and item and answer lists must be arrays of objects
+function findItemError(items, path) {
+    for (const [index, item] of items.entries()) {
+        const itemPath = `${path}[${index}]`;
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            return `${itemPath} must be an object`;
+        }
+        if (typeof item.linkId !== 'string') {
+            return `${itemPath}.linkId must be a string`;
+        }
+        if (item.item !== undefined) {
+            if (!Array.isArray(item.item)) return `${itemPath}.item must be an array`;
+            const nested = findItemError(item.item, `${itemPath}.item`);
+            if (nested) return nested;
+        }
+        if (item.answer !== undefined) {
+            if (!Array.isArray(item.answer)) return `${itemPath}.answer must be an array`;
+            for (const [answerIndex, answer] of item.answer.entries()) {
+                const answerPath = `${itemPath}.answer[${answerIndex}]`;
+                if (!answer || typeof answer !== 'object' || Array.isArray(answer)) {
+                    return `${answerPath} must be an object`;
+                }
+                if (answer.item !== undefined) {
+                    if (!Array.isArray(answer.item)) return `${answerPath}.item must be an array`;
+                    const nested = findItemError(answer.item, `${answerPath}.item`);
+                    if (nested) return nested;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate that a resource is a usable QuestionnaireResponse
+ */
+export function validateQuestionnaireResponse(resource) {
+    if (!resource || typeof resource !== 'object') {
+        return { isValid: false, reason: 'Request body must be a FHIR resource' };
+    }
+    if (resource.resourceType !== 'QuestionnaireResponse') {
+        return { isValid: false, reason: `Expected resourceType QuestionnaireResponse, got ${resource.resourceType}` };
+    }
+    if (!Array.isArray(resource.item)) {
+        return { isValid: false, reason: 'QuestionnaireResponse has no items' };
+    }
+    const itemError = findItemError(resource.item, 'item');
+    if (itemError) {
+        return { isValid: false, reason: `Invalid QuestionnaireResponse: ${itemError}` };
+    }
+    return { isValid: true };
+}
+
+/**
+ * Map a QuestionnaireResponse to raw survey answers by linkId
+ * @param {object} resource - FHIR QuestionnaireResponse
+ * @param {object} linkIdMap - Extra linkId -> field mappings
+ * @returns {object} { answers, subject, unmapped_link_ids }
+ */
+export function mapQuestionnaireResponse(resource, linkIdMap = {}) {
+    const mapping = { ...DEFAULT_LINKID_MAP, ...linkIdMap };
+    const answers = {};
+    const unmapped = [];
+
+    for (const item of collectItems(resource.item)) {
+        if (!item.answer || item.answer.length === 0) continue;
+
+        const field = mapping[item.linkId];
+        if (!field || !EXPECTED_FIELDS.includes(field)) {
+            unmapped.push(item.linkId);
+            continue;
+        }
+
+        const value = getAnswerValue(item.answer[0], field);
+        if (value !== undefined) answers[field] = value;
+
+        // A smoking status coding also tells whether the person has ever smoked
+        const code = field === 'smoker' && item.answer[0].valueCoding?.code;
+        if (code && answers.never_smoked === undefined) {
+            if (code in NEVER_SMOKED_CODES) answers.never_smoked = NEVER_SMOKED_CODES[code];
+            else if (CURRENT_SMOKER_CODES.includes(code)) answers.never_smoked = false;
+        }
+    }
+
+    return {
+        answers,
+        subject: resource.subject || null,
+        unmapped_link_ids: unmapped
+    };
+}
+
+/**
+ * Build a FHIR collection Bundle (RiskAssessment + Observations) from an analysis
+ * @param {object} analysis - Analysis response from the pipeline
+ * @param {object} options - { subject: FHIR Reference }
+ * @returns {object} FHIR Bundle
+ */
+export function buildFhirBundle(analysis, options = {}) {
+    const { subject } = options;
+    const effective = analysis.timestamp || new Date().toISOString();
+    const entries = [];
+    const basis = [];
+
+    const addEntry = (resource) => {
+        const fullUrl = `urn:uuid:${randomUUID()}`;
+        entries.push({ fullUrl, resource });
+        return fullUrl;
+    };
+
+    const { answers = {} } = analysis;
+    const riskAssessmentUrl = `urn:uuid:${randomUUID()}`;
+
+    if (typeof answers.smoker === 'boolean') {
+        const fullUrl = addEntry({
+            resourceType: 'Observation',
+            status: 'final',
+            category: [{ coding: [{ system: OBSERVATION_CATEGORY, code: 'social-history', display: 'Social History' }] }],
+            code: { coding: [{ system: LOINC, code: '72166-2', display: 'Tobacco smoking status' }] },
+            ...(subject && { subject }),
+            effectiveDateTime: effective,
+            valueCodeableConcept: {
+                coding: [smokingStatusCoding(answers)]
+            }
+        });
+        basis.push({ reference: fullUrl });
+    }
+
+    if (typeof answers.bmi === 'number') {
+        const fullUrl = addEntry({
+            resourceType: 'Observation',
+            status: 'final',
+            category: [{ coding: [{ system: OBSERVATION_CATEGORY, code: 'vital-signs', display: 'Vital Signs' }] }],
+            code: { coding: [{ system: LOINC, code: '39156-5', display: 'Body mass index (BMI) [Ratio]' }] },
+            ...(subject && { subject }),
+            effectiveDateTime: effective,
+            valueQuantity: { value: answers.bmi, unit: 'kg/m2', system: UCUM, code: 'kg/m2' }
+        });
+        basis.push({ reference: fullUrl });
+    }
+
+    const riskAssessment = {
+        resourceType: 'RiskAssessment',
+        status: 'final',
+        ...(subject && { subject }),
+        occurrenceDateTime: effective,
+        ...(basis.length > 0 && { basis }),
+        prediction: [{
+            outcome: { text: 'Lifestyle-related health risk' },
+            qualitativeRisk: {
+                coding: [{ system: RISK_PROBABILITY, code: RISK_LEVEL_CODES[analysis.risk_level] }],
+                text: analysis.risk_level
+            },
+            rationale: `Lifestyle risk score ${analysis.score}/100` +
+                (analysis.factors?.length ? `; factors: ${analysis.factors.join(', ')}` : '')
+        }],
+        ...(analysis.recommendations?.length && { mitigation: analysis.recommendations.join('; ') }),
+        note: [{ text: 'Generated from a self-reported lifestyle survey. Not a diagnosis.' }]
+    };
+
+    // The numeric score, derived from the RiskAssessment, for systems that read values rather than text
+    if (typeof analysis.score === 'number') {
+        addEntry({
+            resourceType: 'Observation',
+            status: 'final',
+            code: { text: 'Lifestyle risk score' },
+            ...(subject && { subject }),
+            effectiveDateTime: effective,
+            valueQuantity: { value: analysis.score, unit: 'score', system: UCUM, code: '{score}' },
+            referenceRange: [{ low: { value: 0 }, high: { value: 100 } }],
+            interpretation: [{ text: analysis.risk_level }],
+            derivedFrom: [{ reference: riskAssessmentUrl }],
+            ...(analysis.model_version && { method: { text: `Scoring model ${analysis.model_version}` } })
+        });
+    }
+
+    // RiskAssessment first so consumers find the primary resource immediately
+    entries.unshift({ fullUrl: riskAssessmentUrl, resource: riskAssessment });
+
+    return {
+        resourceType: 'Bundle',
+        type: 'collection',
+        timestamp: new Date().toISOString(),
+        entry: entries
+    };
+}
+
+export { DEFAULT_LINKID_MAP };
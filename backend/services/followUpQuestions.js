@@ -0,0 +1,138 @@
+/**
+ * Follow-up Questions
+ * Picks the questions worth asking after a partial parse. Unanswered, unrecognised
+ * and low-confidence fields are ranked by how far their answer could move the
+ * score, so a short follow-up can complete the profile instead of starting over.
+ */
+
+import { CORE_FIELDS } from './surveyParser.js';
+import { CONFIG } from './guardrails.js';
+import { scoreAnswers, PLAUSIBLE_VALUES } from './riskClassifier.js';
+import { translate, DEFAULT_LANGUAGE } from './messageCatalog.js';
+
+// Answers read with less confidence than this are worth confirming
+const LOW_CONFIDENCE_THRESHOLD = 0.8;
+
+const DEFAULT_LIMIT = 5;
+
+// Question prompt and allowed answers for each field that can be asked about
+const QUESTIONS = {
+    age: { prompt: 'How old are you?', type: 'number', min: CONFIG.AGE_MIN, max: CONFIG.AGE_MAX, unit: 'years' },
+    smoker: { prompt: 'Do you smoke?', type: 'boolean', values: [true, false] },
+    exercise: { prompt: 'How often do you exercise?', type: 'choice', values: ['rarely', 'sometimes', 'regularly'] },
+    diet: { prompt: 'How would you describe your diet?', type: 'choice', values: ['high sugar', 'balanced', 'healthy'] },
+    alcohol: { prompt: 'How often do you drink alcohol?', type: 'choice', values: ['rarely', 'moderate', 'heavy'] },
+    sleep: { prompt: 'How many hours do you sleep per night?', type: 'number', min: CONFIG.SLEEP_MIN, max: CONFIG.SLEEP_MAX, unit: 'hours' },
+    stress: { prompt: 'How would you rate your stress level?', type: 'choice', values: ['low', 'moderate', 'high'] },
+    bmi: { prompt: 'What is your body mass index (BMI)?', type: 'number', min: CONFIG.BMI_MIN, max: CONFIG.BMI_MAX, unit: 'kg/m²' }
+};
+
+// Fixed text of the follow-up chat, sent translated with the questions
+const CHAT_MESSAGES = {
+    title: 'A Few More Questions',
+    skip: 'Skip',
+    skipped: 'Skipped',
+    analyze: 'Analyze with These Answers',
+    start_over: 'Start Over',
+    number_range: 'Please enter a number between {min} and {max}.',
+    load_failed: 'Unable to load follow-up questions.'
+};
+
+// Answer as shown to the person: yes/no for booleans, the translated value otherwise
+function answerLabel(value, language) {
+    if (typeof value === 'boolean') return translate(value ? 'Yes' : 'No', language);
+    return translate(String(value), language);
+}
+
+function isAnswered(answers, field) {
+    return answers[field] !== undefined && answers[field] !== null;
+}
+
+// Why a field should be asked about, or null when its answer can stand
+function questionReason(field, answers, provenance, ambiguities) {
+    if (ambiguities.some(ambiguity => ambiguity.field === field)) return 'ambiguous';
+    if (!isAnswered(answers, field)) return 'missing';
+    const confidence = provenance[field]?.confidence;
+    return typeof confidence === 'number' && confidence < LOW_CONFIDENCE_THRESHOLD ? 'low_confidence' : null;
+}
+
+// Lowest and highest score across the field's plausible answers, all else unchanged
+function scoreImpact(field, answers, modelVersion) {
+    const scores = PLAUSIBLE_VALUES[field].map(value =>
+        scoreAnswers({ ...answers, [field]: value }, { modelVersion })
+    );
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+    return { min, max, spread: max - min };
+}
+
+function buildQuestion(field, reason, answers, provenance, ambiguities, modelVersion, language) {
+    const { prompt, ...allowed } = QUESTIONS[field];
+    const ambiguity = ambiguities.find(entry => entry.field === field);
+    return {
+        field,
+        prompt: translate(prompt, language),
+        ...allowed,
+        ...(allowed.values && {
+            choices: allowed.values.map(value => ({ value, label: answerLabel(value, language) }))
+        }),
+        ...(allowed.unit && { unit_label: translate(allowed.unit, language) }),
+        reason,
+        ...(reason === 'low_confidence' && {
+            current_value: answers[field],
+            confidence: provenance[field].confidence,
+            hint: translate('We read "{value}" but weren\'t sure.', language, { value: answerLabel(answers[field], language) })
+        }),
+        ...(reason === 'ambiguous' && {
+            current_value: ambiguity.value,
+            suggestion: ambiguity.suggestion,
+            similarity: ambiguity.similarity,
+            hint: [
+                translate('We didn\'t recognise "{value}".', language, { value: ambiguity.value }),
+                ...(ambiguity.suggestion !== null && ambiguity.suggestion !== undefined
+                    ? [translate('Did you mean "{suggestion}"?', language, { suggestion: answerLabel(ambiguity.suggestion, language) })]
+                    : [])
+            ].join(' ')
+        }),
+        required: !isAnswered(answers, field) && CORE_FIELDS.includes(field),
+        score_impact: scoreImpact(field, answers, modelVersion)
+    };
+}
+
+/**
+ * Rank the follow-up questions for a partial parse
+ * Missing core fields come first (the analysis cannot run without them), then
+ * the questions whose answer could move the score the most.
+ * @param {object} answers - Answers parsed so far
+ * @param {object} options - { fieldProvenance, ambiguities (from the parse), limit, language, modelVersion }
+ * @returns {object} { questions, complete, messages } where complete means every core field is
+ *   answered and messages is the chat's fixed text in the requested language
+ */
+export function getNextQuestions(answers = {}, options = {}) {
+    const {
+        fieldProvenance = {},
+        ambiguities = [],
+        limit = DEFAULT_LIMIT,
+        language = DEFAULT_LANGUAGE,
+        modelVersion
+    } = options;
+
+    const fieldOrder = Object.keys(QUESTIONS);
+    const questions = fieldOrder
+        .map(field => ({ field, reason: questionReason(field, answers, fieldProvenance, ambiguities) }))
+        .filter(candidate => candidate.reason)
+        .map(({ field, reason }) => buildQuestion(field, reason, answers, fieldProvenance, ambiguities, modelVersion, language))
+        .sort((a, b) =>
+            (b.required - a.required)
+            || (b.score_impact.spread - a.score_impact.spread)
+            || (fieldOrder.indexOf(a.field) - fieldOrder.indexOf(b.field))
+        );
+
+    return {
+        questions: questions.slice(0, limit),
+        complete: CORE_FIELDS.every(field => isAnswered(answers, field)),
+        messages: Object.fromEntries(Object.entries(CHAT_MESSAGES).map(([key, message]) => [key, translate(message, language)]))
+    };
+}
+
+export { QUESTIONS };
@@ -4,6 +4,7 @@
  */
 
 import { CORE_FIELDS } from './surveyParser.js';
+import { PARSER_LOCALES, normalizeText } from './parserLocales.js';
 
 // Configuration constants
 const CONFIG = {
@@ -14,7 +15,27 @@ const CONFIG = {
     BMI_MIN: 10,
     BMI_MAX: 100,
     SLEEP_MIN: 0,
-    SLEEP_MAX: 24
+    SLEEP_MAX: 24,
+    // Plausible bounds for quantity answers
+    QUANTITY_RANGES: {
+        moderate_minutes: { min: 0, max: 10080 },
+        vigorous_minutes: { min: 0, max: 10080 },
+        activity_minutes: { min: 0, max: 20160 },
+        drinks_per_week: { min: 0, max: 200 },
+        cigarettes_per_day: { min: 0, max: 100 },
+        pack_years: { min: 0, max: 200 },
+        stress_rating: { min: 1, max: 10 }
+    },
+    // Plausible bounds for clinical readings (mmHg, bpm, cm, mg/dL)
+    CLINICAL_RANGES: {
+        systolic_bp: { min: 60, max: 260 },
+        diastolic_bp: { min: 30, max: 160 },
+        resting_heart_rate: { min: 25, max: 220 },
+        waist_cm: { min: 40, max: 250 },
+        fasting_glucose: { min: 20, max: 600 },
+        total_cholesterol: { min: 50, max: 500 }
+    },
+    SUBJECT_ID_PATTERN: /^[A-Za-z0-9_.-]{1,64}$/
 };
 
 /**
@@ -79,7 +100,7 @@ export function checkProfileCompleteness(parseResult) {
  */
 function generateWarnings(parseResult) {
     const warnings = [];
-    const { missing_fields, confidence, answers } = parseResult;
+    const { missing_fields, ambiguities, confidence, answers } = parseResult;
 
     if (missing_fields && missing_fields.length > 0) {
         warnings.push({
@@ -89,6 +110,21 @@ function generateWarnings(parseResult) {
         });
     }
 
+    // Answers that matched no known value count as neither risk nor strength until confirmed
+    for (const ambiguity of ambiguities || []) {
+        const suggestion = typeof ambiguity.suggestion === 'boolean'
+            ? (ambiguity.suggestion ? 'yes' : 'no')
+            : ambiguity.suggestion;
+        warnings.push({
+            type: 'ambiguous_value',
+            message: `The ${ambiguity.field} answer "${ambiguity.value}" was not recognised.`
+                + (suggestion !== null && suggestion !== undefined ? ` Did you mean "${suggestion}"?` : ''),
+            field: ambiguity.field,
+            suggestion: ambiguity.suggestion,
+            similarity: ambiguity.similarity
+        });
+    }
+
     if (confidence < 0.8) {
         warnings.push({
             type: 'low_confidence',
@@ -238,6 +274,18 @@ export function validateAnswerRanges(answers) {
         }
     }
 
+    // Quantity and clinical reading validation
+    for (const [field, range] of Object.entries({ ...CONFIG.QUANTITY_RANGES, ...CONFIG.CLINICAL_RANGES })) {
+        if (typeof correctedAnswers[field] !== 'number') continue;
+        if (correctedAnswers[field] < range.min) {
+            corrections.push({ field, action: 'clamped_to_min', original: correctedAnswers[field] });
+            correctedAnswers[field] = range.min;
+        } else if (correctedAnswers[field] > range.max) {
+            corrections.push({ field, action: 'clamped_to_max', original: correctedAnswers[field] });
+            correctedAnswers[field] = range.max;
+        }
+    }
+
     // Normalize boolean smoker if string
     if (correctedAnswers.smoker !== undefined && typeof correctedAnswers.smoker === 'string') {
         const lower = correctedAnswers.smoker.toLowerCase();
@@ -257,6 +305,21 @@ export function validateAnswerRanges(answers) {
     };
 }
 
+/**
+ * Validate a subject ID used to store assessment history
+ */
+export function validateSubjectId(subjectId) {
+    if (typeof subjectId !== 'string' || !CONFIG.SUBJECT_ID_PATTERN.test(subjectId)) {
+        return {
+            isValid: false,
+            status: 'invalid_subject_id',
+            reason: 'Subject ID must be 1-64 characters of letters, digits, ".", "_" or "-"'
+        };
+    }
+
+    return { isValid: true };
+}
+
 /**
  * Validate OCR text quality
  */
@@ -282,8 +345,8 @@ export function validateOcrText(text) {
 
     // Check for common OCR artifacts
     const artifactPatterns = [
-        /[^\x00-\x7F]{5,}/,  // Many non-ASCII characters in a row
-        /(.)\1{5,}/,         // Same character repeated many times
+        /[^\x00-\x7F\p{L}\p{M}]{5,}/u,  // Many non-ASCII, non-letter characters in a row
+        /(\S)\1{5,}/,        // Same character repeated many times (column padding excluded)
     ];
 
     for (const pattern of artifactPatterns) {
@@ -296,9 +359,12 @@ export function validateOcrText(text) {
         }
     }
 
-    // Check for recognizable survey keywords
-    const surveyKeywords = ['age', 'smoker', 'smoking', 'exercise', 'diet', 'sleep', 'stress'];
-    const foundKeywords = surveyKeywords.filter(kw => trimmed.toLowerCase().includes(kw));
+    // Check for recognizable survey keywords in any supported language
+    const surveyKeywords = [...new Set(
+        Object.values(PARSER_LOCALES).flatMap(locale => Object.values(locale.fields).flat().map(normalizeText))
+    )];
+    const normalizedText = normalizeText(trimmed);
+    const foundKeywords = surveyKeywords.filter(kw => normalizedText.includes(kw));
 
     if (foundKeywords.length === 0) {
         warnings.push({
@@ -0,0 +1,492 @@
+/**
+ * Message Catalog
+ * Translations of user-facing recommendation and rationale text
+ */
+
+// Translations keyed by the English source message. Messages missing from a
+// catalog fall back to English. "{name}" placeholders are filled at runtime.
+const MESSAGE_CATALOG = {
+    es: {
+        // Recommendations
+        'Quit smoking': 'Dejar de fumar',
+        'Consider nicotine replacement therapy or consult a healthcare provider for smoking cessation programs':
+            'Considere la terapia de reemplazo de nicotina o consulte a un profesional de la salud sobre programas para dejar de fumar',
+        'Improve your diet': 'Mejore su alimentación',
+        'Reduce sugar intake, increase vegetables and whole grains, limit processed foods':
+            'Reduzca el consumo de azúcar, aumente las verduras y los cereales integrales, limite los alimentos procesados',
+        'Increase physical activity': 'Aumente su actividad física',
+        'Start with 30 minutes of walking daily, gradually increase intensity':
+            'Comience con 30 minutos de caminata al día y aumente la intensidad gradualmente',
+        'Reduce alcohol consumption': 'Reduzca el consumo de alcohol',
+        'Limit to moderate drinking or consider abstaining. Seek support if needed':
+            'Limítese a un consumo moderado o considere dejarlo. Busque apoyo si lo necesita',
+        'Improve sleep habits': 'Mejore sus hábitos de sueño',
+        'Aim for 7-8 hours of quality sleep. Maintain consistent sleep schedule':
+            'Procure dormir de 7 a 8 horas de calidad. Mantenga un horario de sueño constante',
+        'Manage stress levels': 'Controle sus niveles de estrés',
+        'Practice relaxation techniques, consider meditation or yoga, take regular breaks':
+            'Practique técnicas de relajación, considere la meditación o el yoga y tome descansos regulares',
+        'Work towards healthy weight': 'Trabaje para alcanzar un peso saludable',
+        'Consult healthcare provider for personalized weight management plan':
+            'Consulte a un profesional de la salud para un plan personalizado de control de peso',
+        'Consider weight management': 'Considere controlar su peso',
+        'Focus on balanced diet and regular exercise for gradual weight loss':
+            'Concéntrese en una dieta equilibrada y ejercicio regular para perder peso de forma gradual',
+        'Regular health checkups': 'Revisiones médicas periódicas',
+        'Schedule regular screenings and preventive care appointments':
+            'Programe exámenes periódicos y citas de atención preventiva',
+        'Stay hydrated': 'Manténgase hidratado',
+        'Drink at least 8 glasses of water daily': 'Beba al menos 8 vasos de agua al día',
+        'Schedule annual wellness visits with your healthcare provider':
+            'Programe visitas anuales de bienestar con su profesional de la salud',
+        'Follow up on your blood pressure': 'Haga seguimiento de su presión arterial',
+        'Discuss your readings with a healthcare provider. Cutting salt, staying active and limiting alcohol all help':
+            'Comente sus mediciones con un profesional de la salud. Reducir la sal, mantenerse activo y limitar el alcohol ayudan',
+        'Keep an eye on your blood pressure': 'Vigile su presión arterial',
+        'Recheck it regularly. Less salt, regular exercise and a healthy weight help keep it down':
+            'Mídala con regularidad. Menos sal, ejercicio regular y un peso saludable ayudan a mantenerla baja',
+        'Build cardiovascular fitness': 'Mejore su condición cardiovascular',
+        'Regular aerobic exercise lowers resting heart rate. Mention persistently high readings to a healthcare provider':
+            'El ejercicio aeróbico regular reduce la frecuencia cardíaca en reposo. Comente las mediciones altas persistentes con un profesional de la salud',
+        'Reduce your waist size': 'Reduzca su cintura',
+        'Cut back on sugary drinks and refined carbohydrates and add regular activity to lose abdominal fat':
+            'Reduzca las bebidas azucaradas y los carbohidratos refinados y añada actividad regular para perder grasa abdominal',
+        'Have your blood sugar checked': 'Hágase revisar el azúcar en sangre',
+        'A fasting glucose in this range should be followed up with a healthcare provider':
+            'Una glucosa en ayunas en este rango debe ser evaluada por un profesional de la salud',
+        'Bring your blood sugar down': 'Reduzca su azúcar en sangre',
+        'Limit sugary foods and refined carbohydrates, stay active and retest within a year':
+            'Limite los alimentos azucarados y los carbohidratos refinados, manténgase activo y repita la prueba dentro de un año',
+        'Lower your cholesterol': 'Reduzca su colesterol',
+        'Discuss your cholesterol with a healthcare provider. Limit saturated fat and eat more fibre':
+            'Comente su colesterol con un profesional de la salud. Limite las grasas saturadas y coma más fibra',
+        'Watch your cholesterol': 'Vigile su colesterol',
+        'Choose unsaturated fats, eat more fibre and have your cholesterol rechecked regularly':
+            'Elija grasas insaturadas, coma más fibra y revise su colesterol con regularidad',
+        'Screen early for heart disease': 'Hágase pruebas tempranas de enfermedad cardíaca',
+        'Tell your healthcare provider about your family history and keep up with blood pressure and cholesterol checks':
+            'Informe a su profesional de la salud sobre sus antecedentes familiares y mantenga al día los controles de presión arterial y colesterol',
+        'Screen regularly for diabetes': 'Hágase pruebas de diabetes con regularidad',
+        'With diabetes in the family, have your blood sugar tested regularly and keep a healthy weight':
+            'Con diabetes en la familia, mida su azúcar en sangre con regularidad y mantenga un peso saludable',
+
+        // Rationale
+        'smoking': 'tabaquismo',
+        'smoking ({count} cigarettes per day)': 'tabaquismo ({count} cigarrillos al día)',
+        'smoking ({pack_years} pack-years)': 'tabaquismo ({pack_years} paquetes-año)',
+        'low physical activity ({minutes} min/week)': 'baja actividad física ({minutes} min/semana)',
+        'high alcohol consumption ({drinks} drinks per week)': 'alto consumo de alcohol ({drinks} bebidas por semana)',
+        'chronic stress (rated {rating}/10)': 'estrés crónico (valorado {rating}/10)',
+        '{diet} diet': 'dieta {diet}',
+        'poor dietary habits': 'malos hábitos alimenticios',
+        'low physical activity': 'baja actividad física',
+        'sedentary lifestyle': 'estilo de vida sedentario',
+        'high alcohol consumption': 'alto consumo de alcohol',
+        'inadequate sleep ({hours} hours)': 'sueño insuficiente ({hours} horas)',
+        'poor sleep quality': 'mala calidad del sueño',
+        'chronic stress': 'estrés crónico',
+        'obesity (BMI: {bmi})': 'obesidad (IMC: {bmi})',
+        'obesity': 'obesidad',
+        'overweight (BMI: {bmi})': 'sobrepeso (IMC: {bmi})',
+        'overweight': 'sobrepeso',
+        'age factor ({age} years)': 'factor de edad ({age} años)',
+        'high blood pressure ({bp} mmHg)': 'presión arterial alta ({bp} mmHg)',
+        'elevated blood pressure ({bp} mmHg)': 'presión arterial elevada ({bp} mmHg)',
+        'high resting heart rate ({bpm} bpm)': 'frecuencia cardíaca en reposo alta ({bpm} lpm)',
+        'large waist circumference ({waist} cm)': 'circunferencia de cintura elevada ({waist} cm)',
+        'fasting glucose in the diabetes range ({glucose} mg/dL)': 'glucosa en ayunas en rango de diabetes ({glucose} mg/dL)',
+        'elevated fasting glucose ({glucose} mg/dL)': 'glucosa en ayunas elevada ({glucose} mg/dL)',
+        'high total cholesterol ({cholesterol} mg/dL)': 'colesterol total alto ({cholesterol} mg/dL)',
+        'borderline high cholesterol ({cholesterol} mg/dL)': 'colesterol en el límite alto ({cholesterol} mg/dL)',
+        'family history of heart disease': 'antecedentes familiares de enfermedad cardíaca',
+        'family history of diabetes': 'antecedentes familiares de diabetes',
+        'smoking combined with heavy alcohol use': 'tabaquismo combinado con consumo elevado de alcohol',
+        'smoking combined with high blood pressure': 'tabaquismo combinado con presión arterial alta',
+        'smoking combined with high cholesterol': 'tabaquismo combinado con colesterol alto',
+        'obesity combined with physical inactivity': 'obesidad combinada con inactividad física',
+        'poor diet combined with physical inactivity': 'mala alimentación combinada con inactividad física',
+        'high blood glucose combined with high blood pressure': 'glucosa alta combinada con presión arterial alta',
+
+        // Strengths (protective factors)
+        'regular exercise': 'ejercicio regular',
+        'regular exercise ({minutes} min/week)': 'ejercicio regular ({minutes} min/semana)',
+        'healthy diet': 'alimentación saludable',
+        'never smoked': 'nunca ha fumado',
+        'healthy weight': 'peso saludable',
+        'healthy weight (BMI: {bmi})': 'peso saludable (IMC: {bmi})',
+        'healthy sleep': 'sueño saludable',
+        'healthy sleep ({hours} hours)': 'sueño saludable ({hours} horas)',
+        'low stress': 'estrés bajo',
+
+        // Follow-up questions
+        'How old are you?': '¿Cuántos años tiene?',
+        'Do you smoke?': '¿Fuma?',
+        'How often do you exercise?': '¿Con qué frecuencia hace ejercicio?',
+        'How would you describe your diet?': '¿Cómo describiría su alimentación?',
+        'How often do you drink alcohol?': '¿Con qué frecuencia bebe alcohol?',
+        'How many hours do you sleep per night?': '¿Cuántas horas duerme por noche?',
+        'How would you rate your stress level?': '¿Cómo calificaría su nivel de estrés?',
+        'What is your body mass index (BMI)?': '¿Cuál es su índice de masa corporal (IMC)?',
+        'years': 'años',
+        'hours': 'horas',
+        'Yes': 'Sí',
+        'No': 'No',
+        'rarely': 'rara vez',
+        'sometimes': 'a veces',
+        'regularly': 'con regularidad',
+        'balanced': 'equilibrada',
+        'healthy': 'saludable',
+        'moderate': 'moderado',
+        'heavy': 'excesivo',
+        'low': 'bajo',
+        'high': 'alto',
+        'We read "{value}" but weren\'t sure.': 'Leímos "{value}", pero no estamos seguros.',
+        'We didn\'t recognise "{value}".': 'No reconocimos "{value}".',
+        'Did you mean "{suggestion}"?': '¿Quiso decir "{suggestion}"?',
+        'A Few More Questions': 'Algunas preguntas más',
+        'Skip': 'Omitir',
+        'Skipped': 'Omitida',
+        'Analyze with These Answers': 'Analizar con estas respuestas',
+        'Start Over': 'Empezar de nuevo',
+        'Please enter a number between {min} and {max}.': 'Introduzca un número entre {min} y {max}.',
+        'Unable to load follow-up questions.': 'No se pudieron cargar las preguntas de seguimiento.',
+
+        // Answer values used in rationale
+        'high sugar': 'alta en azúcar',
+        'junk': 'comida chatarra',
+        'fast food': 'comida rápida',
+        'unhealthy': 'poco saludable'
+    },
+
+    fr: {
+        // Recommendations
+        'Quit smoking': 'Arrêter de fumer',
+        'Consider nicotine replacement therapy or consult a healthcare provider for smoking cessation programs':
+            'Envisagez un traitement de substitution nicotinique ou consultez un professionnel de santé pour un programme de sevrage tabagique',
+        'Improve your diet': 'Améliorez votre alimentation',
+        'Reduce sugar intake, increase vegetables and whole grains, limit processed foods':
+            'Réduisez le sucre, mangez plus de légumes et de céréales complètes, limitez les aliments transformés',
+        'Increase physical activity': 'Augmentez votre activité physique',
+        'Start with 30 minutes of walking daily, gradually increase intensity':
+            'Commencez par 30 minutes de marche par jour, puis augmentez progressivement l\'intensité',
+        'Reduce alcohol consumption': 'Réduisez votre consommation d\'alcool',
+        'Limit to moderate drinking or consider abstaining. Seek support if needed':
+            'Limitez-vous à une consommation modérée ou envisagez l\'abstinence. Demandez de l\'aide si nécessaire',
+        'Improve sleep habits': 'Améliorez vos habitudes de sommeil',
+        'Aim for 7-8 hours of quality sleep. Maintain consistent sleep schedule':
+            'Visez 7 à 8 heures de sommeil de qualité. Gardez des horaires de sommeil réguliers',
+        'Manage stress levels': 'Gérez votre niveau de stress',
+        'Practice relaxation techniques, consider meditation or yoga, take regular breaks':
+            'Pratiquez des techniques de relaxation, essayez la méditation ou le yoga, faites des pauses régulières',
+        'Work towards healthy weight': 'Visez un poids santé',
+        'Consult healthcare provider for personalized weight management plan':
+            'Consultez un professionnel de santé pour un plan personnalisé de gestion du poids',
+        'Consider weight management': 'Pensez à surveiller votre poids',
+        'Focus on balanced diet and regular exercise for gradual weight loss':
+            'Misez sur une alimentation équilibrée et une activité régulière pour une perte de poids progressive',
+        'Regular health checkups': 'Bilans de santé réguliers',
+        'Schedule regular screenings and preventive care appointments':
+            'Planifiez des dépistages réguliers et des rendez-vous de prévention',
+        'Stay hydrated': 'Restez hydraté',
+        'Drink at least 8 glasses of water daily': 'Buvez au moins 8 verres d\'eau par jour',
+        'Schedule annual wellness visits with your healthcare provider':
+            'Prévoyez une visite annuelle de prévention avec votre professionnel de santé',
+        'Follow up on your blood pressure': 'Faites suivre votre tension artérielle',
+        'Discuss your readings with a healthcare provider. Cutting salt, staying active and limiting alcohol all help':
+            'Parlez de vos mesures à un professionnel de santé. Réduire le sel, rester actif et limiter l\'alcool aident',
+        'Keep an eye on your blood pressure': 'Surveillez votre tension artérielle',
+        'Recheck it regularly. Less salt, regular exercise and a healthy weight help keep it down':
+            'Mesurez-la régulièrement. Moins de sel, une activité régulière et un poids sain aident à la faire baisser',
+        'Build cardiovascular fitness': 'Améliorez votre condition cardiovasculaire',
+        'Regular aerobic exercise lowers resting heart rate. Mention persistently high readings to a healthcare provider':
+            'L\'exercice aérobie régulier abaisse la fréquence cardiaque au repos. Signalez des mesures élevées persistantes à un professionnel de santé',
+        'Reduce your waist size': 'Réduisez votre tour de taille',
+        'Cut back on sugary drinks and refined carbohydrates and add regular activity to lose abdominal fat':
+            'Limitez les boissons sucrées et les glucides raffinés et ajoutez une activité régulière pour perdre de la graisse abdominale',
+        'Have your blood sugar checked': 'Faites contrôler votre glycémie',
+        'A fasting glucose in this range should be followed up with a healthcare provider':
+            'Une glycémie à jeun dans cette plage doit être suivie par un professionnel de santé',
+        'Bring your blood sugar down': 'Faites baisser votre glycémie',
+        'Limit sugary foods and refined carbohydrates, stay active and retest within a year':
+            'Limitez les aliments sucrés et les glucides raffinés, restez actif et refaites le test d\'ici un an',
+        'Lower your cholesterol': 'Réduisez votre cholestérol',
+        'Discuss your cholesterol with a healthcare provider. Limit saturated fat and eat more fibre':
+            'Parlez de votre cholestérol à un professionnel de santé. Limitez les graisses saturées et mangez plus de fibres',
+        'Watch your cholesterol': 'Surveillez votre cholestérol',
+        'Choose unsaturated fats, eat more fibre and have your cholesterol rechecked regularly':
+            'Privilégiez les graisses insaturées, mangez plus de fibres et faites contrôler votre cholestérol régulièrement',
+        'Screen early for heart disease': 'Faites un dépistage précoce des maladies cardiaques',
+        'Tell your healthcare provider about your family history and keep up with blood pressure and cholesterol checks':
+            'Informez votre professionnel de santé de vos antécédents familiaux et faites contrôler régulièrement votre tension et votre cholestérol',
+        'Screen regularly for diabetes': 'Faites dépister régulièrement le diabète',
+        'With diabetes in the family, have your blood sugar tested regularly and keep a healthy weight':
+            'Avec du diabète dans la famille, faites contrôler votre glycémie régulièrement et gardez un poids sain',
+
+        // Rationale
+        'smoking': 'tabagisme',
+        'smoking ({count} cigarettes per day)': 'tabagisme ({count} cigarettes par jour)',
+        'smoking ({pack_years} pack-years)': 'tabagisme ({pack_years} paquets-années)',
+        'low physical activity ({minutes} min/week)': 'faible activité physique ({minutes} min/semaine)',
+        'high alcohol consumption ({drinks} drinks per week)': 'consommation d\'alcool élevée ({drinks} verres par semaine)',
+        'chronic stress (rated {rating}/10)': 'stress chronique (noté {rating}/10)',
+        '{diet} diet': 'alimentation {diet}',
+        'poor dietary habits': 'mauvaises habitudes alimentaires',
+        'low physical activity': 'faible activité physique',
+        'sedentary lifestyle': 'mode de vie sédentaire',
+        'high alcohol consumption': 'consommation d\'alcool élevée',
+        'inadequate sleep ({hours} hours)': 'sommeil insuffisant ({hours} heures)',
+        'poor sleep quality': 'mauvaise qualité du sommeil',
+        'chronic stress': 'stress chronique',
+        'obesity (BMI: {bmi})': 'obésité (IMC : {bmi})',
+        'obesity': 'obésité',
+        'overweight (BMI: {bmi})': 'surpoids (IMC : {bmi})',
+        'overweight': 'surpoids',
+        'age factor ({age} years)': 'facteur d\'âge ({age} ans)',
+        'high blood pressure ({bp} mmHg)': 'hypertension artérielle ({bp} mmHg)',
+        'elevated blood pressure ({bp} mmHg)': 'tension artérielle élevée ({bp} mmHg)',
+        'high resting heart rate ({bpm} bpm)': 'fréquence cardiaque au repos élevée ({bpm} bpm)',
+        'large waist circumference ({waist} cm)': 'tour de taille élevé ({waist} cm)',
+        'fasting glucose in the diabetes range ({glucose} mg/dL)': 'glycémie à jeun dans la plage du diabète ({glucose} mg/dL)',
+        'elevated fasting glucose ({glucose} mg/dL)': 'glycémie à jeun élevée ({glucose} mg/dL)',
+        'high total cholesterol ({cholesterol} mg/dL)': 'cholestérol total élevé ({cholesterol} mg/dL)',
+        'borderline high cholesterol ({cholesterol} mg/dL)': 'cholestérol à la limite supérieure ({cholesterol} mg/dL)',
+        'family history of heart disease': 'antécédents familiaux de maladie cardiaque',
+        'family history of diabetes': 'antécédents familiaux de diabète',
+        'smoking combined with heavy alcohol use': 'tabagisme associé à une forte consommation d\'alcool',
+        'smoking combined with high blood pressure': 'tabagisme associé à une tension artérielle élevée',
+        'smoking combined with high cholesterol': 'tabagisme associé à un cholestérol élevé',
+        'obesity combined with physical inactivity': 'obésité associée à l\'inactivité physique',
+        'poor diet combined with physical inactivity': 'mauvaise alimentation associée à l\'inactivité physique',
+        'high blood glucose combined with high blood pressure': 'glycémie élevée associée à une tension artérielle élevée',
+
+        // Strengths (protective factors)
+        'regular exercise': 'activité physique régulière',
+        'regular exercise ({minutes} min/week)': 'activité physique régulière ({minutes} min/semaine)',
+        'healthy diet': 'alimentation saine',
+        'never smoked': 'n\'a jamais fumé',
+        'healthy weight': 'poids santé',
+        'healthy weight (BMI: {bmi})': 'poids santé (IMC : {bmi})',
+        'healthy sleep': 'sommeil sain',
+        'healthy sleep ({hours} hours)': 'sommeil sain ({hours} heures)',
+        'low stress': 'stress faible',
+
+        // Follow-up questions
+        'How old are you?': 'Quel âge avez-vous ?',
+        'Do you smoke?': 'Fumez-vous ?',
+        'How often do you exercise?': 'À quelle fréquence faites-vous de l\'exercice ?',
+        'How would you describe your diet?': 'Comment décririez-vous votre alimentation ?',
+        'How often do you drink alcohol?': 'À quelle fréquence buvez-vous de l\'alcool ?',
+        'How many hours do you sleep per night?': 'Combien d\'heures dormez-vous par nuit ?',
+        'How would you rate your stress level?': 'Comment évalueriez-vous votre niveau de stress ?',
+        'What is your body mass index (BMI)?': 'Quel est votre indice de masse corporelle (IMC) ?',
+        'years': 'ans',
+        'hours': 'heures',
+        'Yes': 'Oui',
+        'No': 'Non',
+        'rarely': 'rarement',
+        'sometimes': 'parfois',
+        'regularly': 'régulièrement',
+        'balanced': 'équilibrée',
+        'healthy': 'saine',
+        'moderate': 'modéré',
+        'heavy': 'excessif',
+        'low': 'faible',
+        'high': 'élevé',
+        'We read "{value}" but weren\'t sure.': 'Nous avons lu « {value} » sans en être sûrs.',
+        'We didn\'t recognise "{value}".': 'Nous n\'avons pas reconnu « {value} ».',
+        'Did you mean "{suggestion}"?': 'Vouliez-vous dire « {suggestion} » ?',
+        'A Few More Questions': 'Quelques questions de plus',
+        'Skip': 'Passer',
+        'Skipped': 'Passée',
+        'Analyze with These Answers': 'Analyser avec ces réponses',
+        'Start Over': 'Recommencer',
+        'Please enter a number between {min} and {max}.': 'Saisissez un nombre entre {min} et {max}.',
+        'Unable to load follow-up questions.': 'Impossible de charger les questions de suivi.',
+
+        // Answer values used in rationale
+        'high sugar': 'riche en sucre',
+        'junk': 'malbouffe',
+        'fast food': 'restauration rapide',
+        'unhealthy': 'malsaine'
+    },
+
+    hi: {
+        // Recommendations
+        'Quit smoking': 'धूम्रपान छोड़ें',
+        'Consider nicotine replacement therapy or consult a healthcare provider for smoking cessation programs':
+            'निकोटीन रिप्लेसमेंट थेरेपी पर विचार करें या धूम्रपान छोड़ने के कार्यक्रमों के लिए स्वास्थ्य सेवा प्रदाता से सलाह लें',
+        'Improve your diet': 'अपना आहार सुधारें',
+        'Reduce sugar intake, increase vegetables and whole grains, limit processed foods':
+            'चीनी कम करें, सब्ज़ियाँ और साबुत अनाज बढ़ाएँ, प्रोसेस्ड खाद्य पदार्थ सीमित करें',
+        'Increase physical activity': 'शारीरिक गतिविधि बढ़ाएँ',
+        'Start with 30 minutes of walking daily, gradually increase intensity':
+            'रोज़ 30 मिनट पैदल चलने से शुरू करें, धीरे-धीरे तीव्रता बढ़ाएँ',
+        'Reduce alcohol consumption': 'शराब का सेवन कम करें',
+        'Limit to moderate drinking or consider abstaining. Seek support if needed':
+            'सीमित मात्रा में पिएँ या छोड़ने पर विचार करें। ज़रूरत हो तो सहायता लें',
+        'Improve sleep habits': 'नींद की आदतें सुधारें',
+        'Aim for 7-8 hours of quality sleep. Maintain consistent sleep schedule':
+            '7-8 घंटे की अच्छी नींद लें। सोने का नियमित समय बनाए रखें',
+        'Manage stress levels': 'तनाव को नियंत्रित करें',
+        'Practice relaxation techniques, consider meditation or yoga, take regular breaks':
+            'विश्राम तकनीकों का अभ्यास करें, ध्यान या योग अपनाएँ, नियमित ब्रेक लें',
+        'Work towards healthy weight': 'स्वस्थ वज़न की ओर बढ़ें',
+        'Consult healthcare provider for personalized weight management plan':
+            'व्यक्तिगत वज़न प्रबंधन योजना के लिए स्वास्थ्य सेवा प्रदाता से सलाह लें',
+        'Consider weight management': 'वज़न नियंत्रण पर ध्यान दें',
+        'Focus on balanced diet and regular exercise for gradual weight loss':
+            'धीरे-धीरे वज़न घटाने के लिए संतुलित आहार और नियमित व्यायाम पर ध्यान दें',
+        'Regular health checkups': 'नियमित स्वास्थ्य जाँच',
+        'Schedule regular screenings and preventive care appointments':
+            'नियमित जाँच और निवारक देखभाल के लिए समय तय करें',
+        'Stay hydrated': 'पर्याप्त पानी पिएँ',
+        'Drink at least 8 glasses of water daily': 'रोज़ कम से कम 8 गिलास पानी पिएँ',
+        'Schedule annual wellness visits with your healthcare provider':
+            'अपने स्वास्थ्य सेवा प्रदाता के साथ सालाना जाँच तय करें',
+        'Follow up on your blood pressure': 'अपने रक्तचाप की जाँच करवाते रहें',
+        'Discuss your readings with a healthcare provider. Cutting salt, staying active and limiting alcohol all help':
+            'अपनी रीडिंग के बारे में स्वास्थ्य सेवा प्रदाता से बात करें। नमक कम करना, सक्रिय रहना और शराब सीमित करना मदद करता है',
+        'Keep an eye on your blood pressure': 'अपने रक्तचाप पर नज़र रखें',
+        'Recheck it regularly. Less salt, regular exercise and a healthy weight help keep it down':
+            'इसे नियमित रूप से जाँचें। कम नमक, नियमित व्यायाम और स्वस्थ वज़न इसे कम रखने में मदद करते हैं',
+        'Build cardiovascular fitness': 'हृदय की फिटनेस बढ़ाएँ',
+        'Regular aerobic exercise lowers resting heart rate. Mention persistently high readings to a healthcare provider':
+            'नियमित एरोबिक व्यायाम आराम की हृदय गति कम करता है। लगातार अधिक रीडिंग के बारे में स्वास्थ्य सेवा प्रदाता को बताएँ',
+        'Reduce your waist size': 'अपनी कमर का माप कम करें',
+        'Cut back on sugary drinks and refined carbohydrates and add regular activity to lose abdominal fat':
+            'पेट की चर्बी घटाने के लिए मीठे पेय और रिफाइंड कार्बोहाइड्रेट कम करें और नियमित गतिविधि जोड़ें',
+        'Have your blood sugar checked': 'अपनी ब्लड शुगर की जाँच करवाएँ',
+        'A fasting glucose in this range should be followed up with a healthcare provider':
+            'इस सीमा में फास्टिंग ग्लूकोज़ के बारे में स्वास्थ्य सेवा प्रदाता से परामर्श करना चाहिए',
+        'Bring your blood sugar down': 'अपनी ब्लड शुगर कम करें',
+        'Limit sugary foods and refined carbohydrates, stay active and retest within a year':
+            'मीठे खाद्य पदार्थ और रिफाइंड कार्बोहाइड्रेट सीमित करें, सक्रिय रहें और एक साल के भीतर फिर से जाँच करवाएँ',
+        'Lower your cholesterol': 'अपना कोलेस्ट्रॉल कम करें',
+        'Discuss your cholesterol with a healthcare provider. Limit saturated fat and eat more fibre':
+            'अपने कोलेस्ट्रॉल के बारे में स्वास्थ्य सेवा प्रदाता से बात करें। संतृप्त वसा सीमित करें और अधिक फाइबर खाएँ',
+        'Watch your cholesterol': 'अपने कोलेस्ट्रॉल पर ध्यान दें',
+        'Choose unsaturated fats, eat more fibre and have your cholesterol rechecked regularly':
+            'असंतृप्त वसा चुनें, अधिक फाइबर खाएँ और नियमित रूप से कोलेस्ट्रॉल की जाँच करवाएँ',
+        'Screen early for heart disease': 'हृदय रोग की जल्दी जाँच करवाएँ',
+        'Tell your healthcare provider about your family history and keep up with blood pressure and cholesterol checks':
+            'अपने स्वास्थ्य सेवा प्रदाता को अपने पारिवारिक इतिहास के बारे में बताएँ और रक्तचाप व कोलेस्ट्रॉल की जाँच करवाते रहें',
+        'Screen regularly for diabetes': 'मधुमेह की नियमित जाँच करवाएँ',
+        'With diabetes in the family, have your blood sugar tested regularly and keep a healthy weight':
+            'परिवार में मधुमेह होने पर नियमित रूप से ब्लड शुगर की जाँच करवाएँ और स्वस्थ वज़न बनाए रखें',
+
+        // Rationale
+        'smoking': 'धूम्रपान',
+        'smoking ({count} cigarettes per day)': 'धूम्रपान (प्रति दिन {count} सिगरेट)',
+        'smoking ({pack_years} pack-years)': 'धूम्रपान ({pack_years} पैक-वर्ष)',
+        'low physical activity ({minutes} min/week)': 'कम शारीरिक गतिविधि ({minutes} मिनट/सप्ताह)',
+        'high alcohol consumption ({drinks} drinks per week)': 'अधिक शराब सेवन (प्रति सप्ताह {drinks} ड्रिंक)',
+        'chronic stress (rated {rating}/10)': 'लगातार तनाव ({rating}/10 रेटिंग)',
+        '{diet} diet': '{diet} आहार',
+        'poor dietary habits': 'खराब खान-पान की आदतें',
+        'low physical activity': 'कम शारीरिक गतिविधि',
+        'sedentary lifestyle': 'निष्क्रिय जीवनशैली',
+        'high alcohol consumption': 'अधिक शराब सेवन',
+        'inadequate sleep ({hours} hours)': 'अपर्याप्त नींद ({hours} घंटे)',
+        'poor sleep quality': 'खराब नींद',
+        'chronic stress': 'लगातार तनाव',
+        'obesity (BMI: {bmi})': 'मोटापा (बीएमआई: {bmi})',
+        'obesity': 'मोटापा',
+        'overweight (BMI: {bmi})': 'अधिक वज़न (बीएमआई: {bmi})',
+        'overweight': 'अधिक वज़न',
+        'age factor ({age} years)': 'आयु कारक ({age} वर्ष)',
+        'high blood pressure ({bp} mmHg)': 'उच्च रक्तचाप ({bp} mmHg)',
+        'elevated blood pressure ({bp} mmHg)': 'बढ़ा हुआ रक्तचाप ({bp} mmHg)',
+        'high resting heart rate ({bpm} bpm)': 'आराम की अधिक हृदय गति ({bpm} bpm)',
+        'large waist circumference ({waist} cm)': 'कमर का अधिक माप ({waist} सेमी)',
+        'fasting glucose in the diabetes range ({glucose} mg/dL)': 'मधुमेह की सीमा में फास्टिंग ग्लूकोज़ ({glucose} mg/dL)',
+        'elevated fasting glucose ({glucose} mg/dL)': 'बढ़ा हुआ फास्टिंग ग्लूकोज़ ({glucose} mg/dL)',
+        'high total cholesterol ({cholesterol} mg/dL)': 'उच्च कुल कोलेस्ट्रॉल ({cholesterol} mg/dL)',
+        'borderline high cholesterol ({cholesterol} mg/dL)': 'सीमा पर उच्च कोलेस्ट्रॉल ({cholesterol} mg/dL)',
+        'family history of heart disease': 'परिवार में हृदय रोग का इतिहास',
+        'family history of diabetes': 'परिवार में मधुमेह का इतिहास',
+        'smoking combined with heavy alcohol use': 'धूम्रपान के साथ अधिक शराब का सेवन',
+        'smoking combined with high blood pressure': 'धूम्रपान के साथ उच्च रक्तचाप',
+        'smoking combined with high cholesterol': 'धूम्रपान के साथ उच्च कोलेस्ट्रॉल',
+        'obesity combined with physical inactivity': 'मोटापे के साथ शारीरिक निष्क्रियता',
+        'poor diet combined with physical inactivity': 'खराब आहार के साथ शारीरिक निष्क्रियता',
+        'high blood glucose combined with high blood pressure': 'उच्च रक्त शर्करा के साथ उच्च रक्तचाप',
+
+        // Strengths (protective factors)
+        'regular exercise': 'नियमित व्यायाम',
+        'regular exercise ({minutes} min/week)': 'नियमित व्यायाम ({minutes} मिनट/सप्ताह)',
+        'healthy diet': 'स्वस्थ आहार',
+        'never smoked': 'कभी धूम्रपान नहीं किया',
+        'healthy weight': 'स्वस्थ वजन',
+        'healthy weight (BMI: {bmi})': 'स्वस्थ वजन (BMI: {bmi})',
+        'healthy sleep': 'स्वस्थ नींद',
+        'healthy sleep ({hours} hours)': 'स्वस्थ नींद ({hours} घंटे)',
+        'low stress': 'कम तनाव',
+
+        // Follow-up questions
+        'How old are you?': 'आपकी उम्र क्या है?',
+        'Do you smoke?': 'क्या आप धूम्रपान करते हैं?',
+        'How often do you exercise?': 'आप कितनी बार व्यायाम करते हैं?',
+        'How would you describe your diet?': 'आप अपने आहार का वर्णन कैसे करेंगे?',
+        'How often do you drink alcohol?': 'आप कितनी बार शराब पीते हैं?',
+        'How many hours do you sleep per night?': 'आप हर रात कितने घंटे सोते हैं?',
+        'How would you rate your stress level?': 'आप अपने तनाव के स्तर को कैसे आंकेंगे?',
+        'What is your body mass index (BMI)?': 'आपका बॉडी मास इंडेक्स (BMI) क्या है?',
+        'years': 'वर्ष',
+        'hours': 'घंटे',
+        'Yes': 'हाँ',
+        'No': 'नहीं',
+        'rarely': 'शायद ही कभी',
+        'sometimes': 'कभी-कभी',
+        'regularly': 'नियमित रूप से',
+        'balanced': 'संतुलित',
+        'healthy': 'स्वस्थ',
+        'moderate': 'मध्यम',
+        'heavy': 'अधिक',
+        'low': 'कम',
+        'high': 'उच्च',
+        'We read "{value}" but weren\'t sure.': 'हमने "{value}" पढ़ा, लेकिन हमें पक्का नहीं है।',
+        'We didn\'t recognise "{value}".': 'हम "{value}" को पहचान नहीं पाए।',
+        'Did you mean "{suggestion}"?': 'क्या आपका मतलब "{suggestion}" था?',
+        'A Few More Questions': 'कुछ और सवाल',
+        'Skip': 'छोड़ें',
+        'Skipped': 'छोड़ा गया',
+        'Analyze with These Answers': 'इन उत्तरों के साथ विश्लेषण करें',
+        'Start Over': 'फिर से शुरू करें',
+        'Please enter a number between {min} and {max}.': 'कृपया {min} और {max} के बीच कोई संख्या दर्ज करें।',
+        'Unable to load follow-up questions.': 'अनुवर्ती प्रश्न लोड नहीं हो सके।',
+
+        // Answer values used in rationale
+        'high sugar': 'अधिक चीनी वाला',
+        'junk': 'जंक फ़ूड',
+        'fast food': 'फ़ास्ट फ़ूड',
+        'unhealthy': 'अस्वास्थ्यकर'
+    }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = [DEFAULT_LANGUAGE, ...Object.keys(MESSAGE_CATALOG)];
+
+/**
+ * Resolve a requested language ("fr-CA" -> "fr"); null if unsupported
+ */
+export function resolveLanguage(code) {
+    if (!code || typeof code !== 'string') return null;
+    const base = code.toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LANGUAGES.includes(base) ? base : null;
+}
+
+/**
+ * Translate an English message, falling back to English when no translation exists
+ * @param {string} message - English source message (may contain {placeholders})
+ * @param {string} language - Target language code
+ * @param {object} params - Placeholder values
+ * @returns {string} Translated message
+ */
+export function translate(message, language = DEFAULT_LANGUAGE, params = {}) {
+    const template = MESSAGE_CATALOG[language]?.[message] ?? message;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        params[name] !== undefined ? String(params[name]) : placeholder
+    );
+}
+
+export { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE };
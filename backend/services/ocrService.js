@@ -0,0 +1,99 @@
+/**
+ * OCR Service
+ * Recognizes text in scanned survey images on the server using bundled Tesseract language data
+ */
+
+import { createRequire } from 'module';
+import { createWorker } from 'tesseract.js';
+
+const require = createRequire(import.meta.url);
+
+// Traineddata packages shipped with the backend, keyed by parser locale
+const OCR_LANGUAGE_DATA = {
+    en: require('@tesseract.js-data/eng'),
+    es: require('@tesseract.js-data/spa'),
+    fr: require('@tesseract.js-data/fra'),
+    hi: require('@tesseract.js-data/hin')
+};
+
+// Image types Tesseract can decode, with the leading bytes that identify each format
+const IMAGE_SIGNATURES = {
+    'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    'image/jpeg': [[0xff, 0xd8, 0xff]],
+    'image/bmp': [[0x42, 0x4d]],
+    'image/webp': [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]],
+    'image/x-portable-bitmap': [[0x50, 0x31], [0x50, 0x34]]
+};
+
+const SUPPORTED_IMAGE_TYPES = Object.keys(IMAGE_SIGNATURES);
+
+// One lazily created worker per language; workers queue their own jobs
+const workers = new Map();
+
+function getWorker(locale) {
+    if (!workers.has(locale)) {
+        const { code, langPath, gzip } = OCR_LANGUAGE_DATA[locale];
+        // cacheMethod 'none' keeps Tesseract from writing traineddata copies into the working directory.
+        // Without an errorHandler a failed job (e.g. an undecodable image) is rethrown outside any
+        // promise and takes the process down; with one, the job's promise rejects as usual.
+        const worker = createWorker(code, 1, { langPath, gzip, cacheMethod: 'none', errorHandler: () => {} });
+        // Drop a worker that failed to start so the next request can retry
+        worker.catch(() => workers.delete(locale));
+        workers.set(locale, worker);
+    }
+    return workers.get(locale);
+}
+
+// Tesseract reports confidence as 0-100; the rest of the API uses 0-1
+function toUnitConfidence(value) {
+    return Math.round(Math.max(0, Math.min(100, value || 0))) / 100;
+}
+
+/**
+ * Identify an image from its leading bytes rather than the type the client declared
+ * @param {Buffer} image - Encoded image bytes
+ * @returns {string|null} The image MIME type, or null if it is not a supported format
+ */
+export function detectImageType(image) {
+    const matches = signature => signature.every((byte, i) => byte === null || image[i] === byte);
+    return SUPPORTED_IMAGE_TYPES.find(type => IMAGE_SIGNATURES[type].some(matches)) || null;
+}
+
+async function recognizeWithLocale(image, locale) {
+    const worker = await getWorker(locale);
+    const { data } = await worker.recognize(image);
+
+    const lines = (data.lines || [])
+        .map(line => ({
+            text: line.text.trim(),
+            confidence: toUnitConfidence(line.confidence),
+            words: (line.words || []).map(word => ({
+                text: word.text,
+                confidence: toUnitConfidence(word.confidence)
+            }))
+        }))
+        .filter(line => line.text);
+
+    return {
+        text: data.text.trim(),
+        confidence: toUnitConfidence(data.confidence),
+        lines,
+        ocr_language: OCR_LANGUAGE_DATA[locale].code
+    };
+}
+
+/**
+ * Recognize the text in a survey image
+ * Without a locale the survey's script is unknown, so the image is read with every
+ * bundled language and the most confident reading is kept.
+ * @param {Buffer} image - Encoded image bytes
+ * @param {object} options - { locale } selects the language data
+ * @returns {Promise<object>} { text, confidence, lines: [{ text, confidence, words }], ocr_language }
+ */
+export async function recognizeImage(image, options = {}) {
+    const locales = OCR_LANGUAGE_DATA[options.locale] ? [options.locale] : Object.keys(OCR_LANGUAGE_DATA);
+    const readings = await Promise.all(locales.map(locale => recognizeWithLocale(image, locale)));
+    return readings.reduce((best, reading) => (reading.confidence > best.confidence ? reading : best));
+}
+
+export { SUPPORTED_IMAGE_TYPES };
@@ -0,0 +1,360 @@
+/**
+ * Parser Locale Dictionaries
+ * Locale-specific field keywords and answer synonyms used by the survey parser
+ */
+
+// Per-locale dictionaries. Canonical values are the keys; synonyms are matched
+// case- and accent-insensitively. English is always tried as a fallback.
+const PARSER_LOCALES = {
+    en: {
+        name: 'English',
+        fields: {
+            age: ['age'],
+            smoker: ['smoker', 'smoking'],
+            never_smoked: ['never smoked', 'never smoker'],
+            exercise: ['exercise', 'activity', 'workout'],
+            diet: ['diet', 'eating', 'food'],
+            alcohol: ['alcohol', 'drinking'],
+            sleep: ['sleep'],
+            stress: ['stress'],
+            bmi: ['bmi'],
+            height: ['height'],
+            weight: ['weight'],
+            moderate_minutes: ['moderate activity', 'moderate exercise', 'moderate minutes'],
+            vigorous_minutes: ['vigorous activity', 'vigorous exercise', 'vigorous minutes'],
+            drinks_per_week: ['drinks per week', 'drinks a week', 'drinks/week', 'weekly drinks'],
+            cigarettes_per_day: ['cigarettes per day', 'cigarettes a day', 'cigarettes/day'],
+            pack_years: ['pack-years', 'pack years'],
+            stress_rating: ['stress rating', 'stress score'],
+            systolic_bp: ['systolic blood pressure', 'systolic'],
+            diastolic_bp: ['diastolic blood pressure', 'diastolic'],
+            blood_pressure: ['blood pressure', 'bp'],
+            resting_heart_rate: ['resting heart rate', 'heart rate', 'pulse'],
+            waist_cm: ['waist circumference', 'waist'],
+            fasting_glucose: ['fasting glucose', 'blood glucose', 'blood sugar', 'glucose'],
+            total_cholesterol: ['total cholesterol', 'cholesterol'],
+            family_history_heart_disease: ['family history of heart disease', 'family heart disease'],
+            family_history_diabetes: ['family history of diabetes', 'family diabetes'],
+            family_history: ['family history'],
+            sex: ['sex', 'gender'],
+            bp_medication: ['blood pressure medication', 'blood pressure medicine', 'bp medication', 'antihypertensive']
+        },
+        boolean: {
+            yes: ['yes', 'true', 'y', '1', 'yeah', 'yep'],
+            no: ['no', 'false', 'n', '0', 'nope', 'never']
+        },
+        exercise: {
+            rarely: ['never', 'none', 'rarely', 'sedentary', 'no'],
+            sometimes: ['sometimes', 'occasional', 'moderate', '1-2 times', '1-2x', 'weekly'],
+            regularly: ['often', 'regular', 'regularly', 'frequent', '3-4 times', '3-4x', 'daily']
+        },
+        diet: {
+            'high sugar': ['high sugar', 'junk', 'fast food', 'unhealthy'],
+            balanced: ['balanced', 'normal', 'mixed'],
+            healthy: ['healthy', 'vegetable', 'fruit', 'whole']
+        },
+        alcohol: {
+            heavy: ['heavy', 'frequent'],
+            moderate: ['moderate', 'social'],
+            rarely: ['rarely', 'never', 'none']
+        },
+        stress: {
+            low: ['low'],
+            moderate: ['moderate'],
+            high: ['high']
+        },
+        family_history: {
+            heart_disease: ['heart disease', 'heart attack', 'heart problems', 'cardiac', 'cardiovascular', 'coronary'],
+            diabetes: ['diabetes', 'diabetic'],
+            none: ['none', 'no', 'nothing', 'n/a']
+        },
+        sex: {
+            male: ['male', 'm', 'man'],
+            female: ['female', 'f', 'woman']
+        }
+    },
+
+    es: {
+        name: 'Español',
+        fields: {
+            age: ['edad'],
+            smoker: ['fumador', 'fumadora', 'fuma', 'fumar', 'tabaco'],
+            never_smoked: ['nunca ha fumado', 'nunca fumó'],
+            exercise: ['ejercicio', 'actividad física', 'actividad'],
+            diet: ['dieta', 'alimentación', 'comida'],
+            alcohol: ['alcohol', 'bebida'],
+            sleep: ['sueño', 'dormir'],
+            stress: ['estrés'],
+            bmi: ['imc'],
+            height: ['altura', 'estatura'],
+            weight: ['peso'],
+            moderate_minutes: ['actividad moderada', 'ejercicio moderado'],
+            vigorous_minutes: ['actividad vigorosa', 'actividad intensa', 'ejercicio vigoroso', 'ejercicio intenso'],
+            drinks_per_week: ['bebidas por semana', 'bebidas a la semana'],
+            cigarettes_per_day: ['cigarrillos por día', 'cigarrillos al día'],
+            pack_years: ['paquetes-año', 'paquetes año'],
+            stress_rating: ['puntuación de estrés', 'nivel de estrés'],
+            systolic_bp: ['presión sistólica', 'sistólica'],
+            diastolic_bp: ['presión diastólica', 'diastólica'],
+            blood_pressure: ['presión arterial', 'tensión arterial'],
+            resting_heart_rate: ['frecuencia cardíaca en reposo', 'frecuencia cardíaca', 'pulso'],
+            waist_cm: ['circunferencia de cintura', 'perímetro de cintura', 'cintura'],
+            fasting_glucose: ['glucosa en ayunas', 'glucemia', 'glucosa'],
+            total_cholesterol: ['colesterol total', 'colesterol'],
+            family_history_heart_disease: ['antecedentes familiares de enfermedad cardíaca', 'antecedentes familiares cardíacos'],
+            family_history_diabetes: ['antecedentes familiares de diabetes'],
+            family_history: ['antecedentes familiares'],
+            sex: ['sexo', 'género'],
+            bp_medication: ['medicación para la presión', 'medicamento para la presión', 'antihipertensivo']
+        },
+        boolean: {
+            yes: ['sí', 's', 'verdadero'],
+            no: ['no', 'nunca', 'falso']
+        },
+        exercise: {
+            rarely: ['nunca', 'rara vez', 'casi nunca', 'sedentario', 'sedentaria', 'ninguno'],
+            sometimes: ['a veces', 'ocasional', 'ocasionalmente', 'semanal', 'moderado'],
+            regularly: ['regularmente', 'regular', 'frecuente', 'frecuentemente', 'diario', 'diariamente', 'a menudo']
+        },
+        diet: {
+            'high sugar': ['alto en azúcar', 'azúcar', 'comida rápida', 'chatarra', 'poco saludable', 'no saludable'],
+            balanced: ['equilibrada', 'balanceada', 'normal', 'mixta'],
+            healthy: ['saludable', 'sana', 'verduras', 'frutas', 'integral']
+        },
+        alcohol: {
+            heavy: ['excesivo', 'frecuente', 'mucho', 'diario'],
+            moderate: ['moderado', 'social', 'ocasional'],
+            rarely: ['rara vez', 'nunca', 'nada', 'ninguno']
+        },
+        stress: {
+            low: ['bajo', 'baja'],
+            moderate: ['moderado', 'moderada', 'medio', 'media'],
+            high: ['alto', 'alta', 'elevado', 'elevada']
+        },
+        family_history: {
+            heart_disease: ['enfermedad cardíaca', 'enfermedad del corazón', 'cardiopatía', 'infarto'],
+            diabetes: ['diabetes', 'diabético', 'diabética'],
+            none: ['ninguno', 'ninguna', 'no', 'nada']
+        },
+        sex: {
+            male: ['hombre', 'masculino', 'h', 'varón'],
+            female: ['mujer', 'femenino', 'm']
+        }
+    },
+
+    fr: {
+        name: 'Français',
+        fields: {
+            age: ['âge'],
+            smoker: ['fumeur', 'fumeuse', 'tabac'],
+            never_smoked: ['jamais fumé', 'non-fumeur depuis toujours'],
+            exercise: ['exercice', 'activité physique', 'activité', 'sport'],
+            diet: ['alimentation', 'régime', 'nourriture'],
+            alcohol: ['alcool'],
+            sleep: ['sommeil', 'dormir'],
+            stress: ['stress'],
+            bmi: ['imc'],
+            height: ['taille', 'hauteur'],
+            weight: ['poids'],
+            moderate_minutes: ['activité modérée', 'exercice modéré'],
+            vigorous_minutes: ['activité intense', 'activité vigoureuse', 'exercice intense'],
+            drinks_per_week: ['verres par semaine', 'boissons par semaine'],
+            cigarettes_per_day: ['cigarettes par jour'],
+            pack_years: ['paquets-années', 'paquets années'],
+            stress_rating: ['note de stress', 'niveau de stress'],
+            systolic_bp: ['pression systolique', 'systolique'],
+            diastolic_bp: ['pression diastolique', 'diastolique'],
+            blood_pressure: ['tension artérielle', 'pression artérielle'],
+            resting_heart_rate: ['fréquence cardiaque au repos', 'fréquence cardiaque', 'pouls'],
+            waist_cm: ['tour de taille'],
+            fasting_glucose: ['glycémie à jeun', 'glycémie', 'glucose'],
+            total_cholesterol: ['cholestérol total', 'cholestérol'],
+            family_history_heart_disease: ['antécédents familiaux de maladie cardiaque', 'antécédents familiaux cardiaques'],
+            family_history_diabetes: ['antécédents familiaux de diabète'],
+            family_history: ['antécédents familiaux'],
+            sex: ['sexe', 'genre'],
+            bp_medication: ['médicament pour la tension', 'traitement de la tension', 'antihypertenseur']
+        },
+        boolean: {
+            yes: ['oui', 'vrai', 'o'],
+            no: ['non', 'faux', 'jamais']
+        },
+        exercise: {
+            rarely: ['jamais', 'rarement', 'sédentaire', 'aucun'],
+            sometimes: ['parfois', 'occasionnellement', 'de temps en temps', 'hebdomadaire', 'modéré'],
+            regularly: ['régulièrement', 'souvent', 'fréquemment', 'quotidien', 'quotidiennement', 'tous les jours']
+        },
+        diet: {
+            'high sugar': ['riche en sucre', 'sucré', 'malbouffe', 'restauration rapide', 'malsain'],
+            balanced: ['équilibré', 'équilibrée', 'normal', 'mixte', 'variée'],
+            healthy: ['sain', 'saine', 'légumes', 'fruits', 'complet']
+        },
+        alcohol: {
+            heavy: ['excessif', 'fréquent', 'beaucoup', 'quotidien'],
+            moderate: ['modéré', 'modérée', 'social', 'occasionnel'],
+            rarely: ['rarement', 'jamais', 'aucun']
+        },
+        stress: {
+            low: ['faible', 'bas'],
+            moderate: ['modéré', 'modérée', 'moyen'],
+            high: ['élevé', 'élevée', 'fort']
+        },
+        family_history: {
+            heart_disease: ['maladie cardiaque', 'maladies cardiaques', 'crise cardiaque', 'infarctus', 'cardiopathie'],
+            diabetes: ['diabète', 'diabétique'],
+            none: ['aucun', 'aucune', 'non', 'rien']
+        },
+        sex: {
+            male: ['homme', 'masculin', 'h'],
+            female: ['femme', 'féminin']
+        }
+    },
+
+    // Hindi in Devanagari and common romanized spellings
+    hi: {
+        name: 'हिन्दी',
+        fields: {
+            age: ['आयु', 'उम्र', 'umar', 'umra', 'aayu'],
+            smoker: ['धूम्रपान', 'सिगरेट', 'dhumrapan', 'sigaret'],
+            never_smoked: ['कभी धूम्रपान नहीं किया', 'kabhi dhumrapan nahi kiya'],
+            exercise: ['व्यायाम', 'कसरत', 'vyayam', 'kasrat'],
+            diet: ['आहार', 'भोजन', 'खाना', 'aahar', 'bhojan', 'khana'],
+            alcohol: ['शराब', 'मदिरा', 'sharab', 'madira'],
+            sleep: ['नींद', 'neend', 'nind'],
+            stress: ['तनाव', 'tanav'],
+            bmi: ['बीएमआई'],
+            height: ['लंबाई', 'ऊंचाई', 'कद', 'lambai'],
+            weight: ['वजन', 'वज़न', 'vajan', 'wajan'],
+            moderate_minutes: ['मध्यम व्यायाम', 'मध्यम गतिविधि'],
+            vigorous_minutes: ['तीव्र व्यायाम', 'तीव्र गतिविधि'],
+            drinks_per_week: ['प्रति सप्ताह ड्रिंक', 'ड्रिंक प्रति सप्ताह'],
+            cigarettes_per_day: ['प्रति दिन सिगरेट', 'सिगरेट प्रति दिन'],
+            pack_years: ['पैक-वर्ष', 'पैक वर्ष'],
+            stress_rating: ['तनाव रेटिंग', 'तनाव स्तर'],
+            systolic_bp: ['सिस्टोलिक'],
+            diastolic_bp: ['डायस्टोलिक'],
+            blood_pressure: ['रक्तचाप', 'ब्लड प्रेशर', 'बीपी'],
+            resting_heart_rate: ['आराम हृदय गति', 'हृदय गति', 'नाड़ी', 'धड़कन'],
+            waist_cm: ['कमर'],
+            fasting_glucose: ['फास्टिंग शुगर', 'ब्लड शुगर', 'ग्लूकोज'],
+            total_cholesterol: ['कोलेस्ट्रॉल', 'कोलेस्ट्रोल'],
+            family_history_heart_disease: ['परिवार में हृदय रोग', 'परिवार में दिल की बीमारी'],
+            family_history_diabetes: ['परिवार में मधुमेह', 'परिवार में डायबिटीज'],
+            family_history: ['पारिवारिक इतिहास'],
+            sex: ['लिंग'],
+            bp_medication: ['रक्तचाप की दवा', 'बीपी की दवा']
+        },
+        boolean: {
+            yes: ['हाँ', 'हां', 'जी हाँ', 'haan', 'han', 'ji haan'],
+            no: ['नहीं', 'नही', 'कभी नहीं', 'nahi', 'nahin', 'kabhi nahi']
+        },
+        exercise: {
+            rarely: ['कभी नहीं', 'शायद ही कभी', 'बहुत कम', 'kabhi nahi', 'bahut kam'],
+            sometimes: ['कभी कभी', 'कभी-कभी', 'साप्ताहिक', 'kabhi kabhi', 'saptahik'],
+            regularly: ['नियमित', 'रोज़', 'रोज', 'रोजाना', 'niyamit', 'roz', 'rozana']
+        },
+        diet: {
+            'high sugar': ['अधिक चीनी', 'मीठा', 'जंक', 'तला', 'अस्वस्थ', 'meetha'],
+            balanced: ['संतुलित', 'सामान्य', 'मिश्रित', 'santulit', 'samanya'],
+            healthy: ['स्वस्थ', 'पौष्टिक', 'सब्जी', 'फल', 'swasth', 'paushtik']
+        },
+        alcohol: {
+            heavy: ['ज्यादा', 'ज़्यादा', 'बहुत', 'रोज', 'zyada', 'roz'],
+            moderate: ['मध्यम', 'कभी कभी', 'सामाजिक', 'madhyam', 'kabhi kabhi'],
+            rarely: ['कभी नहीं', 'शायद ही', 'नहीं', 'kabhi nahi', 'nahi']
+        },
+        stress: {
+            low: ['कम', 'kam'],
+            moderate: ['मध्यम', 'madhyam'],
+            high: ['अधिक', 'उच्च', 'ज्यादा', 'zyada', 'uchch']
+        },
+        family_history: {
+            heart_disease: ['हृदय रोग', 'दिल की बीमारी', 'दिल का दौरा'],
+            diabetes: ['मधुमेह', 'डायबिटीज', 'शुगर'],
+            none: ['कोई नहीं', 'नहीं', 'koi nahi', 'nahi']
+        },
+        sex: {
+            male: ['पुरुष', 'purush', 'mard'],
+            female: ['महिला', 'स्त्री', 'mahila', 'aurat']
+        }
+    }
+};
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = Object.keys(PARSER_LOCALES);
+
+/**
+ * Lowercase, trim and strip Latin diacritics ("Sí" -> "si", "Élevé" -> "eleve")
+ * Only combining diacritical marks are removed, so Devanagari vowel signs survive
+ */
+export function normalizeText(value) {
+    return String(value)
+        .toLowerCase()
+        .trim()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .normalize('NFC');
+}
+
+/**
+ * Resolve a requested locale ("es-MX" -> "es"); null if unsupported
+ */
+export function resolveLocale(code) {
+    if (!code || typeof code !== 'string') return null;
+    const base = code.toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(base) ? base : null;
+}
+
+/**
+ * Locales to consult for a locale, in order (requested locale, then English)
+ */
+export function getLocaleChain(locale) {
+    return locale && locale !== DEFAULT_LOCALE ? [locale, DEFAULT_LOCALE] : [DEFAULT_LOCALE];
+}
+
+// Every term (field keyword or answer synonym) in a locale dictionary
+function getLocaleTerms(code) {
+    const { name, ...dictionaries } = PARSER_LOCALES[code];
+    return Object.values(dictionaries)
+        .flatMap(dictionary => Object.values(dictionary).flat())
+        .map(normalizeText)
+        .filter(term => term.length >= 2);
+}
+
+// Terms used for detection: English terms, and for other locales only the terms English lacks
+const DETECTION_TERMS = (() => {
+    const englishTerms = new Set(getLocaleTerms(DEFAULT_LOCALE));
+    return Object.fromEntries(SUPPORTED_LOCALES.map(code => [
+        code,
+        [...new Set(getLocaleTerms(code))].filter(term => code === DEFAULT_LOCALE || !englishTerms.has(term))
+    ]));
+})();
+
+/**
+ * Detect the most likely locale of a survey input
+ * @param {string|object} input - Raw survey input
+ * @returns {string} Locale code (English when nothing distinctive is found)
+ */
+export function detectLocale(input) {
+    const text = normalizeText(typeof input === 'string' ? input : JSON.stringify(input));
+    const tokens = new Set(text.match(/[\p{L}\p{M}\d-]+/gu) || []);
+
+    let best = DEFAULT_LOCALE;
+    let bestScore = 0;
+
+    for (const code of SUPPORTED_LOCALES) {
+        // Multi-word terms match as phrases, single words as whole tokens
+        const score = DETECTION_TERMS[code].filter(term =>
+            /[\s]/.test(term) ? text.includes(term) : tokens.has(term)
+        ).length;
+
+        if (score > bestScore) {
+            best = code;
+            bestScore = score;
+        }
+    }
+
+    return best;
+}
+
+export { PARSER_LOCALES, SUPPORTED_LOCALES, DEFAULT_LOCALE };
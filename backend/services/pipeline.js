@@ -4,9 +4,13 @@
  */
 
 import { parseSurvey } from './surveyParser.js';
+import { resolveLocale, SUPPORTED_LOCALES } from './parserLocales.js';
+import { resolveLanguage, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from './messageCatalog.js';
 import { extractFactors } from './factorExtractor.js';
 import { classifyRisk } from './riskClassifier.js';
+import { getScoringModel, MODEL_SET } from './scoringModels.js';
 import { generateRecommendations } from './recommendationEngine.js';
+import { computeClinicalScores } from './clinicalScores.js';
 import { checkProfileCompleteness, validateInput, validateAnswerRanges } from './guardrails.js';
 import { validateSchema, SCHEMAS, createErrorResponse, createSuccessResponse } from './schemaValidator.js';
 
@@ -35,7 +39,9 @@ class StepResult {
  * Run the complete analysis pipeline with validation at each step
  */
 export async function runAnalysisPipeline(input, options = {}) {
-    const { isOcr = false, validateSchemas = true, stopOnWarning = false } = options;
+    const {
+        isOcr = false, validateSchemas = true, stopOnWarning = false, locale, language = DEFAULT_LANGUAGE, ocrLines, modelVersion
+    } = options;
 
     const pipelineResult = {
         success: false,
@@ -52,10 +58,30 @@ export async function runAnalysisPipeline(input, options = {}) {
             pipelineResult.error = createErrorResponse(inputValidation.status, inputValidation.reason);
             return pipelineResult;
         }
+        if (locale !== undefined && !resolveLocale(locale)) {
+            const reason = `Unsupported locale "${locale}". Supported: ${SUPPORTED_LOCALES.join(', ')}`;
+            pipelineResult.steps.push(StepResult.failure('input_validation', reason));
+            pipelineResult.error = createErrorResponse('invalid_input', reason);
+            return pipelineResult;
+        }
+        const outputLanguage = resolveLanguage(language);
+        if (!outputLanguage) {
+            const reason = `Unsupported language "${language}". Supported: ${SUPPORTED_LANGUAGES.join(', ')}`;
+            pipelineResult.steps.push(StepResult.failure('input_validation', reason));
+            pipelineResult.error = createErrorResponse('invalid_input', reason);
+            return pipelineResult;
+        }
+        if (!getScoringModel(modelVersion)) {
+            const versions = MODEL_SET.models.map(model => model.version);
+            const reason = `Unknown scoring model version "${modelVersion}". Available: ${versions.join(', ')}`;
+            pipelineResult.steps.push(StepResult.failure('input_validation', reason));
+            pipelineResult.error = createErrorResponse('invalid_input', reason);
+            return pipelineResult;
+        }
         pipelineResult.steps.push(StepResult.success('input_validation', { valid: true }));
 
         // Step 1: Parse Survey
-        const parseResult = parseSurvey(input, isOcr);
+        const parseResult = parseSurvey(input, isOcr, { locale, ocrLines });
 
         if (validateSchemas) {
             const parseValidation = validateSchema(parseResult, SCHEMAS.parseResponse);
@@ -75,7 +101,10 @@ export async function runAnalysisPipeline(input, options = {}) {
                     missing_fields: completenessCheck.missing_fields || parseResult.missing_fields,
                     partial_parse: {
                         answers: parseResult.answers,
-                        confidence: parseResult.confidence
+                        confidence: parseResult.confidence,
+                        ambiguities: parseResult.ambiguities || [],
+                        ...(parseResult.field_provenance && { field_provenance: parseResult.field_provenance }),
+                        locale: parseResult.locale
                     }
                 }
             );
@@ -86,7 +115,7 @@ export async function runAnalysisPipeline(input, options = {}) {
         const rangeValidation = validateAnswerRanges(parseResult.answers);
         if (!rangeValidation.isValid) {
             parseResult.answers = rangeValidation.correctedAnswers;
-            parseResult.corrections = rangeValidation.corrections;
+            parseResult.corrections = [...(parseResult.corrections || []), ...rangeValidation.corrections];
         }
 
         pipelineResult.steps.push(StepResult.success('parse', parseResult));
@@ -104,7 +133,9 @@ export async function runAnalysisPipeline(input, options = {}) {
         pipelineResult.steps.push(StepResult.success('factors', factorResult));
 
         // Step 3: Classify Risk
-        const riskResult = classifyRisk(factorResult.factors, parseResult.answers);
+        const riskResult = classifyRisk(factorResult.factors, parseResult.answers, {
+            language: outputLanguage, modelVersion, protectiveFactors: factorResult.protective_factors
+        });
 
         if (validateSchemas) {
             const riskValidation = validateSchema(riskResult, SCHEMAS.riskResponse);
@@ -116,31 +147,49 @@ export async function runAnalysisPipeline(input, options = {}) {
         pipelineResult.steps.push(StepResult.success('risk', riskResult));
 
         // Step 4: Generate Recommendations
-        const recResult = generateRecommendations(factorResult.factors, riskResult.risk_level);
+        const recResult = generateRecommendations(factorResult.factors, riskResult.risk_level, { language: outputLanguage });
         pipelineResult.steps.push(StepResult.success('recommendations', recResult));
 
+        // Step 5: Optional clinical scores, reported separately from the lifestyle score
+        const clinicalScores = computeClinicalScores(parseResult.answers);
+        pipelineResult.steps.push(StepResult.success('clinical_scores', clinicalScores));
+
         // Compile final response
         const finalData = {
             // Parse results
             answers: parseResult.answers,
             missing_fields: parseResult.missing_fields,
+            ambiguities: parseResult.ambiguities || [],
             parse_confidence: parseResult.confidence,
+            ...(parseResult.field_provenance && { field_provenance: parseResult.field_provenance }),
             corrections: parseResult.corrections || [],
+            locale: parseResult.locale,
+            locale_source: parseResult.locale_source,
+            language: outputLanguage,
 
             // Factor results
             factors: factorResult.factors,
             factor_confidence: factorResult.confidence,
             factor_details: factorResult.factor_details,
+            protective_factors: factorResult.protective_factors,
 
             // Risk classification
             risk_level: riskResult.risk_level,
             score: riskResult.score,
+            score_range: riskResult.score_range,
+            risk_level_could_change: riskResult.risk_level_could_change,
             rationale: riskResult.rationale,
+            strengths: riskResult.strengths,
+            score_breakdown: riskResult.score_breakdown,
+            model_version: riskResult.model_version,
 
             // Recommendations
             recommendations: recResult.recommendations,
             detailed_recommendations: recResult.detailed_recommendations,
 
+            // Clinical scores
+            clinical_scores: clinicalScores,
+
             // Metadata
             warnings: completenessCheck.warnings || [],
             pipeline_steps: pipelineResult.steps.length
@@ -157,6 +206,47 @@ export async function runAnalysisPipeline(input, options = {}) {
     return pipelineResult;
 }
 
+/**
+ * Run the analysis pipeline over a batch of surveys
+ * Each survey is processed independently so one failure does not abort the batch
+ * @param {object[]} surveys - Entries of shape { id?, input, isOcr? }
+ * @param {object} options - Pipeline options shared by every entry
+ * @returns {object} Per-entry results (in input order) and a summary
+ */
+export async function runBatchPipeline(surveys, options = {}) {
+    const results = [];
+
+    for (let index = 0; index < surveys.length; index++) {
+        const survey = surveys[index] || {};
+        const id = survey.id !== undefined ? survey.id : null;
+
+        const pipelineResult = await runAnalysisPipeline(survey.input, {
+            ...options,
+            isOcr: survey.isOcr !== undefined ? survey.isOcr : options.isOcr
+        });
+
+        results.push({
+            index,
+            id,
+            success: pipelineResult.success,
+            ...(pipelineResult.success
+                ? { result: pipelineResult.data }
+                : { error: pipelineResult.error })
+        });
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+
+    return {
+        results,
+        summary: {
+            total: results.length,
+            succeeded,
+            failed: results.length - succeeded
+        }
+    };
+}
+
 /**
  * Run a single step of the pipeline
  */
@@ -164,7 +254,7 @@ export function runPipelineStep(stepName, input, options = {}) {
     try {
         switch (stepName) {
             case 'parse': {
-                const result = parseSurvey(input, options.isOcr || false);
+                const result = parseSurvey(input, options.isOcr || false, { locale: options.locale, ocrLines: options.ocrLines });
                 return StepResult.success('parse', result);
             }
             case 'factors': {
@@ -172,15 +262,20 @@ export function runPipelineStep(stepName, input, options = {}) {
                 return StepResult.success('factors', result);
             }
             case 'risk': {
-                const { factors, answers } = input;
-                const result = classifyRisk(factors, answers);
+                const { factors, answers, protectiveFactors } = input;
+                const result = classifyRisk(factors, answers, {
+                    language: options.language, modelVersion: options.modelVersion, protectiveFactors
+                });
                 return StepResult.success('risk', result);
             }
             case 'recommendations': {
                 const { factors, riskLevel } = input;
-                const result = generateRecommendations(factors, riskLevel);
+                const result = generateRecommendations(factors, riskLevel, { language: options.language });
                 return StepResult.success('recommendations', result);
             }
+            case 'clinical_scores': {
+                return StepResult.success('clinical_scores', computeClinicalScores(input));
+            }
             default:
                 return StepResult.failure(stepName, `Unknown pipeline step: ${stepName}`);
         }
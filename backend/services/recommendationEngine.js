@@ -3,6 +3,8 @@
  * Generates actionable, non-diagnostic guidance based on risk factors
  */
 
+import { translate, DEFAULT_LANGUAGE } from './messageCatalog.js';
+
 // Recommendation mappings for each factor
 const RECOMMENDATIONS = {
     'smoking': {
@@ -58,6 +60,66 @@ const RECOMMENDATIONS = {
         details: 'Schedule regular screenings and preventive care appointments',
         priority: 6,
         icon: 'stethoscope'
+    },
+    'hypertension': {
+        primary: 'Follow up on your blood pressure',
+        details: 'Discuss your readings with a healthcare provider. Cutting salt, staying active and limiting alcohol all help',
+        priority: 1,
+        icon: 'heart-pulse'
+    },
+    'elevated blood pressure': {
+        primary: 'Keep an eye on your blood pressure',
+        details: 'Recheck it regularly. Less salt, regular exercise and a healthy weight help keep it down',
+        priority: 3,
+        icon: 'heart-pulse'
+    },
+    'high resting heart rate': {
+        primary: 'Build cardiovascular fitness',
+        details: 'Regular aerobic exercise lowers resting heart rate. Mention persistently high readings to a healthcare provider',
+        priority: 4,
+        icon: 'activity'
+    },
+    'abdominal obesity': {
+        primary: 'Reduce your waist size',
+        details: 'Cut back on sugary drinks and refined carbohydrates and add regular activity to lose abdominal fat',
+        priority: 3,
+        icon: 'ruler'
+    },
+    'high blood glucose': {
+        primary: 'Have your blood sugar checked',
+        details: 'A fasting glucose in this range should be followed up with a healthcare provider',
+        priority: 1,
+        icon: 'droplets'
+    },
+    'elevated blood glucose': {
+        primary: 'Bring your blood sugar down',
+        details: 'Limit sugary foods and refined carbohydrates, stay active and retest within a year',
+        priority: 2,
+        icon: 'droplets'
+    },
+    'high cholesterol': {
+        primary: 'Lower your cholesterol',
+        details: 'Discuss your cholesterol with a healthcare provider. Limit saturated fat and eat more fibre',
+        priority: 2,
+        icon: 'heart'
+    },
+    'borderline cholesterol': {
+        primary: 'Watch your cholesterol',
+        details: 'Choose unsaturated fats, eat more fibre and have your cholesterol rechecked regularly',
+        priority: 4,
+        icon: 'heart'
+    },
+    'family history of heart disease': {
+        primary: 'Screen early for heart disease',
+        details: 'Tell your healthcare provider about your family history and keep up with blood pressure and cholesterol checks',
+        priority: 5,
+        icon: 'users'
+    },
+    'family history of diabetes': {
+        primary: 'Screen regularly for diabetes',
+        details: 'With diabetes in the family, have your blood sugar tested regularly and keep a healthy weight',
+        priority: 5,
+        icon: 'users'
     }
 };
 
@@ -77,19 +139,30 @@ const GENERAL_RECOMMENDATIONS = [
     }
 ];
 
+// Translate a recommendation's user-facing text
+function localizeRecommendation(rec, language) {
+    return {
+        ...rec,
+        primary: translate(rec.primary, language),
+        details: translate(rec.details, language)
+    };
+}
+
 /**
  * Generate recommendations based on risk factors
  * @param {string[]} factors - Extracted risk factors
  * @param {string} riskLevel - Calculated risk level
+ * @param {object} options - { language } for recommendation text (default English)
  * @returns {object} Recommendations with details
  */
-export function generateRecommendations(factors, riskLevel) {
+export function generateRecommendations(factors, riskLevel, options = {}) {
+    const { language = DEFAULT_LANGUAGE } = options;
     const recommendations = [];
     const detailedRecommendations = [];
 
     // Add factor-specific recommendations
     for (const factor of factors) {
-        const rec = RECOMMENDATIONS[factor];
+        const rec = RECOMMENDATIONS[factor] && localizeRecommendation(RECOMMENDATIONS[factor], language);
         if (rec) {
             recommendations.push(rec.primary);
             detailedRecommendations.push({
@@ -104,7 +177,7 @@ export function generateRecommendations(factors, riskLevel) {
 
     // Add general recommendations for high risk
     if (riskLevel === 'high' || riskLevel === 'very high') {
-        for (const rec of GENERAL_RECOMMENDATIONS) {
+        for (const rec of GENERAL_RECOMMENDATIONS.map(r => localizeRecommendation(r, language))) {
             if (!recommendations.includes(rec.primary)) {
                 recommendations.push(rec.primary);
                 detailedRecommendations.push(rec);
@@ -0,0 +1,218 @@
+/**
+ * Report Generator Service
+ * Renders a completed analysis as a printable PDF, entirely locally
+ */
+
+import PDFDocument from 'pdfkit';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Helvetica only draws Latin-1 text. Reports with other characters (Hindi) use
+// Noto Sans Devanagari, which also covers Latin.
+const UNICODE_FONTS = {
+    regular: require.resolve('@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf'),
+    bold: require.resolve('@expo-google-fonts/noto-sans-devanagari/700Bold/NotoSansDevanagari_700Bold.ttf')
+};
+
+// Colors for each risk level (matches the frontend theme)
+const RISK_COLORS = {
+    'low': '#10b981',
+    'moderate': '#f59e0b',
+    'high': '#ef4444',
+    'very high': '#dc2626'
+};
+
+// Gauge bands as [from, to, level]
+const GAUGE_BANDS = [
+    [0, 25, 'low'],
+    [25, 50, 'moderate'],
+    [50, 75, 'high'],
+    [75, 100, 'very high']
+];
+
+const REPORT_DISCLAIMER = 'This report is generated from self-reported lifestyle survey answers. ' +
+    'It is for general wellness information only and is not a medical diagnosis. ' +
+    'Consult a qualified healthcare provider before making changes to your health care.';
+
+const PAGE_MARGIN = 50;
+
+// Register the report's "Body" and "Body-Bold" fonts, choosing the Unicode font
+// when any of the analysis text falls outside what Helvetica can draw
+function registerFonts(doc, analysis) {
+    const unicode = /[^\u0000-\u00ff]/.test(JSON.stringify(analysis));
+    doc.registerFont('Body', unicode ? UNICODE_FONTS.regular : 'Helvetica');
+    doc.registerFont('Body-Bold', unicode ? UNICODE_FONTS.bold : 'Helvetica-Bold');
+    doc.font('Body');
+}
+
+// Point on the gauge arc for a score (0 = left, 100 = right)
+function gaugePoint(cx, cy, radius, score) {
+    const angle = Math.PI - (score / 100) * Math.PI;
+    return {
+        x: cx + radius * Math.cos(angle),
+        y: cy - radius * Math.sin(angle)
+    };
+}
+
+// Draw the semicircular risk gauge with a needle at the score, and the reachable
+// score range as a grey arc outside it when answers are missing
+function drawGauge(doc, score, riskLevel, scoreRange) {
+    const cx = doc.page.width / 2;
+    const cy = doc.y + 90;
+    const radius = 80;
+
+    for (const [from, to, level] of GAUGE_BANDS) {
+        const start = gaugePoint(cx, cy, radius, from);
+        const end = gaugePoint(cx, cy, radius, to);
+        doc.path(`M ${start.x} ${start.y} A ${radius} ${radius} 0 0 1 ${end.x} ${end.y}`)
+            .lineWidth(14)
+            .strokeColor(RISK_COLORS[level])
+            .stroke();
+    }
+
+    const showRange = scoreRange && scoreRange.max > scoreRange.min;
+    if (showRange) {
+        const start = gaugePoint(cx, cy, radius + 12, scoreRange.min);
+        const end = gaugePoint(cx, cy, radius + 12, scoreRange.max);
+        doc.path(`M ${start.x} ${start.y} A ${radius + 12} ${radius + 12} 0 0 1 ${end.x} ${end.y}`)
+            .lineWidth(4)
+            .strokeColor('#999999')
+            .stroke();
+    }
+
+    const tip = gaugePoint(cx, cy, radius - 20, score);
+    doc.moveTo(cx, cy).lineTo(tip.x, tip.y).lineWidth(3).strokeColor('#333333').stroke();
+    doc.circle(cx, cy, 5).fillColor('#333333').fill();
+
+    doc.fillColor(RISK_COLORS[riskLevel] || '#333333')
+        .font('Body-Bold')
+        .fontSize(28)
+        .text(String(score), PAGE_MARGIN, cy + 12, { align: 'center' });
+    doc.fontSize(14)
+        .text(`${String(riskLevel).toUpperCase()} RISK`, { align: 'center' });
+    if (showRange) {
+        doc.font('Body').fontSize(10).fillColor('#555555')
+            .text(`Could be ${scoreRange.min}-${scoreRange.max} once every question is answered`, { align: 'center' });
+    }
+
+    doc.fillColor('#000000').font('Body').moveDown(1.5);
+}
+
+// Section heading
+function drawHeading(doc, title) {
+    doc.moveDown(0.5)
+        .font('Body-Bold')
+        .fontSize(14)
+        .fillColor('#5a67d8')
+        .text(title, PAGE_MARGIN)
+        .moveDown(0.3)
+        .font('Body')
+        .fontSize(11)
+        .fillColor('#000000');
+}
+
+// Bulleted list, or a fallback line when empty
+function drawList(doc, items, emptyText) {
+    if (!items || items.length === 0) {
+        doc.fillColor('#555555').text(emptyText).fillColor('#000000');
+        return;
+    }
+    doc.list(items, { bulletRadius: 2, textIndent: 12 });
+}
+
+/**
+ * Render an analysis response as a PDF
+ * @param {object} analysis - Analysis response from /api/analyze
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export function generatePdfReport(analysis) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: PAGE_MARGIN,
+            info: { Title: 'Health Risk Assessment Report' }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        registerFonts(doc, analysis);
+
+        // Header
+        doc.font('Body-Bold').fontSize(20).text('Health Risk Assessment Report', { align: 'center' });
+        doc.font('Body').fontSize(10).fillColor('#555555')
+            .text(`Generated ${new Date(analysis.timestamp || Date.now()).toLocaleString('en-US')}`, { align: 'center' });
+        if (analysis.subject_id) {
+            doc.text(`Participant: ${analysis.subject_id}`, { align: 'center' });
+        }
+        if (analysis.model_version) {
+            doc.text(`Scoring model ${analysis.model_version}`, { align: 'center' });
+        }
+        doc.fillColor('#000000').moveDown();
+
+        drawGauge(doc, analysis.score, analysis.risk_level, analysis.score_range);
+
+        drawHeading(doc, 'Risk Factors Identified');
+        drawList(doc, analysis.factors, 'No significant risk factors identified.');
+
+        if (analysis.strengths && analysis.strengths.length > 0) {
+            drawHeading(doc, 'Strengths');
+            drawList(doc, analysis.strengths, '');
+        }
+
+        if (analysis.score_breakdown && analysis.score_breakdown.length > 0) {
+            drawHeading(doc, 'Score Breakdown');
+            drawList(
+                doc,
+                analysis.score_breakdown.map(e => `${e.factor}: ${e.points > 0 ? '+' : ''}${e.points}`),
+                ''
+            );
+        }
+
+        const clinicalScores = (analysis.clinical_scores || []).filter(entry => entry.status === 'computed');
+        if (clinicalScores.length > 0) {
+            drawHeading(doc, 'Clinical Scores');
+            drawList(
+                doc,
+                clinicalScores.map(e => `${e.name}: ${e.max_score !== undefined ? `${e.score} points, ` : ''}`
+                    + `${e.ten_year_risk_percent}% 10-year risk (${e.category})`),
+                ''
+            );
+        }
+
+        drawHeading(doc, 'Analysis Rationale');
+        drawList(doc, analysis.rationale, 'Your lifestyle factors are within healthy ranges.');
+
+        drawHeading(doc, 'Personalized Recommendations');
+        const recommendations = analysis.detailed_recommendations || [];
+        if (recommendations.length === 0) {
+            drawList(doc, [], 'Keep up the great work! Maintain your healthy lifestyle habits.');
+        }
+        for (const rec of recommendations) {
+            doc.font('Body-Bold').text(rec.primary);
+            if (rec.details) {
+                doc.font('Body').fillColor('#444444').text(rec.details).fillColor('#000000');
+            }
+            doc.moveDown(0.4);
+        }
+        doc.font('Body');
+
+        if (analysis.warnings && analysis.warnings.length > 0) {
+            drawHeading(doc, 'Warnings');
+            drawList(doc, analysis.warnings.map(w => w.message), '');
+        }
+
+        // Disclaimer
+        doc.moveDown(1.5)
+            .fontSize(9)
+            .fillColor('#555555')
+            .text(REPORT_DISCLAIMER, PAGE_MARGIN, doc.y, { align: 'justify' });
+
+        doc.end();
+    });
+}
+
+export { REPORT_DISCLAIMER };
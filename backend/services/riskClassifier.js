@@ -3,116 +3,327 @@
  * Computes risk level using scoring logic
  */
 
-// Scoring weights for each factor
-const FACTOR_SCORES = {
-    'smoking': 25,
-    'poor diet': 18,
-    'low exercise': 15,
-    'excessive alcohol': 20,
-    'poor sleep': 10,
-    'high stress': 12,
-    'obesity': 20,
-    'overweight': 10,
-    'advanced age': 8,
-    'middle age': 4
-};
+import { translate, DEFAULT_LANGUAGE } from './messageCatalog.js';
+import { extractFactors, getFactorDose } from './factorExtractor.js';
+import { getScoringModel } from './scoringModels.js';
+import { EXPECTED_FIELDS } from './surveyParser.js';
+
+// Default model's weights for each factor, scaled by the factor's dose when the model allows it.
+// Weights, age bands and thresholds are versioned in config/scoringModels.json.
+const FACTOR_SCORES = getScoringModel().factor_scores;
 
-// Age-based base risk adjustments
-function getAgeBaseRisk(age) {
+// Age-based base risk from the model's age bands
+function getAgeBaseRisk(age, model) {
     if (age === undefined || age === null) return 0;
-    if (age < 30) return 0;
-    if (age < 40) return 5;
-    if (age < 50) return 10;
-    if (age < 60) return 15;
-    if (age < 70) return 20;
-    return 25;
+    return model.age_base_risk.find(band => band.below === undefined || age < band.below).points;
+}
+
+// "145/92"; a missing half shows as a dash
+function formatBloodPressure(answers) {
+    const part = (value) => typeof value === 'number' ? value : '–';
+    return `${part(answers.systolic_bp)}/${part(answers.diastolic_bp)}`;
 }
 
 // Generate human-readable rationale
-function generateRationale(factors, answers) {
+function generateRationale(factors, answers, language = DEFAULT_LANGUAGE) {
     const rationale = [];
+    const t = (message, params) => translate(message, language, params);
 
     for (const factor of factors) {
         switch (factor) {
             case 'smoking':
-                rationale.push('smoking');
+                if (typeof answers.cigarettes_per_day === 'number') {
+                    rationale.push(t('smoking ({count} cigarettes per day)', { count: answers.cigarettes_per_day }));
+                } else if (typeof answers.pack_years === 'number') {
+                    rationale.push(t('smoking ({pack_years} pack-years)', { pack_years: answers.pack_years }));
+                } else {
+                    rationale.push(t('smoking'));
+                }
                 break;
             case 'poor diet':
-                rationale.push(answers.diet ? `${answers.diet} diet` : 'poor dietary habits');
+                rationale.push(answers.diet ? t('{diet} diet', { diet: t(answers.diet) }) : t('poor dietary habits'));
                 break;
             case 'low exercise':
-                rationale.push(answers.exercise === 'rarely' ? 'low physical activity' : 'sedentary lifestyle');
+                if (typeof answers.activity_minutes === 'number') {
+                    rationale.push(t('low physical activity ({minutes} min/week)', { minutes: answers.activity_minutes }));
+                } else {
+                    rationale.push(answers.exercise === 'rarely' ? t('low physical activity') : t('sedentary lifestyle'));
+                }
                 break;
             case 'excessive alcohol':
-                rationale.push('high alcohol consumption');
+                rationale.push(typeof answers.drinks_per_week === 'number'
+                    ? t('high alcohol consumption ({drinks} drinks per week)', { drinks: answers.drinks_per_week })
+                    : t('high alcohol consumption'));
                 break;
             case 'poor sleep':
                 if (typeof answers.sleep === 'number') {
-                    rationale.push(`inadequate sleep (${answers.sleep} hours)`);
+                    rationale.push(t('inadequate sleep ({hours} hours)', { hours: answers.sleep }));
                 } else {
-                    rationale.push('poor sleep quality');
+                    rationale.push(t('poor sleep quality'));
                 }
                 break;
             case 'high stress':
-                rationale.push('chronic stress');
+                rationale.push(typeof answers.stress_rating === 'number'
+                    ? t('chronic stress (rated {rating}/10)', { rating: answers.stress_rating })
+                    : t('chronic stress'));
                 break;
             case 'obesity':
-                rationale.push(answers.bmi ? `obesity (BMI: ${answers.bmi})` : 'obesity');
+                rationale.push(answers.bmi ? t('obesity (BMI: {bmi})', { bmi: answers.bmi }) : t('obesity'));
                 break;
             case 'overweight':
-                rationale.push(answers.bmi ? `overweight (BMI: ${answers.bmi})` : 'overweight');
+                rationale.push(answers.bmi ? t('overweight (BMI: {bmi})', { bmi: answers.bmi }) : t('overweight'));
                 break;
             case 'advanced age':
-                rationale.push(`age factor (${answers.age} years)`);
+                rationale.push(t('age factor ({age} years)', { age: answers.age }));
                 break;
             case 'middle age':
                 // Don't include middle age in rationale as it's less significant
                 break;
+            case 'hypertension':
+                rationale.push(t('high blood pressure ({bp} mmHg)', { bp: formatBloodPressure(answers) }));
+                break;
+            case 'elevated blood pressure':
+                rationale.push(t('elevated blood pressure ({bp} mmHg)', { bp: formatBloodPressure(answers) }));
+                break;
+            case 'high resting heart rate':
+                rationale.push(t('high resting heart rate ({bpm} bpm)', { bpm: answers.resting_heart_rate }));
+                break;
+            case 'abdominal obesity':
+                rationale.push(t('large waist circumference ({waist} cm)', { waist: answers.waist_cm }));
+                break;
+            case 'high blood glucose':
+                rationale.push(t('fasting glucose in the diabetes range ({glucose} mg/dL)', { glucose: answers.fasting_glucose }));
+                break;
+            case 'elevated blood glucose':
+                rationale.push(t('elevated fasting glucose ({glucose} mg/dL)', { glucose: answers.fasting_glucose }));
+                break;
+            case 'high cholesterol':
+                rationale.push(t('high total cholesterol ({cholesterol} mg/dL)', { cholesterol: answers.total_cholesterol }));
+                break;
+            case 'borderline cholesterol':
+                rationale.push(t('borderline high cholesterol ({cholesterol} mg/dL)', { cholesterol: answers.total_cholesterol }));
+                break;
             default:
-                rationale.push(factor);
+                rationale.push(t(factor));
         }
     }
 
     return rationale;
 }
 
+// Describe the healthy habits found, for the "strengths" list
+function generateStrengths(protectiveFactors, answers, language = DEFAULT_LANGUAGE) {
+    const t = (message, params) => translate(message, language, params);
+
+    return protectiveFactors.map(factor => {
+        switch (factor) {
+            case 'regular exercise':
+                return typeof answers.activity_minutes === 'number'
+                    ? t('regular exercise ({minutes} min/week)', { minutes: answers.activity_minutes })
+                    : t(factor);
+            case 'healthy weight':
+                return t('healthy weight (BMI: {bmi})', { bmi: answers.bmi });
+            case 'healthy sleep':
+                return t('healthy sleep ({hours} hours)', { hours: answers.sleep });
+            default:
+                return t(factor);
+        }
+    });
+}
+
+// Interaction rules of the model whose factors all occur, with the points each adds.
+// A multiplier scales the points its factors already scored; the extra is the added part.
+function scoreInteractions(model, factorPoints) {
+    return (model.interactions || [])
+        .filter(interaction => interaction.factors.every(factor => factorPoints.has(factor)))
+        .map(interaction => {
+            const basePoints = interaction.factors.reduce((sum, factor) => sum + factorPoints.get(factor), 0);
+            const points = interaction.multiplier !== undefined
+                ? Math.round(basePoints * (interaction.multiplier - 1))
+                : interaction.points;
+            return { interaction, points };
+        })
+        .filter(({ points }) => points > 0);
+}
+
+// Minimum score for each risk level above 'low' in the default model
+const RISK_THRESHOLDS = getScoringModel().risk_thresholds;
+
 // Determine risk level from score
-function getRiskLevel(score) {
-    if (score < 25) return 'low';
-    if (score < 50) return 'moderate';
-    if (score < 75) return 'high';
+function getRiskLevel(score, thresholds = RISK_THRESHOLDS) {
+    if (score < thresholds['moderate']) return 'low';
+    if (score < thresholds['high']) return 'moderate';
+    if (score < thresholds['very high']) return 'high';
     return 'very high';
 }
 
-/**
- * Classify risk based on factors and answers
- * @param {string[]} factors - Extracted risk factors
- * @param {object} answers - Original survey answers
- * @returns {object} Risk classification with score and rationale
- */
-export function classifyRisk(factors, answers = {}) {
-    let score = 0;
+// Score a set of factors under a model: { score, breakdown, interactions }
+function scoreFactors(factors, protectiveFactors, answers, model) {
+    const breakdown = [];
 
     // Add base risk from age
-    score += getAgeBaseRisk(answers.age);
+    const ageBase = getAgeBaseRisk(answers.age, model);
+    if (ageBase > 0) {
+        breakdown.push({ factor: 'age base risk', points: ageBase, source: 'age_base' });
+    }
 
     // Add factor-based scores
+    const factorPoints = new Map();
     for (const factor of factors) {
-        const factorScore = FACTOR_SCORES[factor] || 0;
-        score += factorScore;
+        const dose = model.dose_scaling ? getFactorDose(factor, answers) : null;
+        const factorScore = Math.round((model.factor_scores[factor] || 0) * (dose ? dose.multiplier : 1));
+        if (factorScore > 0) {
+            factorPoints.set(factor, factorScore);
+            breakdown.push({ factor, points: factorScore, source: 'factor', ...(dose && { dose }) });
+        }
+    }
+
+    // Add points for combinations of factors that compound each other
+    const interactions = scoreInteractions(model, factorPoints);
+    for (const { interaction, points } of interactions) {
+        breakdown.push({
+            factor: interaction.label,
+            points,
+            source: 'interaction',
+            interaction: interaction.id,
+            factors: interaction.factors,
+            ...(interaction.multiplier !== undefined && { multiplier: interaction.multiplier })
+        });
     }
 
-    // Cap score at 100
-    score = Math.min(100, score);
+    // Subtract points for healthy habits the model rewards
+    for (const factor of protectiveFactors) {
+        const points = model.protective_scores?.[factor] || 0;
+        if (points < 0) {
+            breakdown.push({ factor, points, source: 'protective' });
+        }
+    }
 
-    const riskLevel = getRiskLevel(score);
-    const rationale = generateRationale(factors, answers);
+    const rawScore = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+
+    // Keep the score between 0 and the cap (100 unless the model says otherwise),
+    // recording the adjustment so the breakdown still sums to the score
+    const score = Math.max(0, Math.min(model.score_cap ?? 100, rawScore));
+    if (rawScore > score) {
+        breakdown.push({ factor: 'score cap', points: score - rawScore, source: 'cap' });
+    } else if (rawScore < score) {
+        breakdown.push({ factor: 'score floor', points: score - rawScore, source: 'floor' });
+    }
+
+    return { score, breakdown, interactions };
+}
+
+// Plausible answers for unanswered fields. Quantities only refine a category and optional
+// clinical readings are rarely known, so neither is enumerated.
+const PLAUSIBLE_VALUES = {
+    age: [25, 35, 45, 55, 65, 75],
+    smoker: [false, true],
+    exercise: ['regularly', 'sometimes', 'rarely'],
+    diet: ['healthy', 'balanced', 'high sugar'],
+    alcohol: ['rarely', 'moderate', 'heavy'],
+    sleep: [8, 6, 5],
+    stress: ['low', 'moderate', 'high'],
+    bmi: [22, 27, 32]
+};
+
+// Score hypothetical answers, keeping the factors already given alongside those the answers imply
+function scoreHypothetical(answers, factors, protectiveFactors, model) {
+    const extracted = extractFactors(answers);
+    const union = (given, implied) => [...new Set([...given, ...implied])];
+    return scoreFactors(
+        union(factors, extracted.factors),
+        union(protectiveFactors, extracted.protective_factors),
+        answers,
+        model
+    ).score;
+}
+
+// Best- and worst-case scores over plausible values for the unanswered fields.
+// Each field is set to the value that scores lowest (or highest) on its own, then the
+// combined best and worst cases are scored together so interactions are included.
+function estimateScoreRange(score, factors, protectiveFactors, answers, model) {
+    const unanswered = EXPECTED_FIELDS.filter(field =>
+        PLAUSIBLE_VALUES[field] && (answers[field] === undefined || answers[field] === null)
+    );
+
+    const best = {};
+    const worst = {};
+    for (const field of unanswered) {
+        const scored = PLAUSIBLE_VALUES[field].map(value => ({
+            value,
+            score: scoreHypothetical({ ...answers, [field]: value }, factors, protectiveFactors, model)
+        }));
+        best[field] = scored.reduce((low, entry) => (entry.score < low.score ? entry : low)).value;
+        worst[field] = scored.reduce((high, entry) => (entry.score > high.score ? entry : high)).value;
+    }
+
+    const min = unanswered.length > 0
+        ? Math.min(score, scoreHypothetical({ ...answers, ...best }, factors, protectiveFactors, model))
+        : score;
+    const max = unanswered.length > 0
+        ? Math.max(score, scoreHypothetical({ ...answers, ...worst }, factors, protectiveFactors, model))
+        : score;
+
+    return {
+        min: Math.round(min),
+        max: Math.round(max),
+        min_level: getRiskLevel(min, model.risk_thresholds),
+        max_level: getRiskLevel(max, model.risk_thresholds),
+        unanswered_fields: unanswered
+    };
+}
+
+/**
+ * Classify risk based on factors and answers
+ * Unanswered fields count as neither risk nor strength in the score; score_range reports
+ * how far the score could move if they were answered.
+ * @param {string[]} factors - Extracted risk factors
+ * @param {object} answers - Original survey answers
+ * @param {object} options - { language } for rationale text (default English),
+ *   { modelVersion } for the scoring model (default model when omitted),
+ *   { protectiveFactors } for healthy habits that lower the score
+ * @returns {object} Risk classification with score, score range, rationale, strengths and the model version used
+ */
+export function classifyRisk(factors, answers = {}, options = {}) {
+    const model = getScoringModel(options.modelVersion);
+    if (!model) {
+        throw new Error(`Unknown scoring model version: ${options.modelVersion}`);
+    }
+
+    const protectiveFactors = options.protectiveFactors || [];
+    const { score, breakdown, interactions } = scoreFactors(factors, protectiveFactors, answers, model);
+
+    const riskLevel = getRiskLevel(score, model.risk_thresholds);
+    const scoreRange = estimateScoreRange(score, factors, protectiveFactors, answers, model);
+    const rationale = [
+        ...generateRationale(factors, answers, options.language),
+        ...interactions.map(({ interaction }) => translate(interaction.label, options.language))
+    ];
 
     return {
         risk_level: riskLevel,
         score: Math.round(score),
-        rationale
+        score_range: scoreRange,
+        risk_level_could_change: scoreRange.min_level !== riskLevel || scoreRange.max_level !== riskLevel,
+        rationale,
+        strengths: generateStrengths(protectiveFactors, answers, options.language),
+        score_breakdown: breakdown,
+        model_version: model.version
     };
 }
 
-export { FACTOR_SCORES };
+/**
+ * Score answers alone, extracting their factors (used to weigh hypothetical answers)
+ * @param {object} answers - Survey answers
+ * @param {object} options - { modelVersion } (default model when omitted)
+ * @returns {number} Score the answers would get
+ */
+export function scoreAnswers(answers, options = {}) {
+    const model = getScoringModel(options.modelVersion);
+    if (!model) {
+        throw new Error(`Unknown scoring model version: ${options.modelVersion}`);
+    }
+    return scoreHypothetical(answers, [], [], model);
+}
+
+export { FACTOR_SCORES, RISK_THRESHOLDS, PLAUSIBLE_VALUES, getRiskLevel };
@@ -0,0 +1,210 @@
+/**
+ * Rule Loader Service
+ * Loads declarative factor rule definitions from JSON and compiles them into checks
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { validateSchema, SCHEMAS } from './schemaValidator.js';
+
+// Default rule file, overridable with FACTOR_RULES_PATH
+const DEFAULT_RULES_PATH = fileURLToPath(new URL('../config/factorRules.json', import.meta.url));
+
+// Numeric comparison operators
+const NUMERIC_OPERATORS = {
+    lt: (value, threshold) => value < threshold,
+    lte: (value, threshold) => value <= threshold,
+    gt: (value, threshold) => value > threshold,
+    gte: (value, threshold) => value >= threshold
+};
+
+// Normalize answer values for comparison (strings are case-insensitive)
+function normalizeValue(value) {
+    return typeof value === 'string' ? value.toLowerCase().trim() : value;
+}
+
+// Evaluate a single condition against the answers
+function evaluateCondition(condition, answers) {
+    const value = normalizeValue(answers[condition.field]);
+    if (value === undefined || value === null) return false;
+
+    switch (condition.operator) {
+        case 'eq':
+            return value === normalizeValue(condition.value);
+        case 'neq':
+            return value !== normalizeValue(condition.value);
+        case 'in':
+            return condition.values.map(normalizeValue).includes(value);
+        default:
+            // Numeric thresholds only apply to numeric answers
+            if (typeof value !== 'number') return false;
+            return NUMERIC_OPERATORS[condition.operator](value, condition.threshold);
+    }
+}
+
+// Inline single-condition rules are shorthand for a one-entry conditions list
+function getConditions(definition) {
+    if (Array.isArray(definition.conditions)) return definition.conditions;
+
+    const { field, operator, value, values, threshold } = definition;
+    return [{ field, operator, value, values, threshold }];
+}
+
+// Validate operator-specific requirements of a condition
+function validateCondition(condition, path) {
+    const errors = validateSchema(condition, SCHEMAS.ruleCondition).errors.map(e => `${path}: ${e}`);
+
+    if (condition.operator === 'in' && !Array.isArray(condition.values)) {
+        errors.push(`${path}: operator "in" requires a values array`);
+    }
+    if (['eq', 'neq'].includes(condition.operator) && condition.value === undefined) {
+        errors.push(`${path}: operator "${condition.operator}" requires a value`);
+    }
+    if (NUMERIC_OPERATORS[condition.operator] && typeof condition.threshold !== 'number') {
+        errors.push(`${path}: operator "${condition.operator}" requires a numeric threshold`);
+    }
+
+    return errors;
+}
+
+// Validate a dose curve: a quantity field and [value, multiplier] points in ascending value order
+function validateDose(dose, path) {
+    const errors = [];
+
+    if (!dose || typeof dose.field !== 'string') {
+        errors.push(`${path}: dose requires a field`);
+    }
+    const curve = dose?.curve;
+    const validPoints = Array.isArray(curve) && curve.length > 0 && curve.every(point =>
+        Array.isArray(point) && point.length === 2 && point.every(n => typeof n === 'number' && Number.isFinite(n)) && point[1] >= 0
+    );
+    if (!validPoints) {
+        errors.push(`${path}: dose curve must be a non-empty list of [value, multiplier] pairs with multipliers >= 0`);
+    } else if (curve.some((point, i) => i > 0 && point[0] <= curve[i - 1][0])) {
+        errors.push(`${path}: dose curve values must be in ascending order`);
+    }
+
+    return errors;
+}
+
+// Multiplier at a value, interpolated between curve points and held flat past either end
+function interpolate(curve, value) {
+    if (value <= curve[0][0]) return curve[0][1];
+    for (let i = 1; i < curve.length; i++) {
+        const [x1, y1] = curve[i];
+        if (value <= x1) {
+            const [x0, y0] = curve[i - 1];
+            return y0 + (y1 - y0) * (value - x0) / (x1 - x0);
+        }
+    }
+    return curve[curve.length - 1][1];
+}
+
+/**
+ * Validate a list of factor rule definitions
+ * @param {object[]} definitions - Rule definitions
+ * @returns {object} Validation result with isValid and errors
+ */
+export function validateRuleDefinitions(definitions) {
+    const errors = [];
+
+    if (!Array.isArray(definitions)) {
+        return { isValid: false, errors: ['rules must be an array'] };
+    }
+
+    const seenIds = new Set();
+
+    definitions.forEach((definition, index) => {
+        const path = `rules[${index}]${definition?.id ? ` (${definition.id})` : ''}`;
+
+        if (!definition || typeof definition !== 'object') {
+            errors.push(`${path}: rule must be an object`);
+            return;
+        }
+
+        errors.push(...validateSchema(definition, SCHEMAS.factorRule).errors.map(e => `${path}: ${e}`));
+
+        if (seenIds.has(definition.id)) {
+            errors.push(`${path}: duplicate rule id`);
+        }
+        seenIds.add(definition.id);
+
+        const conditions = getConditions(definition);
+        if (conditions.length === 0) {
+            errors.push(`${path}: rule must have at least one condition`);
+        }
+        conditions.forEach((condition, i) => {
+            errors.push(...validateCondition(condition || {}, `${path}.conditions[${i}]`));
+        });
+
+        if (definition.dose !== undefined) {
+            if (!Array.isArray(definition.dose)) {
+                errors.push(`${path}: dose must be an array`);
+            } else {
+                definition.dose.forEach((dose, i) => {
+                    errors.push(...validateDose(dose, `${path}.dose[${i}]`));
+                });
+            }
+        }
+    });
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Compile a rule definition into the { check, dose, label, weight, protective } shape used by the extractor.
+ * dose(answers) returns the strongest { field, value, multiplier } among the rule's dose
+ * curves that have a numeric answer, or null when none do.
+ */
+export function compileRule(definition) {
+    const conditions = getConditions(definition);
+    const matchAny = definition.match === 'any';
+    const doses = definition.dose || [];
+
+    return {
+        check: (answers) => matchAny
+            ? conditions.some(c => evaluateCondition(c, answers))
+            : conditions.every(c => evaluateCondition(c, answers)),
+        dose: (answers) => doses
+            .filter(({ field }) => typeof answers[field] === 'number')
+            .map(({ field, curve }) => ({
+                field,
+                value: answers[field],
+                multiplier: parseFloat(interpolate(curve, answers[field]).toFixed(2))
+            }))
+            .reduce((strongest, dose) => (!strongest || dose.multiplier > strongest.multiplier ? dose : strongest), null),
+        label: definition.label,
+        weight: definition.weight,
+        protective: definition.protective === true
+    };
+}
+
+/**
+ * Load and validate factor rule definitions from disk
+ * Throws if the file is unreadable or any rule is invalid, so bad rules fail at startup
+ * @param {string} path - Path to the JSON rule file
+ * @returns {object} { version, rules, source }
+ */
+export function loadFactorRules(path = process.env.FACTOR_RULES_PATH || DEFAULT_RULES_PATH) {
+    let config;
+
+    try {
+        config = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load factor rules from ${path}: ${error.message}`);
+    }
+
+    const validation = validateRuleDefinitions(config.rules);
+    if (!validation.isValid) {
+        throw new Error(`Invalid factor rules in ${path}:\n  ${validation.errors.join('\n  ')}`);
+    }
+
+    return {
+        version: config.version ?? null,
+        rules: config.rules,
+        source: path
+    };
+}
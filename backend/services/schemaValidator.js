@@ -11,7 +11,11 @@ export const SCHEMAS = {
         properties: {
             answers: { type: 'object' },
             missing_fields: { type: 'array', items: { type: 'string' } },
-            confidence: { type: 'number', min: 0, max: 1 }
+            ambiguities: { type: 'array', items: { type: 'object' } },
+            confidence: { type: 'number', min: 0, max: 1 },
+            field_provenance: { type: 'object' },
+            corrections: { type: 'array', items: { type: 'object' } },
+            locale: { type: 'string' }
         }
     },
 
@@ -20,6 +24,7 @@ export const SCHEMAS = {
         required: ['factors', 'confidence'],
         properties: {
             factors: { type: 'array', items: { type: 'string' } },
+            protective_factors: { type: 'array', items: { type: 'string' } },
             confidence: { type: 'number', min: 0, max: 1 }
         }
     },
@@ -30,7 +35,12 @@ export const SCHEMAS = {
         properties: {
             risk_level: { type: 'string', enum: ['low', 'moderate', 'high', 'very high'] },
             score: { type: 'number', min: 0, max: 100 },
-            rationale: { type: 'array', items: { type: 'string' } }
+            score_range: { type: 'object' },
+            risk_level_could_change: { type: 'boolean' },
+            rationale: { type: 'array', items: { type: 'string' } },
+            strengths: { type: 'array', items: { type: 'string' } },
+            score_breakdown: { type: 'array', items: { type: 'object' } },
+            model_version: { type: 'string' }
         }
     },
 
@@ -41,14 +51,26 @@ export const SCHEMAS = {
             status: { type: 'string' },
             answers: { type: 'object' },
             missing_fields: { type: 'array' },
+            ambiguities: { type: 'array' },
             parse_confidence: { type: 'number' },
+            field_provenance: { type: 'object' },
+            corrections: { type: 'array' },
+            locale: { type: 'string' },
+            language: { type: 'string' },
             factors: { type: 'array' },
+            protective_factors: { type: 'array' },
             factor_confidence: { type: 'number' },
             risk_level: { type: 'string' },
             score: { type: 'number' },
+            score_range: { type: 'object' },
+            risk_level_could_change: { type: 'boolean' },
             rationale: { type: 'array' },
+            strengths: { type: 'array' },
+            score_breakdown: { type: 'array' },
+            model_version: { type: 'string' },
             recommendations: { type: 'array' },
             detailed_recommendations: { type: 'array' },
+            clinical_scores: { type: 'array' },
             warnings: { type: 'array' }
         }
     },
@@ -64,17 +86,88 @@ export const SCHEMAS = {
         }
     },
 
+    // Factor Rule Definition Schema (config/factorRules.json)
+    factorRule: {
+        required: ['id', 'label', 'weight'],
+        properties: {
+            id: { type: 'string' },
+            label: { type: 'string' },
+            weight: { type: 'number', min: 0, max: 1 },
+            protective: { type: 'boolean' },
+            match: { type: 'string', enum: ['all', 'any'] },
+            conditions: { type: 'array', items: { type: 'object' } },
+            dose: { type: 'array', items: { type: 'object' } }
+        }
+    },
+
+    // Factor Rule Condition Schema
+    ruleCondition: {
+        required: ['field', 'operator'],
+        properties: {
+            field: { type: 'string' },
+            operator: { type: 'string', enum: ['eq', 'neq', 'in', 'lt', 'lte', 'gt', 'gte'] },
+            threshold: { type: 'number' },
+            values: { type: 'array' }
+        }
+    },
+
+    // Scoring Model Definition Schema (config/scoringModels.json)
+    scoringModel: {
+        required: ['version', 'name', 'factor_scores', 'risk_thresholds', 'age_base_risk'],
+        properties: {
+            version: { type: 'string' },
+            name: { type: 'string' },
+            description: { type: 'string' },
+            dose_scaling: { type: 'boolean' },
+            score_cap: { type: 'number', min: 1 },
+            factor_scores: { type: 'object' },
+            protective_scores: { type: 'object' },
+            risk_thresholds: { type: 'object' },
+            age_base_risk: { type: 'array', items: { type: 'object' } },
+            interactions: { type: 'array', items: { type: 'object' } }
+        }
+    },
+
+    // Interaction Rule Schema (scoring model "interactions")
+    interactionRule: {
+        required: ['id', 'label', 'factors'],
+        properties: {
+            id: { type: 'string' },
+            label: { type: 'string' },
+            factors: { type: 'array', items: { type: 'string' } },
+            points: { type: 'number', min: 0 },
+            multiplier: { type: 'number', min: 1 }
+        }
+    },
+
     // Input Answer Schema
     inputAnswers: {
         properties: {
             age: { type: 'number', min: 0, max: 150 },
             smoker: { type: 'boolean' },
+            never_smoked: { type: 'boolean' },
             exercise: { type: 'string', enum: ['rarely', 'sometimes', 'regularly'] },
             diet: { type: 'string' },
             alcohol: { type: 'string', enum: ['rarely', 'moderate', 'heavy'] },
             sleep: { type: 'number', min: 0, max: 24 },
             stress: { type: 'string', enum: ['low', 'moderate', 'high'] },
-            bmi: { type: 'number', min: 10, max: 100 }
+            bmi: { type: 'number', min: 10, max: 100 },
+            moderate_minutes: { type: 'number', min: 0, max: 10080 },
+            vigorous_minutes: { type: 'number', min: 0, max: 10080 },
+            drinks_per_week: { type: 'number', min: 0, max: 200 },
+            cigarettes_per_day: { type: 'number', min: 0, max: 100 },
+            pack_years: { type: 'number', min: 0, max: 200 },
+            stress_rating: { type: 'number', min: 1, max: 10 },
+            systolic_bp: { type: 'number', min: 60, max: 260 },
+            diastolic_bp: { type: 'number', min: 30, max: 160 },
+            resting_heart_rate: { type: 'number', min: 25, max: 220 },
+            waist_cm: { type: 'number', min: 40, max: 250 },
+            fasting_glucose: { type: 'number', min: 20, max: 600 },
+            total_cholesterol: { type: 'number', min: 50, max: 500 },
+            family_history_heart_disease: { type: 'boolean' },
+            family_history_diabetes: { type: 'boolean' },
+            bp_medication: { type: 'boolean' },
+            sex: { type: 'string', enum: ['male', 'female'] }
         }
     }
 };
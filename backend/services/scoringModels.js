@@ -0,0 +1,194 @@
+/**
+ * Scoring Model Registry
+ * Loads named, versioned scoring parameters so results stay reproducible when weights are tuned.
+ * Each analysis is stamped with the version it was scored with.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { validateSchema, SCHEMAS } from './schemaValidator.js';
+
+// Default model file, overridable with SCORING_MODELS_PATH
+const DEFAULT_MODELS_PATH = fileURLToPath(new URL('../config/scoringModels.json', import.meta.url));
+
+const RISK_LEVELS = ['moderate', 'high', 'very high'];
+
+// Age bands must ascend and end with an open band that has no upper bound
+function validateAgeBands(bands, path) {
+    if (!Array.isArray(bands) || bands.length === 0) {
+        return [`${path}: age_base_risk must be a non-empty array`];
+    }
+
+    const errors = [];
+    bands.forEach((band, i) => {
+        const last = i === bands.length - 1;
+        if (!band || typeof band.points !== 'number') {
+            errors.push(`${path}.age_base_risk[${i}]: points must be a number`);
+        }
+        if (last ? band?.below !== undefined : typeof band?.below !== 'number') {
+            errors.push(`${path}.age_base_risk[${i}]: ${last ? 'the last band must not have "below"' : 'below must be a number'}`);
+        } else if (!last && i > 0 && band.below <= bands[i - 1].below) {
+            errors.push(`${path}.age_base_risk[${i}]: bands must be in ascending order`);
+        }
+    });
+    return errors;
+}
+
+// Thresholds for each level above 'low', strictly increasing
+function validateThresholds(thresholds, path) {
+    if (!thresholds || typeof thresholds !== 'object') {
+        return [`${path}: risk_thresholds must be an object`];
+    }
+
+    const errors = [];
+    RISK_LEVELS.forEach((level, i) => {
+        if (typeof thresholds[level] !== 'number') {
+            errors.push(`${path}: risk_thresholds["${level}"] must be a number`);
+        } else if (i > 0 && thresholds[level] <= thresholds[RISK_LEVELS[i - 1]]) {
+            errors.push(`${path}: risk_thresholds["${level}"] must exceed risk_thresholds["${RISK_LEVELS[i - 1]}"]`);
+        }
+    });
+    return errors;
+}
+
+// Interaction rules name two or more of the model's factors and add either fixed points
+// or a multiplier on the points those factors scored
+function validateInteractions(interactions, factorScores, path) {
+    if (interactions === undefined) return [];
+    if (!Array.isArray(interactions)) {
+        return [`${path}: interactions must be an array`];
+    }
+
+    const errors = [];
+    const seenIds = new Set();
+
+    interactions.forEach((interaction, i) => {
+        const rulePath = `${path}.interactions[${i}]${interaction?.id ? ` (${interaction.id})` : ''}`;
+
+        if (!interaction || typeof interaction !== 'object') {
+            errors.push(`${rulePath}: interaction must be an object`);
+            return;
+        }
+
+        errors.push(...validateSchema(interaction, SCHEMAS.interactionRule).errors.map(e => `${rulePath}: ${e}`));
+
+        if (seenIds.has(interaction.id)) {
+            errors.push(`${rulePath}: duplicate interaction id`);
+        }
+        seenIds.add(interaction.id);
+
+        const factors = Array.isArray(interaction.factors) ? interaction.factors : [];
+        if (new Set(factors).size < 2) {
+            errors.push(`${rulePath}: factors must name at least two different factors`);
+        }
+        for (const factor of factors) {
+            if (factorScores && factorScores[factor] === undefined) {
+                errors.push(`${rulePath}: factor "${factor}" has no score in this model`);
+            }
+        }
+        if ((interaction.points === undefined) === (interaction.multiplier === undefined)) {
+            errors.push(`${rulePath}: interaction needs exactly one of points or multiplier`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate a scoring model file's contents
+ * @param {object} config - { default, models }
+ * @returns {object} Validation result with isValid and errors
+ */
+export function validateScoringModels(config) {
+    const models = config?.models;
+    if (!Array.isArray(models) || models.length === 0) {
+        return { isValid: false, errors: ['models must be a non-empty array'] };
+    }
+
+    const errors = [];
+    const seenVersions = new Set();
+
+    models.forEach((model, index) => {
+        const path = `models[${index}]${model?.version ? ` (${model.version})` : ''}`;
+
+        if (!model || typeof model !== 'object') {
+            errors.push(`${path}: model must be an object`);
+            return;
+        }
+
+        errors.push(...validateSchema(model, SCHEMAS.scoringModel).errors.map(e => `${path}: ${e}`));
+
+        if (seenVersions.has(model.version)) {
+            errors.push(`${path}: duplicate model version`);
+        }
+        seenVersions.add(model.version);
+
+        for (const [factor, points] of Object.entries(model.factor_scores || {})) {
+            if (typeof points !== 'number' || points < 0) {
+                errors.push(`${path}: factor_scores["${factor}"] must be a number >= 0`);
+            }
+        }
+        // Protective factors lower the score, so their points are negative
+        for (const [factor, points] of Object.entries(model.protective_scores || {})) {
+            if (typeof points !== 'number' || points > 0) {
+                errors.push(`${path}: protective_scores["${factor}"] must be a number <= 0`);
+            }
+        }
+        errors.push(...validateAgeBands(model.age_base_risk, path));
+        errors.push(...validateThresholds(model.risk_thresholds, path));
+        errors.push(...validateInteractions(model.interactions, model.factor_scores, path));
+    });
+
+    if (!seenVersions.has(config.default)) {
+        errors.push(`default: "${config.default}" is not one of the model versions`);
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Load and validate scoring models from disk
+ * Throws if the file is unreadable or any model is invalid, so bad models fail at startup
+ * @param {string} path - Path to the JSON model file
+ * @returns {object} { default, models, source }
+ */
+export function loadScoringModels(path = process.env.SCORING_MODELS_PATH || DEFAULT_MODELS_PATH) {
+    let config;
+
+    try {
+        config = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load scoring models from ${path}: ${error.message}`);
+    }
+
+    const validation = validateScoringModels(config);
+    if (!validation.isValid) {
+        throw new Error(`Invalid scoring models in ${path}:\n  ${validation.errors.join('\n  ')}`);
+    }
+
+    return {
+        default: config.default,
+        models: config.models,
+        source: path
+    };
+}
+
+// Scoring models, loaded from config/scoringModels.json at startup
+const MODEL_SET = loadScoringModels();
+
+const DEFAULT_MODEL_VERSION = MODEL_SET.default;
+
+/**
+ * Look up a scoring model by version
+ * @param {string} [version] - Model version; the default model when omitted
+ * @returns {object|null} The model, or null for an unknown version
+ */
+export function getScoringModel(version) {
+    const wanted = version === undefined || version === null ? DEFAULT_MODEL_VERSION : String(version);
+    return MODEL_SET.models.find(model => model.version === wanted) || null;
+}
+
+export { MODEL_SET, DEFAULT_MODEL_VERSION };
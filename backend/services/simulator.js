@@ -0,0 +1,101 @@
+/**
+ * What-If Simulator Service
+ * Re-scores a baseline survey under hypothetical answer overrides
+ */
+
+import { parseSurvey } from './surveyParser.js';
+import { extractFactors } from './factorExtractor.js';
+import { classifyRisk } from './riskClassifier.js';
+import { generateRecommendations } from './recommendationEngine.js';
+import { checkProfileCompleteness, validateInput, validateAnswerRanges } from './guardrails.js';
+import { createErrorResponse } from './schemaValidator.js';
+
+// Run factors -> risk -> recommendations for a set of answers
+function evaluateAnswers(answers, language, modelVersion) {
+    const factorResult = extractFactors(answers);
+    const riskResult = classifyRisk(factorResult.factors, answers, {
+        language, modelVersion, protectiveFactors: factorResult.protective_factors
+    });
+    const recResult = generateRecommendations(factorResult.factors, riskResult.risk_level, { language });
+
+    return {
+        answers,
+        factors: factorResult.factors,
+        protective_factors: factorResult.protective_factors,
+        risk_level: riskResult.risk_level,
+        score: riskResult.score,
+        rationale: riskResult.rationale,
+        recommendations: recResult.recommendations,
+        model_version: riskResult.model_version
+    };
+}
+
+// Describe how a scenario differs from the baseline
+function compareToBaseline(baseline, scenario) {
+    return {
+        score_delta: scenario.score - baseline.score,
+        level_change: {
+            from: baseline.risk_level,
+            to: scenario.risk_level,
+            changed: baseline.risk_level !== scenario.risk_level
+        },
+        factors_removed: baseline.factors.filter(f => !scenario.factors.includes(f)),
+        factors_added: scenario.factors.filter(f => !baseline.factors.includes(f))
+    };
+}
+
+/**
+ * Simulate lifestyle changes against a baseline survey
+ * @param {string|object} input - Baseline survey input
+ * @param {object[]} scenarios - Entries of shape { name?, overrides }
+ * @param {object} options - { isOcr, locale, language, modelVersion }
+ * @returns {object} { success, data | error }
+ */
+export function runWhatIfSimulation(input, scenarios, options = {}) {
+    const { isOcr = false, locale, language, modelVersion } = options;
+
+    const inputValidation = validateInput(input);
+    if (!inputValidation.isValid) {
+        return {
+            success: false,
+            error: createErrorResponse(inputValidation.status, inputValidation.reason)
+        };
+    }
+
+    // The baseline must pass the same guardrails as a normal analysis
+    const parseResult = parseSurvey(input, isOcr, { locale });
+    const completenessCheck = checkProfileCompleteness(parseResult);
+    if (!completenessCheck.isValid) {
+        return {
+            success: false,
+            error: createErrorResponse(completenessCheck.status, completenessCheck.reason, {
+                missing_fields: completenessCheck.missing_fields || parseResult.missing_fields
+            })
+        };
+    }
+
+    const baselineAnswers = validateAnswerRanges(parseResult.answers).correctedAnswers;
+    const baseline = evaluateAnswers(baselineAnswers, language, modelVersion);
+
+    const results = scenarios.map((scenario, index) => {
+        // Overrides go through the same normalization as survey answers
+        const overrides = parseSurvey(scenario.overrides || {}, false, { locale: parseResult.locale }).answers;
+        const { correctedAnswers } = validateAnswerRanges({ ...baselineAnswers, ...overrides });
+        const evaluated = evaluateAnswers(correctedAnswers, language, modelVersion);
+
+        return {
+            name: scenario.name || `scenario ${index + 1}`,
+            overrides,
+            ...evaluated,
+            ...compareToBaseline(baseline, evaluated)
+        };
+    });
+
+    return {
+        success: true,
+        data: {
+            baseline,
+            scenarios: results
+        }
+    };
+}
@@ -3,164 +3,1407 @@
  * Parses text and OCR inputs into structured survey data
  */
 
+import { PARSER_LOCALES, DEFAULT_LOCALE, normalizeText, getLocaleChain, resolveLocale, detectLocale } from './parserLocales.js';
+import { parseHeight, parseWeight, parseWaist, parseLabValue, parseBloodPressure, withUnit, calculateBmi } from './bodyMeasurements.js';
+
 // Expected survey fields
-const EXPECTED_FIELDS = ['age', 'smoker', 'exercise', 'diet', 'alcohol', 'sleep', 'stress', 'bmi'];
+const EXPECTED_FIELDS = [
+    'age', 'smoker', 'never_smoked', 'exercise', 'diet', 'alcohol', 'sleep', 'stress', 'bmi',
+    'moderate_minutes', 'vigorous_minutes', 'drinks_per_week', 'cigarettes_per_day', 'pack_years', 'stress_rating',
+    'systolic_bp', 'diastolic_bp', 'resting_heart_rate', 'waist_cm', 'fasting_glucose', 'total_cholesterol',
+    'family_history_heart_disease', 'family_history_diabetes', 'bp_medication', 'sex'
+];
 const CORE_FIELDS = ['age', 'smoker', 'exercise', 'diet'];
+// Amounts behind the categorical answers: weekly activity minutes, drinks per week,
+// cigarettes per day, pack-years and a 1-10 stress rating
+const QUANTITY_FIELDS = ['moderate_minutes', 'vigorous_minutes', 'drinks_per_week', 'cigarettes_per_day', 'pack_years', 'stress_rating'];
+// Optional clinical readings: blood pressure (mmHg), resting heart rate (bpm), waist (cm),
+// fasting glucose and total cholesterol (mg/dL), relatives with heart disease or diabetes,
+// and whether blood pressure medication is taken
+const CLINICAL_FIELDS = [
+    'systolic_bp', 'diastolic_bp', 'resting_heart_rate', 'waist_cm', 'fasting_glucose', 'total_cholesterol',
+    'family_history_heart_disease', 'family_history_diabetes', 'bp_medication'
+];
+// Clinical readings kept as written until their units are converted. unitKey names the
+// JSON key that labels a bare number ("glucose_unit": "mmol/L").
+const UNIT_READINGS = {
+    waist_cm: { read: parseWaist, value: reading => reading.centimeters, unit: 'cm', unitKey: 'waist_unit' },
+    fasting_glucose: { read: value => parseLabValue(value, 'glucose'), value: reading => reading.mg_dl, unit: 'mg_dl', unitKey: 'glucose_unit' },
+    total_cholesterol: { read: value => parseLabValue(value, 'cholesterol'), value: reading => reading.mg_dl, unit: 'mg_dl', unitKey: 'cholesterol_unit' }
+};
+// Read from the input only to derive BMI; they never appear in the answers
+const MEASUREMENT_FIELDS = ['height', 'weight'];
+// Read from the input and split into clinical answers: a "130/85" blood pressure
+// reading and a list of the conditions that run in the family
+const COMBINED_FIELDS = ['blood_pressure', 'family_history'];
+const INPUT_FIELDS = [...EXPECTED_FIELDS, ...MEASUREMENT_FIELDS, ...COMBINED_FIELDS];
+
+// How answer synonyms are matched: whole value, or anywhere within the value
+const MATCH_MODES = {
+    boolean: 'exact',
+    exercise: 'exact',
+    diet: 'contains',
+    alcohol: 'contains',
+    stress: 'exact',
+    sex: 'exact'
+};
+
+// Find the canonical value whose synonyms match (requested locale first, then English)
+function matchSynonym(value, category, locale) {
+    const text = normalizeText(value);
+    const mode = MATCH_MODES[category];
+
+    for (const code of getLocaleChain(locale)) {
+        for (const [canonical, synonyms] of Object.entries(PARSER_LOCALES[code][category])) {
+            const matched = synonyms.some(synonym => {
+                const term = normalizeText(synonym);
+                return mode === 'contains' ? text.includes(term) : text === term;
+            });
+            if (matched) return canonical;
+        }
+    }
+
+    return null;
+}
 
 // Normalize boolean values
-function normalizeBoolean(value) {
+function normalizeBoolean(value, locale) {
     if (typeof value === 'boolean') return value;
     if (typeof value === 'string') {
-        const lower = value.toLowerCase().trim();
-        if (['yes', 'true', 'y', '1', 'yeah', 'yep'].includes(lower)) return true;
-        if (['no', 'false', 'n', '0', 'nope', 'never'].includes(lower)) return false;
+        const match = matchSynonym(value, 'boolean', locale);
+        if (match === 'yes') return true;
+        if (match === 'no') return false;
     }
     return null;
 }
 
 // Normalize exercise level
-function normalizeExercise(value) {
+function normalizeExercise(value, locale) {
     if (!value) return null;
-    const lower = String(value).toLowerCase().trim();
+    return matchSynonym(value, 'exercise', locale) || String(value).toLowerCase().trim();
+}
 
-    if (['never', 'none', 'rarely', 'sedentary', 'no'].includes(lower)) return 'rarely';
-    if (['sometimes', 'occasional', 'moderate', '1-2 times', '1-2x', 'weekly'].includes(lower)) return 'sometimes';
-    if (['often', 'regular', 'regularly', 'frequent', '3-4 times', '3-4x', 'daily'].includes(lower)) return 'regularly';
+// Normalize diet type
+function normalizeDiet(value, locale) {
+    if (!value) return null;
+    return matchSynonym(value, 'diet', locale) || String(value).toLowerCase().trim();
+}
 
-    return lower;
+// Normalize alcohol consumption
+function normalizeAlcohol(value, locale) {
+    if (!value) return null;
+    return matchSynonym(value, 'alcohol', locale) || String(value).toLowerCase().trim();
 }
 
-// Normalize diet type
-function normalizeDiet(value) {
+// Normalize stress level
+function normalizeStress(value, locale) {
+    if (!value) return null;
+    return matchSynonym(value, 'stress', locale) || String(value).toLowerCase().trim();
+}
+
+// Normalize sex
+function normalizeSex(value, locale) {
     if (!value) return null;
-    const lower = String(value).toLowerCase().trim();
+    return matchSynonym(value, 'sex', locale) || String(value).toLowerCase().trim();
+}
 
-    if (lower.includes('high sugar') || lower.includes('junk') || lower.includes('fast food') || lower.includes('unhealthy')) {
-        return 'high sugar';
-    }
-    if (lower.includes('balanced') || lower.includes('normal') || lower.includes('mixed')) {
-        return 'balanced';
-    }
-    if (lower.includes('healthy') || lower.includes('vegetable') || lower.includes('fruit') || lower.includes('whole')) {
-        return 'healthy';
+// Field keywords for a locale (requested locale first, then English)
+function getFieldKeywords(field, locale) {
+    return getLocaleChain(locale).flatMap(code => PARSER_LOCALES[code].fields[field].map(normalizeText));
+}
+
+// Map localized JSON keys ("edad", "fumador") to survey field names
+function canonicalizeKeys(rawAnswers, locale) {
+    const canonical = {};
+
+    for (const [key, value] of Object.entries(rawAnswers)) {
+        const normalizedKey = normalizeText(key);
+        const field = INPUT_FIELDS.includes(normalizedKey)
+            ? normalizedKey
+            : INPUT_FIELDS.find(f => getFieldKeywords(f, locale).includes(normalizedKey));
+
+        if (field && canonical[field] === undefined) {
+            canonical[field] = value;
+        }
     }
 
-    return lower;
+    return canonical;
 }
 
-// Parse JSON input
-function parseJsonInput(input) {
+// Parse JSON input. Yes/no answers that could not be read are kept as written in unreadable.
+function parseJsonInput(input, locale = DEFAULT_LOCALE, unreadable = {}) {
     const answers = {};
-    const rawAnswers = typeof input === 'string' ? JSON.parse(input) : input;
+    const parsed = typeof input === 'string' ? JSON.parse(input) : input;
+    const rawAnswers = canonicalizeKeys(parsed, locale);
 
     // Normalize each field
     if (rawAnswers.age !== undefined) {
         answers.age = parseInt(rawAnswers.age, 10) || null;
     }
 
-    if (rawAnswers.smoker !== undefined) {
-        answers.smoker = normalizeBoolean(rawAnswers.smoker);
+    const readBoolean = (field) => {
+        answers[field] = normalizeBoolean(rawAnswers[field], locale);
+        if (answers[field] === null && typeof rawAnswers[field] === 'string' && rawAnswers[field].trim()) {
+            unreadable[field] = rawAnswers[field].trim();
+        }
+    };
+
+    for (const field of ['smoker', 'never_smoked']) {
+        if (rawAnswers[field] !== undefined) readBoolean(field);
     }
 
     if (rawAnswers.exercise !== undefined) {
-        answers.exercise = normalizeExercise(rawAnswers.exercise);
+        answers.exercise = normalizeExercise(rawAnswers.exercise, locale);
     }
 
     if (rawAnswers.diet !== undefined) {
-        answers.diet = normalizeDiet(rawAnswers.diet);
+        answers.diet = normalizeDiet(rawAnswers.diet, locale);
     }
 
     if (rawAnswers.alcohol !== undefined) {
-        const val = String(rawAnswers.alcohol).toLowerCase();
-        if (val.includes('heavy') || val.includes('frequent')) answers.alcohol = 'heavy';
-        else if (val.includes('moderate') || val.includes('social')) answers.alcohol = 'moderate';
-        else if (val.includes('rarely') || val.includes('never') || val.includes('none')) answers.alcohol = 'rarely';
-        else answers.alcohol = val;
+        answers.alcohol = normalizeAlcohol(rawAnswers.alcohol, locale);
     }
 
     if (rawAnswers.sleep !== undefined) {
         answers.sleep = parseInt(rawAnswers.sleep, 10) || rawAnswers.sleep;
     }
 
-    if (rawAnswers.stress !== undefined) {
-        answers.stress = String(rawAnswers.stress).toLowerCase();
+    // A numeric stress answer is a 1-10 rating
+    if (rawAnswers.stress !== undefined && rawAnswers.stress_rating === undefined && /^\s*\d+(?:[.,]\d+)?\s*$/.test(rawAnswers.stress)) {
+        rawAnswers.stress_rating = rawAnswers.stress;
+    } else if (rawAnswers.stress !== undefined) {
+        answers.stress = normalizeStress(rawAnswers.stress, locale);
     }
 
     if (rawAnswers.bmi !== undefined) {
         answers.bmi = parseFloat(rawAnswers.bmi) || null;
     }
 
+    for (const field of QUANTITY_FIELDS) {
+        if (rawAnswers[field] !== undefined) {
+            answers[field] = parseQuantity(rawAnswers[field]);
+        }
+    }
+
+    // Answers written as phrases ("30 minutes a day") are read like free text
+    for (const field of ['exercise', 'alcohol', 'stress']) {
+        if (typeof answers[field] !== 'string' || isKnownAnswer(field, answers[field])) continue;
+        const phrase = parseFreeText(`${field} ${rawAnswers[field]}`).answers;
+        for (const [key, value] of Object.entries(phrase)) {
+            if (key === field || (QUANTITY_FIELDS.includes(key) && answers[key] === undefined)) {
+                answers[key] = value;
+            }
+        }
+    }
+
+    // Height and weight stay as written ("height_unit" labels a bare number)
+    for (const field of MEASUREMENT_FIELDS) {
+        if (rawAnswers[field] !== undefined && rawAnswers[field] !== null && rawAnswers[field] !== '') {
+            answers[field] = withUnit(rawAnswers[field], parsed[`${field}_unit`]);
+        }
+    }
+
+    for (const field of ['systolic_bp', 'diastolic_bp', 'resting_heart_rate']) {
+        if (rawAnswers[field] !== undefined) {
+            answers[field] = parseQuantity(rawAnswers[field]);
+        }
+    }
+
+    for (const [field, { unitKey }] of Object.entries(UNIT_READINGS)) {
+        if (rawAnswers[field] !== undefined && rawAnswers[field] !== null && rawAnswers[field] !== '') {
+            answers[field] = withUnit(rawAnswers[field], parsed[unitKey]);
+        }
+    }
+
+    if (rawAnswers.blood_pressure !== undefined) {
+        answers.blood_pressure = rawAnswers.blood_pressure;
+    }
+
+    for (const field of ['family_history_heart_disease', 'family_history_diabetes', 'bp_medication']) {
+        if (rawAnswers[field] !== undefined) readBoolean(field);
+    }
+
+    if (rawAnswers.sex !== undefined) {
+        answers.sex = normalizeSex(rawAnswers.sex, locale);
+    }
+
+    // A list of conditions answers both family history questions unless they were asked separately
+    if (rawAnswers.family_history !== undefined) {
+        for (const [field, value] of Object.entries(parseFamilyHistory(rawAnswers.family_history, locale) || {})) {
+            if (answers[field] === undefined) answers[field] = value;
+        }
+    }
+
     return answers;
 }
 
-// Parse OCR text input
-function parseOcrText(text) {
+// Read a family history answer listing relatives' conditions ("diabetes, heart disease",
+// ["diabetes"], "none"). Conditions not listed count as absent; null when neither a
+// condition nor "none" is recognised.
+function parseFamilyHistory(value, locale) {
+    if (typeof value === 'boolean' || value === null) return null;
+    const text = normalizeText(Array.isArray(value) ? value.join(', ') : value);
+    const terms = (condition) => getLocaleChain(locale)
+        .flatMap(code => PARSER_LOCALES[code].family_history[condition].map(normalizeText));
+
+    const heartDisease = terms('heart_disease').some(term => text.includes(term));
+    const diabetes = terms('diabetes').some(term => text.includes(term));
+    if (!heartDisease && !diabetes && !terms('none').includes(text)) return null;
+    return { family_history_heart_disease: heartDisease, family_history_diabetes: diabetes };
+}
+
+// Read a quantity answer ("12", "2,5"); null when it is not a number
+function parseQuantity(value) {
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+}
+
+// How far a parsed value can be trusted, by how it was matched
+const MATCH_CONFIDENCE = {
+    number: 1.0,        // number directly after a field keyword
+    synonym: 1.0,       // the whole value matched a known answer
+    last_token: 0.9,    // only the last word of the value matched a known answer
+    checkbox: 1.0,      // a single ticked box labelled with a known answer
+    conflicting_checkboxes: 0.4, // boxes ticked for different answers; the first known one is used
+    free_text: 0.8,     // understood from a sentence by the free-text rules
+    unrecognized: 0.5,  // value kept as written, not a known answer
+    unparsed: 0         // field mentioned but no usable value
+};
+
+// Synonym dictionary behind each categorical field
+const FIELD_CATEGORIES = {
+    smoker: 'boolean',
+    never_smoked: 'boolean',
+    exercise: 'exercise',
+    diet: 'diet',
+    alcohol: 'alcohol',
+    stress: 'stress',
+    family_history_heart_disease: 'boolean',
+    family_history_diabetes: 'boolean',
+    bp_medication: 'boolean',
+    sex: 'sex'
+};
+
+// Whether a normalized value is one of the field's canonical answers
+function isKnownAnswer(field, value) {
+    if (FIELD_CATEGORIES[field] === 'boolean') return typeof value === 'boolean';
+    return Object.keys(PARSER_LOCALES[DEFAULT_LOCALE][FIELD_CATEGORIES[field]]).includes(value);
+}
+
+// Edit distance between two strings (insertions, deletions and substitutions)
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Similarity (0-1) of a value to a synonym: the whole value, or its closest run of as many words as the synonym has
+function synonymSimilarity(text, synonym) {
+    const words = text.split(/\s+/);
+    const size = synonym.split(/\s+/).length;
+    const candidates = [text];
+    for (let i = 0; i + size <= words.length; i++) {
+        candidates.push(words.slice(i, i + size).join(' '));
+    }
+    return Math.max(...candidates.map(c => 1 - editDistance(c, synonym) / Math.max(c.length, synonym.length)));
+}
+
+// The known answer whose synonyms come closest to a value (requested locale first, then English)
+function closestAnswer(field, value, locale) {
+    const text = normalizeText(value);
+    let closest = { suggestion: null, similarity: 0 };
+
+    for (const code of getLocaleChain(locale)) {
+        for (const [canonical, synonyms] of Object.entries(PARSER_LOCALES[code][FIELD_CATEGORIES[field]])) {
+            for (const synonym of [canonical, ...synonyms]) {
+                const similarity = synonymSimilarity(text, normalizeText(synonym));
+                if (similarity > closest.similarity) {
+                    closest = { suggestion: canonical, similarity };
+                }
+            }
+        }
+    }
+
+    return { ...closest, similarity: parseFloat(closest.similarity.toFixed(2)) };
+}
+
+// Categorical answers kept as written because no synonym matched, and yes/no answers that
+// could not be read (unreadable, by field), each with the closest known answer
+function findAmbiguities(answers, locale, unreadable = {}) {
+    return Object.keys(FIELD_CATEGORIES)
+        .filter(field => !isKnownAnswer(field, answers[field]))
+        .map(field => ({ field, value: FIELD_CATEGORIES[field] === 'boolean' ? unreadable[field] : answers[field] }))
+        .filter(({ value }) => typeof value === 'string')
+        .map(({ field, value }) => {
+            const closest = closestAnswer(field, value, locale);
+            if (FIELD_CATEGORIES[field] === 'boolean' && closest.suggestion !== null) {
+                closest.suggestion = closest.suggestion === 'yes';
+            }
+            return { field, value, ...closest };
+        });
+}
+
+// Escape a keyword for use inside a RegExp
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Read the first number following any of the keywords ("age: 42", "sleep (hours) | 7"),
+// with the matched span's position in the line
+function matchNumberAfterKeyword(lower, keywords, pattern = '\\d+') {
+    for (const keyword of keywords) {
+        // The keyword must start a word, so "average 7" is not read as an age
+        const match = lower.match(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword)}(?:\\s*\\([^)]*\\))?[:|\\s]+(${pattern})`, 'u'));
+        if (match) return { value: match[1], from: match.index, to: match.index + match[0].length };
+    }
+    return null;
+}
+
+// Read the text following any of the keywords, up to the end of the phrase, as a
+// measurement. A unit in parentheses after the keyword ("weight (lb): 180") applies
+// to a bare number. Also returns the text as written.
+function matchMeasurementAfterKeyword(lower, keywords) {
+    for (const keyword of keywords) {
+        const match = lower.match(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword)}(?:\\s*\\(([^)]*)\\))?[:|\\s]+(.+?)(?=\\s*(?:[,;](?!\\d)|\\.(?!\\d)|\\s(?:and|but|y|et|और)\\s|$))`, 'u'));
+        if (match) return { value: withUnit(match[2], match[1]), text: match[2], from: match.index, to: match.index + match[0].length };
+    }
+    return null;
+}
+
+// Pick a value from a "Key: value" line: the whole text after the colon if it
+// matches a synonym, otherwise the last token. Also returns where the value sits
+// in the line, whether only part of it was used and the text after the colon as written.
+function pickLineValue(line, normalize, locale) {
+    const lastToken = line.split(/[:\s]+/).pop();
+    const colonIndex = line.indexOf(':');
+    let partial = false;
+
+    let raw;
+
+    if (colonIndex !== -1) {
+        const afterColon = line.slice(colonIndex + 1).trim();
+        raw = afterColon || undefined;
+        if (afterColon && afterColon !== lastToken) {
+            const value = normalize(afterColon, locale);
+            if (value !== null && value !== afterColon.toLowerCase()) {
+                return { value, from: line.indexOf(afterColon, colonIndex), to: line.length, partial };
+            }
+            partial = true;
+        }
+    }
+
+    return { value: normalize(lastToken, locale), raw, from: line.length - lastToken.length, to: line.length, partial };
+}
+
+// Split text into trimmed, non-empty lines, keeping each line's number and
+// character offset in the original input
+function splitSourceLines(text) {
+    const lines = [];
+    let offset = 0;
+
+    text.split('\n').forEach((raw, index) => {
+        const line = raw.trim();
+        if (line) {
+            lines.push({ text: line, number: index + 1, start: offset + raw.indexOf(line) });
+        }
+        offset += raw.length + 1;
+    });
+
+    return lines;
+}
+
+// Collapse whitespace so OCR lines can be compared with (possibly re-spaced) input lines
+function collapseWhitespace(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+}
+
+// Find the unused OCR line that produced an input line. Lines edited after OCR
+// no longer match and are treated as reviewed text.
+function findOcrLine(ocrLines, text, used) {
+    const target = collapseWhitespace(text);
+    const index = ocrLines.findIndex((line, i) =>
+        !used.has(i) && line && typeof line.text === 'string' && collapseWhitespace(line.text) === target
+    );
+    if (index === -1) return null;
+    used.add(index);
+    return ocrLines[index];
+}
+
+// Lowest OCR word confidence within a span of the line, falling back to the line's confidence
+function ocrSpanConfidence(ocrLine, lineText, from, to) {
+    if (!ocrLine) return null;
+
+    const overlapping = [];
+    let cursor = 0;
+    for (const word of Array.isArray(ocrLine.words) ? ocrLine.words : []) {
+        if (!word || typeof word.text !== 'string' || typeof word.confidence !== 'number') continue;
+        const at = lineText.indexOf(word.text, cursor);
+        if (at === -1) continue;
+        cursor = at + word.text.length;
+        if (at < to && cursor > from) overlapping.push(word.confidence);
+    }
+
+    const confidence = overlapping.length > 0 ? Math.min(...overlapping) : ocrLine.confidence;
+    return typeof confidence === 'number' ? Math.max(0, Math.min(1, confidence)) : null;
+}
+
+// Checkbox glyphs as printed on forms, and as OCR commonly renders them
+const CHECKED_BOX = /[☒☑✓✔✗✘]|\[\s*[xX✓✔]\s*\]|\(\s*[xX✓✔]\s*\)/u;
+const EMPTY_BOX = /[☐□]|\[\s*\]|\(\s*\)/u;
+// A lone "X" is often all that survives OCR of a ticked box
+const BARE_X = /(?<![\p{L}\p{N}])[xX](?![\p{L}\p{N}])/u;
+const BOX_PATTERN = new RegExp(`${CHECKED_BOX.source}|${EMPTY_BOX.source}|${BARE_X.source}`, 'gu');
+
+// Attach each box's label: the text after it, or before it when the row ends
+// with a box ("Yes ☒ No ☐")
+function labelBoxes(line, boxes, normalize, locale) {
+    const labelsFollow = line.slice(boxes[boxes.length - 1].to).trim() !== '';
+    const colonIndex = line.indexOf(':');
+
+    return boxes.map((box, i) => {
+        const [from, to] = labelsFollow
+            ? [box.to, i + 1 < boxes.length ? boxes[i + 1].from : line.length]
+            : [i > 0 ? boxes[i - 1].to : colonIndex + 1, box.from];
+        // A column gap ends the label ("X Yes   No")
+        const cells = line.slice(from, to).split(/\s{2,}/).filter(cell => cell.trim());
+        const label = ((labelsFollow ? cells[0] : cells[cells.length - 1]) || '').trim();
+        let value = label ? normalize(label, locale) : null;
+        // A leading label may still carry the question ("Smoker Yes ☒")
+        if (!labelsFollow && i === 0 && label.includes(' ') && value === label.toLowerCase()) {
+            value = normalize(label.split(/\s+/).pop(), locale);
+        }
+        return { ...box, from: Math.min(from, box.from), to: Math.max(to, box.to), value };
+    });
+}
+
+// Pick the ticked option from a checkbox row ("Smoker: ☒ Yes ☐ No").
+// Returns null when the text has no boxes.
+function pickCheckedOption(line, field, normalize, locale) {
+    let boxes = [...line.matchAll(BOX_PATTERN)].map(m => ({
+        from: m.index,
+        to: m.index + m[0].length,
+        checked: !EMPTY_BOX.test(m[0]),
+        bare: m[0].length === 1 && BARE_X.test(m[0])
+    }));
+    if (boxes.length === 0) return null;
+
+    // A bare X only counts as a tick when it labels a known answer
+    const labelled = labelBoxes(line, boxes, normalize, locale);
+    boxes = boxes.filter((box, i) => !box.bare || isKnownAnswer(field, labelled[i].value));
+    if (boxes.length === 0) return null;
+
+    const options = labelBoxes(line, boxes, normalize, locale);
+    const span = { from: Math.min(...options.map(o => o.from)), to: Math.max(...options.map(o => o.to)) };
+    const checked = options.filter(option => option.checked && option.value !== null);
+    if (checked.length === 0) {
+        return { value: null, ...span };
+    }
+
+    const chosen = checked.find(option => isKnownAnswer(field, option.value)) || checked[0];
+    const conflicting = checked.some(option => option.value !== chosen.value);
+    return { value: chosen.value, ...span, match: conflicting ? 'conflicting_checkboxes' : 'checkbox' };
+}
+
+// Split a line into question/answer segments. Columns are separated by tabs,
+// pipes or runs of 2+ spaces; a column naming a field the current segment
+// doesn't already cover starts a new segment, any other column extends it.
+function splitLineSegments(line, keywords) {
+    const cells = [];
+    const separator = /\t+|\s*\|\s*|\s{2,}/g;
+    let cellStart = 0;
+    for (const match of line.matchAll(separator)) {
+        if (match.index > cellStart) cells.push({ from: cellStart, to: match.index });
+        cellStart = match.index + match[0].length;
+    }
+    if (cellStart < line.length) cells.push({ from: cellStart, to: line.length });
+
+    const segments = [];
+    for (const cell of cells) {
+        const lower = normalizeText(line.slice(cell.from, cell.to));
+        const fields = INPUT_FIELDS.filter(f => keywords[f].some(k => lower.includes(k)));
+        const current = segments[segments.length - 1];
+
+        if (current && fields.every(f => current.fields.includes(f))) {
+            current.to = cell.to;
+        } else {
+            segments.push({ from: cell.from, to: cell.to, fields });
+        }
+    }
+
+    return segments.map(({ from, to }) => ({ from, text: line.slice(from, to) }));
+}
+
+// Parse OCR text input, recording where each answer came from
+function parseOcrText(text, locale = DEFAULT_LOCALE, ocrLines = []) {
     const answers = {};
-    const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+    const provenance = {};
+    const unreadable = {};
+    const keywords = Object.fromEntries(INPUT_FIELDS.map(f => [f, getFieldKeywords(f, locale)]));
+    const usedOcrLines = new Set();
+
+    // Other fields' keywords containing one of a field's own ("stress rating" contains
+    // "stress", "tour de taille" contains "taille"). They are blanked out before the
+    // field is looked for, so the longer keyword wins.
+    const shadowing = Object.fromEntries(INPUT_FIELDS.map(field => [field, INPUT_FIELDS
+        .filter(other => other !== field)
+        .flatMap(other => keywords[other])
+        .filter(k => keywords[field].some(own => k !== own && k.includes(own)))]));
+
+    for (const source of splitSourceLines(text)) {
+        const ocrLine = findOcrLine(Array.isArray(ocrLines) ? ocrLines : [], source.text, usedOcrLines);
+
+        for (const segment of splitLineSegments(source.text, keywords)) {
+            const line = segment.text;
+            const lower = normalizeText(line);
+
+            // Offsets found in the normalized text only carry over when normalization kept its length
+            const aligned = lower.length === line.length;
+            // The segment as seen by one field, with shadowing keywords blanked (offsets are kept)
+            const fieldText = (field) => shadowing[field].reduce((text, k) => text.split(k).join(' '.repeat(k.length)), lower);
+            const keywordStart = (field) => {
+                const starts = keywords[field].map(k => fieldText(field).indexOf(k)).filter(i => i !== -1);
+                return aligned && starts.length > 0 ? Math.min(...starts) : 0;
+            };
+            const mentions = (field) => keywords[field].some(k => fieldText(field).includes(k));
+
+            // from/to are offsets within the segment
+            const record = (field, value, from, to, match) => {
+                const ocrConfidence = ocrSpanConfidence(ocrLine, source.text, segment.from + from, segment.from + to);
+                answers[field] = value;
+                provenance[field] = {
+                    line: source.number,
+                    text: source.text,
+                    start: source.start + segment.from + from,
+                    end: source.start + segment.from + to,
+                    match,
+                    confidence: parseFloat((MATCH_CONFIDENCE[match] * (ocrConfidence ?? 1)).toFixed(2))
+                };
+            };
+            const recordNumber = (field, found, parse) => {
+                const [from, to] = aligned ? [found.from, found.to] : [0, line.length];
+                record(field, parse(found.value), from, to, 'number');
+            };
+            const recordPicked = (field, picked) => {
+                const from = Math.min(keywordStart(field), picked.from);
+                let match = picked.match || (picked.partial ? 'last_token' : 'synonym');
+                if (picked.value === null || picked.value === undefined) match = 'unparsed';
+                else if (!isKnownAnswer(field, picked.value)) match = 'unrecognized';
+                record(field, picked.value, from, Math.max(picked.to, from), match);
+                if (match === 'unparsed' && picked.raw && FIELD_CATEGORIES[field] === 'boolean') unreadable[field] = picked.raw;
+            };
+            const pickValue = (field, normalize) =>
+                pickCheckedOption(line, field, normalize, locale) || pickLineValue(line, normalize, locale);
+
+            // Parse age
+            const age = matchNumberAfterKeyword(fieldText('age'), keywords.age);
+            if (age) {
+                recordNumber('age', age, value => parseInt(value, 10));
+            }
+
+            // Parse smoker, and whether the person has never smoked
+            for (const field of ['smoker', 'never_smoked']) {
+                if (mentions(field)) {
+                    recordPicked(field, pickValue(field, normalizeBoolean));
+                }
+            }
 
-    for (const line of lines) {
-        const lower = line.toLowerCase();
+            // Parse exercise
+            if (mentions('exercise')) {
+                recordPicked('exercise', pickValue('exercise', normalizeExercise));
+            }
+
+            // Parse diet
+            if (mentions('diet')) {
+                const parts = line.split(/[:\s]+/);
+                const value = parts.slice(1).join(' ');
+                const lastToken = parts[parts.length - 1];
+                const whole = normalizeDiet(value, locale);
+                const valueStart = line.match(/^[^:\s]*[:\s]*/)[0].length;
+                recordPicked('diet', pickCheckedOption(line, 'diet', normalizeDiet, locale) || (whole
+                    ? { value: whole, from: valueStart, to: line.length, partial: false }
+                    : { value: normalizeDiet(lastToken, locale), from: line.length - lastToken.length, to: line.length, partial: true }));
+            }
+
+            // Parse alcohol
+            if (mentions('alcohol')) {
+                recordPicked('alcohol', pickValue('alcohol', normalizeAlcohol));
+            }
+
+            // Parse sleep
+            const sleep = matchNumberAfterKeyword(fieldText('sleep'), keywords.sleep);
+            if (sleep) {
+                recordNumber('sleep', sleep, value => parseInt(value, 10));
+            }
+
+            // Parse stress (a number is a 1-10 rating)
+            const stressRating = mentions('stress') && matchNumberAfterKeyword(fieldText('stress'), keywords.stress);
+            if (stressRating) {
+                recordNumber('stress_rating', stressRating, value => parseInt(value, 10));
+            } else if (mentions('stress')) {
+                recordPicked('stress', pickValue('stress', normalizeStress));
+            }
+
+            // Parse BMI
+            const bmi = matchNumberAfterKeyword(fieldText('bmi'), keywords.bmi, '[\\d.]+');
+            if (bmi) {
+                recordNumber('bmi', bmi, value => parseFloat(value));
+            }
+
+            // Parse quantities
+            for (const field of QUANTITY_FIELDS) {
+                const found = matchNumberAfterKeyword(fieldText(field), keywords[field], '\\d+(?:[.,]\\d+)?');
+                if (found) {
+                    recordNumber(field, found, parseQuantity);
+                }
+            }
+
+            // Parse height and weight, kept as written until BMI is derived, and the
+            // clinical readings kept as written until their units are converted
+            const readings = [['height', parseHeight], ['weight', parseWeight], ...Object.entries(UNIT_READINGS).map(([field, { read }]) => [field, read])];
+            for (const [field, read] of readings) {
+                const found = matchMeasurementAfterKeyword(fieldText(field), keywords[field]);
+                const reading = found && read(found.value);
+                if (!reading) continue;
+                // Keep just the reading when it sits inside a longer phrase ("is 38 inches")
+                if (found.value === found.text) {
+                    found.value = found.text.substr(reading.index, reading.length);
+                    found.to -= found.text.length - reading.index - reading.length;
+                }
+                recordNumber(field, found, value => value);
+            }
+
+            // Parse blood pressure ("BP: 130/85") and separately written readings
+            const bloodPressure = matchNumberAfterKeyword(fieldText('blood_pressure'), keywords.blood_pressure, '\\d{2,3}\\s*/\\s*\\d{2,3}');
+            const reading = bloodPressure && parseBloodPressure(bloodPressure.value);
+            if (reading) {
+                recordNumber('systolic_bp', bloodPressure, () => reading.systolic);
+                recordNumber('diastolic_bp', bloodPressure, () => reading.diastolic);
+            }
+            for (const field of ['systolic_bp', 'diastolic_bp', 'resting_heart_rate']) {
+                const found = matchNumberAfterKeyword(fieldText(field), keywords[field]);
+                if (found) {
+                    recordNumber(field, found, value => parseInt(value, 10));
+                }
+            }
+
+            // Parse sex
+            if (mentions('sex')) {
+                recordPicked('sex', pickValue('sex', normalizeSex));
+            }
 
-        // Parse age
-        const ageMatch = lower.match(/age[:\s]+(\d+)/);
-        if (ageMatch) {
-            answers.age = parseInt(ageMatch[1], 10);
+            // Parse family history, asked per condition or as one list ("Family history: diabetes"),
+            // and blood pressure medication
+            for (const field of ['family_history_heart_disease', 'family_history_diabetes', 'bp_medication']) {
+                if (mentions(field)) {
+                    recordPicked(field, pickValue(field, normalizeBoolean));
+                }
+            }
+            if (mentions('family_history')) {
+                const from = keywordStart('family_history');
+                const history = parseFamilyHistory(line.slice(from).replace(/^[^:|]*[:|]\s*/, ''), locale);
+                for (const [field, value] of Object.entries(history || {})) {
+                    record(field, value, from, line.length, 'synonym');
+                }
+            }
+        }
+    }
+
+    return { answers, provenance, unreadable };
+}
+
+// Number words accepted wherever free text expects a number ("seven hours")
+const NUMBER_WORDS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+    sixty: 60, seventy: 70, eighty: 80, ninety: 90, a: 1, an: 1, once: 1, twice: 2
+};
+const TENS_WORDS = 'twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety';
+const UNIT_WORDS = 'one|two|three|four|five|six|seven|eight|nine';
+const NUMBER = `(\\d+(?:\\.\\d+)?|(?:${TENS_WORDS})(?:[\\s-](?:${UNIT_WORDS}))?|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// Time periods a rate can be expressed in, as days
+const PERIOD = '(?:a|per|each|every|/|an?)\\s*(day|night|week|month)|(daily|nightly|weekly)';
+const PERIOD_DAYS = { day: 1, night: 1, daily: 1, nightly: 1, week: 7, weekly: 7, month: 30 };
+
+// Words that flip or end the meaning of the phrase that follows them
+const NEGATION = /\b(?:not|no|never|don'?t|do not|doesn'?t|didn'?t|haven'?t|hasn'?t|no longer|nor|neither|without|zero)\b|n't\b/;
+const PAST = /\b(?:used to|quit|quitted|stopped|gave up|given up|give up|former(?:ly)?|ex|previously)\b/;
+const PAST_AFTER = /\b(?:until|till|ago|back then|in the past|in college|when i was)\b/;
+
+// Parse a number written as digits or words ("42", "forty-two", "twice")
+function parseNumberText(text) {
+    const value = String(text).toLowerCase().trim();
+    if (/^\d/.test(value)) return parseFloat(value);
+    const [tens, unit] = value.split(/[\s-]+/);
+    return (NUMBER_WORDS[tens] ?? NaN) + (unit ? NUMBER_WORDS[unit] ?? 0 : 0);
+}
+
+// Convert "<n> per <period>" to a weekly amount; periods are PERIOD's capture groups
+function toWeekly(amount, periods) {
+    return amount * 7 / PERIOD_DAYS[periods.find(Boolean)];
+}
+
+// Split free text into clauses so negations only reach the phrase they belong to
+function splitClauses(text) {
+    const clauses = [];
+    const boundary = /[;!?\n,]+|\.(?!\d)|\b(?:and|but|although|though|however|whereas|while)\b/g;
+    let start = 0;
+    for (const match of text.matchAll(boundary)) {
+        clauses.push({ start, text: text.slice(start, match.index) });
+        start = match.index + match[0].length;
+    }
+    clauses.push({ start, text: text.slice(start) });
+    return clauses.filter(clause => clause.text.trim());
+}
+
+// Context of a keyword within its clause: negated, or describing the past
+function describeMention(clause, index, length) {
+    const before = clause.slice(0, index);
+    const after = clause.slice(index + length);
+    return {
+        negated: NEGATION.test(before),
+        past: PAST.test(before) || PAST_AFTER.test(after)
+    };
+}
+
+// Category a quantity falls into, used when an answer gives the amount but no category
+const QUANTITY_CATEGORIES = {
+    exercise: { quantity: 'activity_minutes', category: minutes => minutes >= 150 ? 'regularly' : minutes >= 60 ? 'sometimes' : 'rarely' },
+    alcohol: { quantity: 'drinks_per_week', category: drinks => drinks > 14 ? 'heavy' : drinks >= 1 ? 'moderate' : 'rarely' },
+    smoker: { quantity: 'cigarettes_per_day', category: cigarettes => cigarettes > 0 },
+    never_smoked: { quantity: 'pack_years', category: packYears => packYears === 0 },
+    stress: { quantity: 'stress_rating', category: rating => rating >= 7 ? 'high' : rating >= 4 ? 'moderate' : 'low' }
+};
+
+// Phrases the smoking rules look for
+const SMOKING_WORD = /\b(?:smok(?:e|es|ed|er|ing)|cigarettes?|cigs|cigars?|tobacco|vap(?:e|es|ing))\b/;
+
+// Phrases the exercise and activity-minute rules look for
+const EXERCISE_WORD = /\b(?:exercis\w*|work(?:ing)? out|workouts?|gym|walk\w*|run(?:s|ning)?|jog\w*|swim\w*|cycl\w*|bik(?:e|es|ing)|yoga|hik\w*|lift\w*|sports?|train(?:s|ing)?|active)\b/;
+const VIGOROUS_WORD = /\b(?:run(?:s|ning)?|jog\w*|sprint\w*|hiit|vigorous(?:ly)?|intense|intensive|crossfit|spinning)\b/;
+// "30 minutes a day", "2 hours per week", "45 minutes 3 times a week"
+const ACTIVITY_TIME = new RegExp(`\\b${NUMBER}\\s*(minutes?|mins?|hours?|hrs?)\\s*(?:,?\\s*${NUMBER}\\s*(?:times?|x)\\s*)?(?:${PERIOD})`);
+
+// Weekly minutes of exercise named in a clause, and whether the activity is vigorous
+function findActivityTime(clause) {
+    const time = clause.match(ACTIVITY_TIME);
+    if (!time) return null;
+    const minutes = parseNumberText(time[1]) * (/^h/.test(time[2]) ? 60 : 1) * (time[3] ? parseNumberText(time[3]) : 1);
+    return { minutes: Math.round(toWeekly(minutes, time.slice(4))), vigorous: VIGOROUS_WORD.test(clause), match: time };
+}
+
+// Alcohol words, and drinks that are not alcoholic
+const ALCOHOL_WORD = /\b(?:alcohol\w*|beers?|wines?|liquor|spirits|whisk(?:e)?y|vodka|cocktails?|booze|pints?)\b/;
+const NON_ALCOHOLIC = /\b(?:water|coffee|tea|milk|juice|soda|smoothies?)\b/;
+// "2 drinks a day", "ten beers per week"
+const DRINK_AMOUNT = new RegExp(`\\b${NUMBER}\\s*(?:\\w+\\s+)?(?:drinks?|beers?|glasses|glass|pints?|shots?|units?|bottles?|cans?)(?:\\s+of\\s+\\w+)?\\s*(?:${PERIOD})`);
+
+// "stress is 8/10", "stress: 7 out of 10", "stress level of 3"
+const STRESS_RATING = [
+    /\bstress\w*(?:\s+(?:level|rating|score))?\s*(?:is|of|:|=|at|around|about|\s)*(\d{1,2}(?:\.\d)?)\s*(?:\/|out of)\s*10\b/,
+    /\bstress\w*\s+(?:level|rating|score)\s*(?:is|of|:|=|at|around|about|\s)*(\d{1,2}(?:\.\d)?)\b/
+];
+
+// Free-text rules per field. Each takes a lowercased clause and returns
+// { value, index, length } for the phrase it understood, or null.
+const FREE_TEXT_RULES = {
+    age(clause) {
+        const patterns = [
+            new RegExp(`\\b${NUMBER}[\\s-]*(?:years?|yrs?)[\\s-]*old\\b`),
+            new RegExp(`\\b(?:aged?|age is)\\s*:?\\s*${NUMBER}\\b`),
+            new RegExp(`\\b(?:i'?m|i am|im)\\s+${NUMBER}\\b(?![.,]\\d|['"]|\\s*(?:%|tall|hours?|hrs?|minutes?|mins?|kg|kilos?|lbs?|pounds?|cm|m\\b|ft|feet|foot|inch|times?|drinks?|cigarettes?|days?|nights?))`)
+        ];
+        for (const pattern of patterns) {
+            const match = clause.match(pattern);
+            const age = match && parseNumberText(match[1]);
+            if (age >= 1 && age <= 120) return { value: Math.round(age), index: match.index, length: match[0].length };
+        }
+        return null;
+    },
+
+    sleep(clause) {
+        if (!/\bsleep|\bslept\b/.test(clause)) return null;
+        const match = clause.match(new RegExp(`\\b${NUMBER}\\s*(?:hours?|hrs?|h)\\b`));
+        if (!match) return null;
+        const hours = parseNumberText(match[1]);
+        return hours >= 0 && hours <= 24 ? { value: hours, index: match.index, length: match[0].length } : null;
+    },
+
+    bmi(clause) {
+        const match = clause.match(new RegExp(`\\bbmi\\s*(?:is|of|:|=|around|about|\\s)*${NUMBER}`));
+        const bmi = match && parseNumberText(match[1]);
+        return bmi > 0 ? { value: bmi, index: match.index, length: match[0].length } : null;
+    },
+
+    height(clause) {
+        const reading = parseHeight(clause);
+        if (!reading) return null;
+        // "5 m" or "70 in" only reads as a height when the clause is about height
+        if (['m', 'in'].includes(reading.unit) && !/\b(?:tall|height|stand)\b/.test(clause)) return null;
+        // "my waist is 94 cm" is a circumference
+        if (/\b(?:waist|hips?|chest|neck)\b/.test(clause.slice(0, reading.index))) return null;
+        return { value: clause.substr(reading.index, reading.length), index: reading.index, length: reading.length };
+    },
+
+    weight(clause) {
+        const reading = parseWeight(clause);
+        if (!reading) return null;
+        // "I lost 60 lbs" is a change in weight, not a weight
+        if (/\b(?:lost|lose|losing|gained|gain|gaining|put on|dropped|shed)\b/.test(clause.slice(0, reading.index))) return null;
+        return { value: clause.substr(reading.index, reading.length), index: reading.index, length: reading.length };
+    },
+
+    smoker(clause) {
+        const nonSmoker = clause.match(/\b(?:non-?\s?smoker|never[\s-]smoker|ex-?\s?smoker|former smoker)\b/);
+        if (nonSmoker) return { value: false, index: nonSmoker.index, length: nonSmoker[0].length };
+
+        const match = clause.match(SMOKING_WORD);
+        if (!match) return null;
+        const { negated, past } = describeMention(clause, match.index, match[0].length);
+        // "smoked" alone is past; "have smoked for 20 years" is still current
+        const simplePast = match[0] === 'smoked' && !/\b(?:have|i've|i'?ve|has|been)\s+(?:\w+\s+)?$/.test(clause.slice(0, match.index));
+        return { value: !(negated || past || simplePast), index: match.index, length: match[0].length };
+    },
+
+    never_smoked(clause) {
+        const status = clause.match(/\b(?:(never)[\s-]smoker|(lifelong) non-?\s?smoker|ex-?\s?smoker|former smoker)\b/);
+        if (status) return { value: Boolean(status[1] || status[2]), index: status.index, length: status[0].length };
+
+        // "never smoked" and "have never been a smoker" say so; "quit smoking" and "used to
+        // smoke" say otherwise; "don't smoke" or "non-smoker" only describe the present
+        const match = clause.match(SMOKING_WORD);
+        if (!match) return null;
+        const before = clause.slice(0, match.index);
+        const { past } = describeMention(clause, match.index, match[0].length);
+        if (/\bnever\b/.test(before) && !past) return { value: true, index: match.index, length: match[0].length };
+        if (past || /\bno longer\b/.test(before)) return { value: false, index: match.index, length: match[0].length };
+        return null;
+    },
+
+    exercise(clause) {
+        const sedentary = clause.match(/\b(?:sedentary|couch potato|inactive)\b/);
+        if (sedentary) return { value: 'rarely', index: sedentary.index, length: sedentary[0].length };
+
+        const match = clause.match(EXERCISE_WORD);
+        if (!match) return null;
+        const { negated, past } = describeMention(clause, match.index, match[0].length);
+        if (negated) return { value: 'rarely', index: match.index, length: match[0].length };
+        if (past) return null;
+
+        const found = (value, phrase) => ({
+            value,
+            index: Math.min(match.index, phrase.index),
+            length: Math.max(match.index + match[0].length, phrase.index + phrase[0].length) - Math.min(match.index, phrase.index)
+        });
+
+        // "30 minutes a day", "150 min per week"; vigorous minutes count double
+        const time = findActivityTime(clause);
+        if (time) {
+            return found(QUANTITY_CATEGORIES.exercise.category(time.minutes * (time.vigorous ? 2 : 1)), time.match);
+        }
+        // "3 times a week", "twice a week"
+        const times = clause.match(new RegExp(`\\b${NUMBER}\\s*(?:times?|x|days?)?\\s*(?:${PERIOD})`));
+        if (times) {
+            const weekly = toWeekly(parseNumberText(times[1]), times.slice(2));
+            return found(weekly >= 3 ? 'regularly' : weekly >= 1 ? 'sometimes' : 'rarely', times);
+        }
+        const frequency = clause.match(/\b(every ?day|daily|each day|every (?:morning|evening|night)|most days|regularly|often|frequently|sometimes|occasionally|now and then|on weekends|weekly|rarely|seldom|hardly ever|barely)\b/);
+        if (frequency) {
+            const word = frequency[1];
+            const value = /rarely|seldom|hardly|barely/.test(word) ? 'rarely'
+                : /sometimes|occasionally|now and then|weekends|weekly/.test(word) ? 'sometimes'
+                    : 'regularly';
+            return found(value, frequency);
+        }
+        return null;
+    },
+
+    alcohol(clause) {
+        const sober = clause.match(/\b(?:teetotal(?:er|ler)?|sober|abstain\w*)\b/);
+        if (sober) return { value: 'rarely', index: sober.index, length: sober[0].length };
+
+        const match = clause.match(/\b(?:drink(?:s|ing)?|drank|alcohol\w*|beers?|wines?|liquor|spirits|booze|cocktails?)\b/);
+        if (!match) return null;
+        // "I drink 8 glasses of water" is not about alcohol
+        if (NON_ALCOHOLIC.test(clause) && !ALCOHOL_WORD.test(clause)) return null;
+
+        const { negated, past } = describeMention(clause, match.index, match[0].length);
+        if (negated || past) return { value: 'rarely', index: match.index, length: match[0].length };
+
+        const span = (value, phrase) => ({
+            value,
+            index: Math.min(match.index, phrase.index),
+            length: Math.max(match.index + match[0].length, phrase.index + phrase[0].length) - Math.min(match.index, phrase.index)
+        });
+
+        const amount = clause.match(DRINK_AMOUNT);
+        if (amount) {
+            return span(QUANTITY_CATEGORIES.alcohol.category(toWeekly(parseNumberText(amount[1]), amount.slice(2))), amount);
+        }
+        const frequency = clause.match(/\b(heavily|a lot|binge\w*|every ?(?:day|night)|daily|nightly|socially|occasionally|sometimes|on weekends|moderately|rarely|seldom|hardly ever)\b/);
+        if (frequency) {
+            const word = frequency[1];
+            const value = /heavily|a lot|binge|every|daily|nightly/.test(word) ? 'heavy'
+                : /rarely|seldom|hardly/.test(word) ? 'rarely'
+                    : 'moderate';
+            return span(value, frequency);
         }
+        return null;
+    },
+
+    diet(clause) {
+        const unhealthy = clause.match(/\b(?:junk food|fast food|takeaways?|takeout|processed food|sweets|sugary|lots of sugar|candy|soda|unhealthy|fried food)\b/);
+        const healthy = clause.match(/\b(?:healthy|healthily|vegetables|veggies|fruits?|salads?|whole ?foods?|whole grains?|home[- ]cooked|mediterranean|plant[- ]based)\b/);
+        const balanced = clause.match(/\b(?:balanced|mixed|normal diet|a bit of everything)\b/);
+        const match = unhealthy || balanced || healthy;
+        if (!match) return null;
+        // Without a clear opposite we cannot tell what a negated diet phrase means
+        if (describeMention(clause, match.index, match[0].length).negated) return null;
+        const value = unhealthy ? 'high sugar' : balanced ? 'balanced' : 'healthy';
+        return { value, index: match.index, length: match[0].length };
+    },
+
+    stress(clause) {
+        const match = clause.match(/\b(?:stress\w*|overwhelmed|anxious|burn(?:ed|t)? out|relaxed|calm|chill)\b/);
+        if (!match) return null;
+        const { negated, past } = describeMention(clause, match.index, match[0].length);
+        if (past) return null;
+        if (negated || /relaxed|calm|chill/.test(match[0])) return { value: 'low', index: match.index, length: match[0].length };
+
+        const rating = FREE_TEXT_RULES.stress_rating(clause);
+        if (rating) return { ...rating, value: QUANTITY_CATEGORIES.stress.category(rating.value) };
+
+        // Being overwhelmed or burned out says how much; a bare mention of stress does not
+        const strong = clause.match(/\b(?:overwhelmed|burn(?:ed|t)? out)\b/);
+        if (strong) return { value: 'high', index: strong.index, length: strong[0].length };
+        const level = clause.match(/\b(very|extremely|really|so|constantly|always|a lot|highly|high|a little|a bit|somewhat|moderate(?:ly)?|some|low|little)\b/);
+        if (!level) return null;
+        const word = level[1];
+        const value = /a little|a bit|somewhat|moderate|some/.test(word) ? 'moderate'
+            : /^(?:low|little)$/.test(word) ? 'low'
+                : 'high';
+        return { value, index: match.index, length: match[0].length };
+    },
+
+    stress_rating(clause) {
+        const match = STRESS_RATING.map(pattern => clause.match(pattern)).find(Boolean);
+        if (!match) return null;
+        const rating = parseFloat(match[1]);
+        return rating >= 1 && rating <= 10 ? { value: rating, index: match.index, length: match[0].length } : null;
+    },
+
+    moderate_minutes(clause) {
+        return activityMinutes(clause, false);
+    },
+
+    vigorous_minutes(clause) {
+        return activityMinutes(clause, true);
+    },
+
+    drinks_per_week(clause) {
+        const amount = clause.match(DRINK_AMOUNT);
+        if (!amount || (NON_ALCOHOLIC.test(clause) && !ALCOHOL_WORD.test(clause))) return null;
+        const { negated, past } = describeMention(clause, amount.index, amount[0].length);
+        if (negated || past) return null;
+        const drinks = toWeekly(parseNumberText(amount[1]), amount.slice(2));
+        return { value: parseFloat(drinks.toFixed(1)), index: amount.index, length: amount[0].length };
+    },
+
+    cigarettes_per_day(clause) {
+        // "20 cigarettes a day", "a pack a day" (20 cigarettes), "half a pack a day"
+        const cigarettes = clause.match(new RegExp(`\\b${NUMBER}\\s*(?:cigarettes?|cigs)\\s*(?:${PERIOD})`));
+        const packs = clause.match(new RegExp(`(?:\\b(half a)\\s*|\\b${NUMBER}\\s*)?\\b(?:packs?|packets?)\\s*(?:${PERIOD})`));
+        const match = cigarettes || packs;
+        if (!match) return null;
+        const { negated, past } = describeMention(clause, match.index, match[0].length);
+        if (negated || past) return null;
+        const daily = cigarettes
+            ? toWeekly(parseNumberText(cigarettes[1]), cigarettes.slice(2)) / 7
+            : toWeekly(packs[1] ? 10 : (packs[2] ? parseNumberText(packs[2]) : 1) * 20, packs.slice(3)) / 7;
+        return { value: parseFloat(daily.toFixed(1)), index: match.index, length: match[0].length };
+    },
+
+    pack_years(clause) {
+        const match = clause.match(new RegExp(`\\b${NUMBER}\\s*pack[\\s-]?years?\\b`));
+        if (!match) return null;
+        return { value: parseNumberText(match[1]), index: match.index, length: match[0].length };
+    },
+
+    systolic_bp(clause) {
+        return bloodPressurePart(clause, 'systolic');
+    },
+
+    diastolic_bp(clause) {
+        return bloodPressurePart(clause, 'diastolic');
+    },
+
+    resting_heart_rate(clause) {
+        const match = clause.match(new RegExp(`\\b(?:heart ?rate|pulse)\\b(?:\\s*(?:is|of|:|=|around|about|at))*\\s*${NUMBER}`));
+        const rate = match && parseNumberText(match[1]);
+        return rate >= 25 && rate <= 220 ? { value: rate, index: match.index, length: match[0].length } : null;
+    },
+
+    waist_cm(clause) {
+        return readingAfter(clause, /\bwaist\b/, parseWaist);
+    },
+
+    fasting_glucose(clause) {
+        return readingAfter(clause, /\b(?:glucose|blood sugar)\b/, value => parseLabValue(value, 'glucose'));
+    },
+
+    total_cholesterol(clause) {
+        // HDL and LDL are parts of the total, not the total
+        return readingAfter(clause, /(?<!\b(?:hdl|ldl|good|bad)\s+)\bcholesterol\b/, value => parseLabValue(value, 'cholesterol'));
+    },
+
+    family_history_heart_disease(clause) {
+        return familyCondition(clause, /\b(?:heart (?:disease|attacks?|problems?|conditions?)|cardiac|cardiovascular|coronary)\b/);
+    },
+
+    family_history_diabetes(clause) {
+        return familyCondition(clause, /\bdiabet(?:es|ic)\b/);
+    },
+
+    bp_medication(clause) {
+        const match = clause.match(/\b(?:(?:blood pressure|bp|hypertension)\s+(?:medication|medicine|meds|pills?|tablets?)|antihypertensives?)\b/);
+        if (!match) return null;
+        const { negated, past } = describeMention(clause, match.index, match[0].length);
+        return { value: !(negated || past), index: match.index, length: match[0].length };
+    },
+
+    sex(clause) {
+        // "male", "I'm a 45-year-old woman", "as a man"
+        const match = clause.match(/\b(male|female)\b/)
+            || clause.match(/\b(?:i'?m|i am|as)\s+an?\s+(?:[\w-]+\s+){0,3}?(man|woman|guy|lady)\b/);
+        if (!match) return null;
+        return { value: /^(?:female|woman|lady)$/.test(match[1]) ? 'female' : 'male', index: match.index, length: match[0].length };
+    }
+};
+
+// Systolic or diastolic half of a blood pressure reading ("my blood pressure is 140/90")
+function bloodPressurePart(clause, part) {
+    if (!/\b(?:blood pressure|bp)\b/.test(clause)) return null;
+    const reading = parseBloodPressure(clause);
+    return reading && { value: reading[part], index: reading.index, length: reading.length };
+}
+
+// A reading shortly after a keyword ("my waist is 38 inches", "cholesterol of 5.2 mmol/l"),
+// kept as written: the first number with a unit, else the first bare number
+function readingAfter(clause, keyword, read) {
+    const mention = clause.match(keyword);
+    if (!mention) return null;
+    const start = mention.index + mention[0].length;
+    const rest = clause.slice(start, start + 30);
+
+    const bare = rest.match(/\d+(?:[.,]\d+)?/);
+    const reading = read(rest) || (bare && read(bare[0]) && { index: bare.index, length: bare[0].length });
+    if (!reading) return null;
+    const value = rest.substr(reading.index, reading.length).trim();
+    return { value, index: mention.index, length: start + reading.index + reading.length - mention.index };
+}
+
+// Relatives named in a clause ("my father had a heart attack", "diabetes runs in my family")
+const FAMILY_WORD = /\b(?:family|father|mother|dad|mom|mum|parents?|brothers?|sisters?|siblings?|grand(?:father|mother|parents?|pa|ma)|uncles?|aunts?|runs in)\b/;
+
+// Whether a relative had a condition; "no family history of diabetes" answers no
+function familyCondition(clause, condition) {
+    const match = clause.match(condition);
+    if (!match || !FAMILY_WORD.test(clause)) return null;
+    const { negated } = describeMention(clause, match.index, match[0].length);
+    return { value: !negated, index: match.index, length: match[0].length };
+}
+
+// Weekly minutes of moderate or vigorous exercise ("I run 30 minutes a day")
+function activityMinutes(clause, vigorous) {
+    const mention = clause.match(EXERCISE_WORD) || clause.match(VIGOROUS_WORD);
+    const time = mention && findActivityTime(clause);
+    if (!time || time.vigorous !== vigorous) return null;
+    const { negated, past } = describeMention(clause, mention.index, mention[0].length);
+    if (negated || past) return null;
+    return { value: time.minutes, index: time.match.index, length: time.match[0].length };
+}
+
+// Provenance entry for a phrase found at [start, end) of free text
+function phraseProvenance(text, start, end) {
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const lineEnd = text.indexOf('\n', start);
+    return {
+        line: text.slice(0, start).split('\n').length,
+        text: text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd).trim(),
+        start,
+        end,
+        match: 'free_text',
+        confidence: MATCH_CONFIDENCE.free_text
+    };
+}
 
-        // Parse smoker
-        if (lower.includes('smoker') || lower.includes('smoking')) {
-            const value = line.split(/[:\s]+/).pop();
-            answers.smoker = normalizeBoolean(value);
+// Parse sentences ("I'm 42, I quit smoking last year, and I walk every day")
+// into answers using English phrase rules; the first clause to mention a field wins
+function parseFreeText(text) {
+    const answers = {};
+    const provenance = {};
+    const lower = text.toLowerCase().replace(/[’‘]/g, "'");
+
+    for (const clause of splitClauses(lower)) {
+        for (const [field, rule] of Object.entries(FREE_TEXT_RULES)) {
+            if (answers[field] !== undefined) continue;
+            const found = rule(clause.text);
+            if (found) {
+                const start = clause.start + found.index;
+                answers[field] = found.value;
+                provenance[field] = phraseProvenance(text, start, start + found.length);
+            }
         }
+    }
+
+    return { answers, provenance };
+}
 
-        // Parse exercise
-        if (lower.includes('exercise') || lower.includes('activity') || lower.includes('workout')) {
-            const value = line.split(/[:\s]+/).pop();
-            answers.exercise = normalizeExercise(value);
+// Fields read from sentences replace ones the line parser missed or could not interpret. A
+// yes/no answer it could not read ("Smoker: maybe") stays unanswered, to be reported as ambiguous.
+function mergeFreeText(answers, provenance, freeText, unreadable = {}) {
+    for (const [field, value] of Object.entries(freeText.answers)) {
+        const current = provenance[field];
+        if (unreadable[field] !== undefined) continue;
+        if (answers[field] === undefined || (current && ['unparsed', 'unrecognized'].includes(current.match))) {
+            answers[field] = value;
+            provenance[field] = freeText.provenance[field];
         }
+    }
+}
+
+// Default CSV header aliases (normalized header -> survey field)
+const DEFAULT_HEADER_ALIASES = {
+    'age (years)': 'age',
+    'age in years': 'age',
+    'smokes': 'smoker',
+    'smoking': 'smoker',
+    'do you smoke': 'smoker',
+    'tobacco use': 'smoker',
+    'exercise frequency': 'exercise',
+    'physical activity': 'exercise',
+    'activity': 'exercise',
+    'workout': 'exercise',
+    'diet type': 'diet',
+    'eating habits': 'diet',
+    'nutrition': 'diet',
+    'alcohol consumption': 'alcohol',
+    'drinking': 'alcohol',
+    'sleep hours': 'sleep',
+    'hours of sleep': 'sleep',
+    'average sleep': 'sleep',
+    'sleep (hours)': 'sleep',
+    'stress level': 'stress',
+    'body mass index': 'bmi',
+    'systolic bp': 'systolic_bp',
+    'diastolic bp': 'diastolic_bp',
+    'resting pulse': 'resting_heart_rate',
+    'fasting blood sugar': 'fasting_glucose',
+    'fasting blood glucose': 'fasting_glucose'
+};
+
+// Normalize a CSV header cell for alias lookup ("Smokes?" -> "smokes")
+function normalizeHeader(header) {
+    return String(header)
+        .toLowerCase()
+        .replace(/[?:*]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Pick the delimiter that occurs most often in the header line
+function detectDelimiter(headerLine) {
+    const candidates = [',', ';', '\t'];
+    let best = ',';
+    let bestCount = 0;
 
-        // Parse diet
-        if (lower.includes('diet') || lower.includes('eating') || lower.includes('food')) {
-            const parts = line.split(/[:\s]+/);
-            const value = parts.slice(1).join(' ');
-            answers.diet = normalizeDiet(value) || normalizeDiet(parts.pop());
+    for (const candidate of candidates) {
+        const count = headerLine.split(candidate).length - 1;
+        if (count > bestCount) {
+            best = candidate;
+            bestCount = count;
         }
+    }
+
+    return best;
+}
 
-        // Parse alcohol
-        if (lower.includes('alcohol') || lower.includes('drinking')) {
-            const value = line.split(/[:\s]+/).pop();
-            answers.alcohol = value.toLowerCase();
+// Split CSV text into rows of cells, honouring quoted fields
+function splitCsvRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
         }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// Map header cells to survey fields using aliases and localized field keywords
+function mapCsvHeaders(headers, aliases, locale) {
+    const mapping = {};
+    const unmapped = [];
 
-        // Parse sleep
-        const sleepMatch = lower.match(/sleep[:\s]+(\d+)/);
-        if (sleepMatch) {
-            answers.sleep = parseInt(sleepMatch[1], 10);
+    headers.forEach((header, index) => {
+        const normalized = normalizeHeader(header);
+        const field = INPUT_FIELDS.includes(normalized)
+            ? normalized
+            : aliases[normalized] || INPUT_FIELDS.find(f => getFieldKeywords(f, locale).includes(normalizeText(normalized)));
+
+        if (INPUT_FIELDS.includes(field) && !Object.values(mapping).includes(field)) {
+            mapping[index] = field;
+        } else {
+            unmapped.push(header);
         }
+    });
+
+    return { mapping, unmapped };
+}
+
+// Replace height and weight with the BMI they give (a BMI stated in the input
+// wins). Returns corrections recording the conversion and any unreadable reading.
+function deriveBmi(answers) {
+    const { height, weight } = answers;
+    delete answers.height;
+    delete answers.weight;
+
+    const corrections = [];
+    const heightReading = parseHeight(height);
+    const weightReading = parseWeight(weight);
+    if (height !== undefined && !heightReading) {
+        corrections.push({ field: 'height', action: 'unreadable_measurement', original: height });
+    }
+    if (weight !== undefined && !weightReading) {
+        corrections.push({ field: 'weight', action: 'unreadable_measurement', original: weight });
+    }
+    if (!heightReading || !weightReading || (answers.bmi !== undefined && answers.bmi !== null)) {
+        return corrections;
+    }
+
+    answers.bmi = calculateBmi(heightReading.meters, weightReading.kilograms);
+    corrections.push({
+        field: 'bmi',
+        action: 'derived_from_height_weight',
+        original: { height, weight },
+        height_m: heightReading.meters,
+        weight_kg: weightReading.kilograms,
+        units: { height: heightReading.unit, weight: weightReading.unit },
+        assumed_units: MEASUREMENT_FIELDS.filter((field, i) => [heightReading, weightReading][i].assumed)
+    });
+    return corrections;
+}
+
+// Work out what the quantities imply: moderate-equivalent activity_minutes
+// (vigorous minutes count double) and, for any category the answers leave out
+// or could not read, the category its quantity falls into. Returns
+// corrections for the derived categories.
+function applyQuantities(answers) {
+    const { moderate_minutes: moderate, vigorous_minutes: vigorous } = answers;
+    if (typeof moderate === 'number' || typeof vigorous === 'number') {
+        answers.activity_minutes = (moderate || 0) + 2 * (vigorous || 0);
+    }
+
+    const corrections = [];
+    for (const [field, { quantity, category }] of Object.entries(QUANTITY_CATEGORIES)) {
+        if (typeof answers[quantity] !== 'number' || isKnownAnswer(field, answers[field])) continue;
+        corrections.push({
+            field,
+            action: 'derived_from_quantity',
+            original: answers[field],
+            quantity: { [quantity]: answers[quantity] }
+        });
+        answers[field] = category(answers[quantity]);
+    }
+    return corrections;
+}
+
+// Bring the clinical readings to their stored form: split a "130/85" blood pressure
+// (separately given systolic and diastolic values win) and convert waist, glucose and
+// cholesterol to cm and mg/dL. Returns corrections recording converted units and
+// unreadable readings.
+function applyClinicalReadings(answers) {
+    const corrections = [];
+    const bloodPressure = answers.blood_pressure;
+    delete answers.blood_pressure;
 
-        // Parse stress
-        if (lower.includes('stress')) {
-            const value = line.split(/[:\s]+/).pop();
-            answers.stress = value.toLowerCase();
+    if (bloodPressure !== undefined && bloodPressure !== null) {
+        const reading = parseBloodPressure(bloodPressure);
+        if (reading) {
+            if (typeof answers.systolic_bp !== 'number') answers.systolic_bp = reading.systolic;
+            if (typeof answers.diastolic_bp !== 'number') answers.diastolic_bp = reading.diastolic;
+        } else {
+            corrections.push({ field: 'blood_pressure', action: 'unreadable_measurement', original: bloodPressure });
         }
+    }
+
+    for (const [field, { read, value, unit }] of Object.entries(UNIT_READINGS)) {
+        const original = answers[field];
+        if (original === undefined || original === null) continue;
 
-        // Parse BMI
-        const bmiMatch = lower.match(/bmi[:\s]+([\d.]+)/);
-        if (bmiMatch) {
-            answers.bmi = parseFloat(bmiMatch[1]);
+        const reading = read(original);
+        if (!reading) {
+            delete answers[field];
+            corrections.push({ field, action: 'unreadable_measurement', original });
+            continue;
+        }
+        answers[field] = value(reading);
+        if (reading.unit !== unit) {
+            corrections.push({ field, action: 'converted_units', original, unit: reading.unit, assumed_unit: reading.assumed });
         }
     }
 
-    return answers;
+    return corrections;
 }
 
 // Calculate confidence score based on data quality
-function calculateConfidence(answers, isOcr = false) {
-    let confidence = 1.0;
+function calculateConfidence(answers, provenance = {}) {
     const parsedFields = Object.keys(answers).filter(k => answers[k] !== null && answers[k] !== undefined);
 
-    // OCR parsing has inherent uncertainty
-    if (isOcr) confidence -= 0.1;
+    // Text input starts from the average confidence of the fields read from it
+    const fieldConfidences = parsedFields.filter(f => provenance[f]).map(f => provenance[f].confidence);
+    let confidence = fieldConfidences.length > 0
+        ? fieldConfidences.reduce((sum, c) => sum + c, 0) / fieldConfidences.length
+        : 1.0;
 
     // Check field completeness
     const coreFieldsPresent = CORE_FIELDS.filter(f => parsedFields.includes(f)).length;
@@ -186,46 +1429,144 @@ function getMissingFields(answers) {
     return missing;
 }
 
+// Use the requested locale, or detect one from the input
+function chooseLocale(input, requested) {
+    const resolved = resolveLocale(requested);
+    if (resolved) {
+        return { locale: resolved, locale_source: 'requested' };
+    }
+
+    try {
+        return { locale: detectLocale(input), locale_source: 'detected' };
+    } catch {
+        return { locale: DEFAULT_LOCALE, locale_source: 'default' };
+    }
+}
+
 /**
  * Main parse function
  * @param {string|object} input - Survey input (JSON string, object, or OCR text)
  * @param {boolean} isOcr - Whether input is from OCR
- * @returns {object} Parsed survey data with confidence and missing fields
+ * @param {object} options - { locale } (detected from the input when omitted);
+ *   { ocrLines: [{ text, confidence, words: [{ text, confidence }] }] } (0-1) refines OCR field confidence
+ * @returns {object} Parsed survey data with confidence, missing fields, ambiguities (unrecognised
+ *   answers with the closest known answer and a 0-1 similarity), locale used,
+ *   corrections (BMI derived from height and weight, categories derived from quantities, converted clinical units) and, for text input,
+ *   field_provenance (source line, offsets, match and confidence per field)
  */
-export function parseSurvey(input, isOcr = false) {
+export function parseSurvey(input, isOcr = false, options = {}) {
+    const { locale, locale_source } = chooseLocale(input, options.locale);
     let answers;
+    let provenance;
+    let corrections;
+    let unreadable = {};
 
     try {
         if (isOcr) {
-            answers = parseOcrText(input);
+            ({ answers, provenance, unreadable } = parseOcrText(input, locale, options.ocrLines));
         } else if (typeof input === 'string') {
             // Try JSON parse first
             try {
-                answers = parseJsonInput(input);
+                answers = parseJsonInput(input, locale, unreadable);
             } catch {
-                // Fallback to OCR-style parsing
-                answers = parseOcrText(input);
+                // Fallback to OCR-style parsing, then fill gaps from sentences
+                ({ answers, provenance, unreadable } = parseOcrText(input, locale));
+                mergeFreeText(answers, provenance, parseFreeText(input), unreadable);
             }
         } else {
-            answers = parseJsonInput(input);
+            answers = parseJsonInput(input, locale, unreadable);
         }
+        corrections = [...deriveBmi(answers), ...applyQuantities(answers), ...applyClinicalReadings(answers)];
     } catch (error) {
         return {
             answers: {},
             missing_fields: CORE_FIELDS,
+            ambiguities: [],
             confidence: 0,
+            locale,
+            locale_source,
             error: 'Failed to parse input: ' + error.message
         };
     }
 
     const missingFields = getMissingFields(answers);
-    const confidence = calculateConfidence(answers, isOcr);
+    const confidence = calculateConfidence(answers, provenance);
 
     return {
         answers,
         missing_fields: missingFields,
-        confidence
+        ambiguities: findAmbiguities(answers, locale, unreadable),
+        confidence,
+        ...(provenance && { field_provenance: provenance }),
+        corrections,
+        locale,
+        locale_source
+    };
+}
+
+/**
+ * Parse CSV (or spreadsheet-style delimited) survey exports
+ * @param {string} text - CSV text with a header row
+ * @param {object} options - { headerAliases, delimiter, locale }
+ * @returns {object} One parse result per data row plus the header mapping
+ */
+export function parseCsvSurvey(text, options = {}) {
+    const { locale, locale_source } = chooseLocale(String(text), options.locale);
+
+    const aliases = { ...DEFAULT_HEADER_ALIASES };
+    for (const [header, field] of Object.entries(options.headerAliases || {})) {
+        aliases[normalizeHeader(header)] = field;
+    }
+
+    const firstLine = String(text).split(/\r?\n/)[0] || '';
+    const delimiter = options.delimiter || detectDelimiter(firstLine);
+    const [headers = [], ...dataRows] = splitCsvRows(String(text), delimiter);
+
+    const { mapping, unmapped } = mapCsvHeaders(headers, aliases, locale);
+    const header_mapping = {};
+    for (const [index, field] of Object.entries(mapping)) {
+        header_mapping[headers[index]] = field;
+    }
+
+    if (Object.keys(mapping).length === 0) {
+        return {
+            rows: [],
+            header_mapping,
+            unmapped_headers: unmapped,
+            locale,
+            locale_source,
+            error: 'No recognised survey columns in CSV header'
+        };
+    }
+
+    const rows = dataRows.map((cells, rowIndex) => {
+        const raw = {};
+        for (const [index, field] of Object.entries(mapping)) {
+            const value = (cells[index] || '').trim();
+            if (value !== '') raw[field] = value;
+        }
+
+        const unreadable = {};
+        const answers = parseJsonInput(raw, locale, unreadable);
+        const corrections = [...deriveBmi(answers), ...applyQuantities(answers), ...applyClinicalReadings(answers)];
+
+        return {
+            row: rowIndex + 1,
+            answers,
+            missing_fields: getMissingFields(answers),
+            ambiguities: findAmbiguities(answers, locale, unreadable),
+            confidence: calculateConfidence(answers),
+            corrections
+        };
+    });
+
+    return {
+        rows,
+        header_mapping,
+        unmapped_headers: unmapped,
+        locale,
+        locale_source
     };
 }
 
-export { EXPECTED_FIELDS, CORE_FIELDS };
+export { EXPECTED_FIELDS, CORE_FIELDS, QUANTITY_FIELDS, CLINICAL_FIELDS, MEASUREMENT_FIELDS, DEFAULT_HEADER_ALIASES };
@@ -0,0 +1,153 @@
+/**
+ * Trend Analyzer Service
+ * Compares a subject's stored assessments over time
+ */
+
+import { RISK_THRESHOLDS } from './riskClassifier.js';
+
+// Order of risk levels, lowest first
+const RISK_LEVEL_ORDER = ['low', 'moderate', 'high', 'very high'];
+
+// Human-readable field names for summaries
+const FIELD_LABELS = {
+    age: 'age',
+    smoker: 'smoking',
+    exercise: 'exercise',
+    diet: 'diet',
+    alcohol: 'alcohol use',
+    sleep: 'sleep',
+    stress: 'stress',
+    bmi: 'BMI'
+};
+
+// Fields left out of the plain-language summary (age changes on its own)
+const SUMMARY_SKIP_FIELDS = ['age'];
+
+// Diff the answers of two assessments
+function diffAnswers(before = {}, after = {}) {
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    return fields
+        .filter(field => before[field] !== after[field])
+        .map(field => ({
+            field,
+            from: before[field] ?? null,
+            to: after[field] ?? null
+        }));
+}
+
+// Thresholds passed when the score moves from one value to another
+function getCrossedThresholds(fromScore, toScore) {
+    const low = Math.min(fromScore, toScore);
+    const high = Math.max(fromScore, toScore);
+
+    return Object.entries(RISK_THRESHOLDS)
+        .filter(([, threshold]) => low < threshold && threshold <= high)
+        .map(([level, threshold]) => ({ level, threshold }));
+}
+
+// Compare two stored assessment records
+// Records stored before scoring models were versioned have no model_version
+function compareRecords(before, after) {
+    const fromLevel = before.result.risk_level;
+    const toLevel = after.result.risk_level;
+    const levelDelta = RISK_LEVEL_ORDER.indexOf(toLevel) - RISK_LEVEL_ORDER.indexOf(fromLevel);
+    const fromModel = before.result.model_version ?? null;
+    const toModel = after.result.model_version ?? null;
+
+    return {
+        from: before.id,
+        to: after.id,
+        factors_appeared: after.result.factors.filter(f => !before.result.factors.includes(f)),
+        factors_resolved: before.result.factors.filter(f => !after.result.factors.includes(f)),
+        answer_changes: diffAnswers(before.result.answers, after.result.answers),
+        score_delta: after.result.score - before.result.score,
+        level_change: {
+            from: fromLevel,
+            to: toLevel,
+            changed: levelDelta !== 0,
+            direction: levelDelta > 0 ? 'worse' : levelDelta < 0 ? 'better' : 'same',
+            thresholds_crossed: getCrossedThresholds(before.result.score, after.result.score)
+        },
+        model_change: {
+            from: fromModel,
+            to: toModel,
+            changed: fromModel !== toModel
+        }
+    };
+}
+
+// Describe a single answer change in plain language
+function describeAnswerChange({ field, from, to }) {
+    if (field === 'smoker') {
+        if (from === true && to === false) return 'stopped smoking';
+        if (from !== true && to === true) return 'started smoking';
+    }
+    if (from === null) return `${FIELD_LABELS[field] || field} reported as ${to}`;
+    if (to === null) return `${FIELD_LABELS[field] || field} no longer reported`;
+
+    return `${FIELD_LABELS[field] || field} changed from ${from} to ${to}`;
+}
+
+// Build a plain-language summary such as "Stopped smoking; score dropped 25 points"
+function summarizeComparison(comparison) {
+    const parts = comparison.answer_changes
+        .filter(change => !SUMMARY_SKIP_FIELDS.includes(change.field))
+        .map(describeAnswerChange);
+
+    const delta = comparison.score_delta;
+    if (delta < 0) parts.push(`score dropped ${-delta} point${delta === -1 ? '' : 's'}`);
+    else if (delta > 0) parts.push(`score rose ${delta} point${delta === 1 ? '' : 's'}`);
+    else parts.push('score unchanged');
+
+    if (comparison.level_change.changed) {
+        parts.push(`risk level moved from ${comparison.level_change.from} to ${comparison.level_change.to}`);
+    }
+
+    // Scores from different models are not directly comparable
+    const { model_change: modelChange } = comparison;
+    if (modelChange.changed) {
+        parts.push(`scored with model ${modelChange.to ?? 'unversioned'} instead of ${modelChange.from ?? 'unversioned'}`);
+    }
+
+    const summary = parts.join('; ');
+    return summary.charAt(0).toUpperCase() + summary.slice(1);
+}
+
+/**
+ * Analyze trends across two or more stored assessments
+ * @param {object[]} records - Stored assessment records ({ id, created_at, result })
+ * @returns {object} Trajectory, per-period changes, overall change and summaries
+ */
+export function analyzeTrends(records) {
+    const ordered = [...records].sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+    const periods = [];
+    for (let i = 1; i < ordered.length; i++) {
+        const comparison = compareRecords(ordered[i - 1], ordered[i]);
+        periods.push({ ...comparison, summary: summarizeComparison(comparison) });
+    }
+
+    const overallComparison = compareRecords(ordered[0], ordered[ordered.length - 1]);
+    const scores = ordered.map(r => r.result.score);
+
+    return {
+        assessment_count: ordered.length,
+        trajectory: ordered.map(r => ({
+            id: r.id,
+            created_at: r.created_at,
+            score: r.result.score,
+            risk_level: r.result.risk_level,
+            model_version: r.result.model_version ?? null
+        })),
+        score_range: {
+            min: Math.min(...scores),
+            max: Math.max(...scores)
+        },
+        periods,
+        overall: {
+            ...overallComparison,
+            summary: summarizeComparison(overallComparison)
+        }
+    };
+}
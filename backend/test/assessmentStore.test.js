@@ -0,0 +1,55 @@
+/**
+ * Assessment store: subject IDs that name Object.prototype members are plain subjects
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FileAssessmentStore } from '../services/assessmentStore.js';
+import { validateSubjectId } from '../services/guardrails.js';
+
+const PROTOTYPE_IDS = ['constructor', '__proto__', 'toString', 'hasOwnProperty'];
+
+test('prototype-named subject IDs start with no assessments', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'assessments-'));
+    try {
+        const store = new FileAssessmentStore(join(dir, 'assessments.json'));
+        for (const subjectId of PROTOTYPE_IDS) {
+            assert.equal(validateSubjectId(subjectId).isValid, true);
+            assert.deepEqual(await store.list(subjectId), []);
+            assert.deepEqual(await store.getAll(subjectId), []);
+            assert.equal(await store.get(subjectId, 'missing'), null);
+            assert.equal(await store.remove(subjectId, 'missing'), false);
+            assert.equal(await store.removeSubject(subjectId), 0);
+        }
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('prototype-named subject IDs save, reload and delete like any other', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'assessments-'));
+    const path = join(dir, 'assessments.json');
+    try {
+        const store = new FileAssessmentStore(path);
+        for (const subjectId of PROTOTYPE_IDS) {
+            await store.save(subjectId, { score: 10, risk_level: 'low', factors: [] });
+        }
+        assert.equal(Object.prototype.score, undefined);
+
+        // A fresh store reads the saved file back
+        const reloaded = new FileAssessmentStore(path);
+        for (const subjectId of PROTOTYPE_IDS) {
+            const [summary] = await reloaded.list(subjectId);
+            assert.equal(summary.subject_id, subjectId);
+            assert.equal(summary.score, 10);
+            assert.equal(await reloaded.remove(subjectId, summary.id), true);
+            assert.deepEqual(await reloaded.list(subjectId), []);
+        }
+        assert.deepEqual(await new FileAssessmentStore(path).list('__proto__'), []);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
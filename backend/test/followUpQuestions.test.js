@@ -0,0 +1,55 @@
+/**
+ * Follow-up questions: ranking and the text shown in the chosen language
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNextQuestions } from '../services/followUpQuestions.js';
+
+test('missing core fields are asked first', () => {
+    const { questions, complete } = getNextQuestions({ age: 45, sleep: 6 }, { limit: 8 });
+
+    assert.equal(complete, false);
+    assert.deepEqual(questions.filter(q => q.required).map(q => q.field).sort(), ['diet', 'exercise', 'smoker']);
+    assert.ok(questions.findIndex(q => !q.required) > questions.findLastIndex(q => q.required));
+});
+
+test('answer choices, hints and chat text come in the requested language', () => {
+    const { questions, messages } = getNextQuestions(
+        { age: 45, smoker: false, exercise: 'sometimes', diet: 'balanced' },
+        { fieldProvenance: { exercise: { confidence: 0.5 } }, language: 'es', limit: 8 }
+    );
+    const exercise = questions.find(q => q.field === 'exercise');
+
+    assert.deepEqual(exercise.choices.map(c => c.label), ['rara vez', 'a veces', 'con regularidad']);
+    assert.deepEqual(exercise.choices.map(c => c.value), exercise.values);
+    assert.equal(exercise.hint, 'Leímos "a veces", pero no estamos seguros.');
+    assert.equal(questions.find(q => q.field === 'bmi').unit_label, 'kg/m²');
+    assert.equal(messages.skip, 'Omitir');
+    assert.equal(messages.number_range, 'Introduzca un número entre {min} y {max}.');
+});
+
+test('yes/no choices are labelled in English by default', () => {
+    const { questions, messages } = getNextQuestions({ age: 45 });
+    const smoker = questions.find(q => q.field === 'smoker');
+
+    assert.deepEqual(smoker.choices, [{ value: true, label: 'Yes' }, { value: false, label: 'No' }]);
+    assert.equal(messages.title, 'A Few More Questions');
+});
+
+test('an ambiguous answer is asked about with its suggestion, if there is one', () => {
+    const answers = { age: 45, smoker: null, exercise: 'zzz', diet: 'balanced' };
+    const ambiguities = [
+        { field: 'smoker', value: 'maybe', suggestion: false, similarity: 0.4 },
+        { field: 'exercise', value: 'zzz', suggestion: null, similarity: 0 }
+    ];
+    const { questions } = getNextQuestions(answers, { ambiguities, language: 'fr', limit: 8 });
+    const smoker = questions.find(q => q.field === 'smoker');
+    const exercise = questions.find(q => q.field === 'exercise');
+
+    assert.equal(smoker.reason, 'ambiguous');
+    assert.equal(smoker.current_value, 'maybe');
+    assert.equal(smoker.required, true);
+    assert.equal(smoker.hint, 'Nous n\'avons pas reconnu « maybe ». Vouliez-vous dire « Non » ?');
+    assert.equal(exercise.hint, 'Nous n\'avons pas reconnu « zzz ».');
+});
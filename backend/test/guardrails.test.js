@@ -0,0 +1,33 @@
+/**
+ * Guardrails: warnings for answers that were not recognised
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSurvey } from '../services/surveyParser.js';
+import { checkProfileCompleteness } from '../services/guardrails.js';
+
+function ambiguityWarnings(input) {
+    return checkProfileCompleteness(parseSurvey(input)).warnings.filter(warning => warning.type === 'ambiguous_value');
+}
+
+test('an ambiguity warning suggests the closest known answer', () => {
+    const [warning] = ambiguityWarnings({ age: 30, smoker: false, exercise: 'regulary', diet: 'healthy' });
+
+    assert.equal(warning.message, 'The exercise answer "regulary" was not recognised. Did you mean "regularly"?');
+    assert.equal(warning.suggestion, 'regularly');
+});
+
+test('an ambiguity warning without a suggestion does not ask about one', () => {
+    const [warning] = ambiguityWarnings({ age: 30, smoker: false, exercise: 'zzz', diet: 'healthy' });
+
+    assert.equal(warning.message, 'The exercise answer "zzz" was not recognised.');
+    assert.equal(warning.suggestion, null);
+});
+
+test('a yes/no suggestion is worded as yes or no', () => {
+    const [warning] = ambiguityWarnings({ age: 30, smoker: 'yess', exercise: 'regularly', diet: 'healthy' });
+
+    assert.equal(warning.message, 'The smoker answer "yess" was not recognised. Did you mean "yes"?');
+    assert.equal(warning.suggestion, true);
+});
@@ -0,0 +1,91 @@
+/**
+ * Image upload: unreadable images are rejected with a 400 and never take the server down
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+
+const SERVER_PATH = fileURLToPath(new URL('../server.js', import.meta.url));
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+let server;
+let baseUrl;
+
+async function freePort() {
+    const probe = createServer().listen(0);
+    await once(probe, 'listening');
+    const { port } = probe.address();
+    probe.close();
+    return port;
+}
+
+function uploadImage(bytes, type = 'image/png') {
+    const form = new FormData();
+    form.append('image', new Blob([bytes], { type }), 'survey.png');
+    form.append('locale', 'en');
+    return fetch(`${baseUrl}/api/analyze/image`, { method: 'POST', body: form });
+}
+
+before(async () => {
+    const port = await freePort();
+    baseUrl = `http://localhost:${port}`;
+    server = spawn(process.execPath, [SERVER_PATH], { env: { ...process.env, PORT: String(port) }, stdio: 'ignore' });
+
+    // Wait until the server answers
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await fetch(`${baseUrl}/api/health`);
+            return;
+        } catch (error) {
+            if (attempt === 50) throw error;
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+});
+
+after(() => {
+    server.kill();
+});
+
+test('bytes that are not an image are rejected before OCR', async () => {
+    const response = await uploadImage(Buffer.from('not an image at all'));
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.status, 'invalid_upload');
+});
+
+test('a corrupt image that reaches OCR is a 400 and the server keeps running', async () => {
+    const response = await uploadImage(Buffer.concat([PNG_SIGNATURE, Buffer.from('truncated image data')]));
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.status, 'invalid_ocr');
+
+    const health = await fetch(`${baseUrl}/api/health`);
+    assert.equal(health.status, 200);
+});
+
+test('an unsupported output language is rejected before OCR', async () => {
+    const form = new FormData();
+    form.append('image', new Blob([PNG_SIGNATURE], { type: 'image/png' }), 'survey.png');
+    form.append('language', 'xx');
+    const response = await fetch(`${baseUrl}/api/analyze/image`, { method: 'POST', body: form });
+
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).reason, /Unsupported language/);
+});
+
+test('an unknown scoring model version is rejected before OCR', async () => {
+    const form = new FormData();
+    form.append('image', new Blob([PNG_SIGNATURE], { type: 'image/png' }), 'survey.png');
+    form.append('modelVersion', '0.1');
+    const response = await fetch(`${baseUrl}/api/analyze/image`, { method: 'POST', body: form });
+
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).reason, /Unknown scoring model version/);
+});
@@ -0,0 +1,24 @@
+/**
+ * OCR fixture corpus: each fixtures/ocr/<name>.txt must parse to <name>.expected.json
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { parseSurvey } from '../services/surveyParser.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/ocr/', import.meta.url));
+
+const fixtures = readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.txt'))
+    .map(file => file.slice(0, -'.txt'.length));
+
+for (const name of fixtures) {
+    test(`OCR fixture ${name}`, () => {
+        const text = readFileSync(`${FIXTURES_DIR}${name}.txt`, 'utf8');
+        const expected = JSON.parse(readFileSync(`${FIXTURES_DIR}${name}.expected.json`, 'utf8'));
+
+        assert.deepEqual(parseSurvey(text, true).answers, expected);
+    });
+}
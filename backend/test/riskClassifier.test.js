@@ -0,0 +1,132 @@
+/**
+ * Risk classifier: how answers turn into points and a score
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFactors } from '../services/factorExtractor.js';
+import { classifyRisk } from '../services/riskClassifier.js';
+
+function classify(answers, options = {}) {
+    const { factors, protective_factors } = extractFactors(answers);
+    return classifyRisk(factors, answers, { protectiveFactors: protective_factors, ...options });
+}
+
+function breakdownEntry(result, factor) {
+    return result.score_breakdown.find(entry => entry.factor === factor);
+}
+
+test('a factor without a quantity scores its full points', () => {
+    const entry = breakdownEntry(classify({ smoker: true }), 'smoking');
+
+    assert.equal(entry.points, 25);
+    assert.equal(entry.dose, undefined);
+});
+
+test('factor points scale with the dose along the curve', () => {
+    const points = cigarettes => breakdownEntry(classify({ smoker: true, cigarettes_per_day: cigarettes }), 'smoking');
+
+    assert.deepEqual(points(10).dose, { field: 'cigarettes_per_day', value: 10, multiplier: 0.85 });
+    assert.equal(points(10).points, 21);
+    assert.equal(points(20).points, 25);
+    // Between curve points the multiplier is interpolated: 30 a day is 1.15
+    assert.equal(points(30).dose.multiplier, 1.15);
+    assert.equal(points(30).points, 29);
+    // Past the last point the multiplier stays at the end of the curve
+    assert.equal(points(60).dose.multiplier, 1.3);
+    assert.equal(points(60).points, 33);
+});
+
+test('each dosed factor uses its own quantity', () => {
+    const result = classify({ alcohol: 'heavy', drinks_per_week: 35, stress: 'high', stress_rating: 7 });
+
+    assert.equal(breakdownEntry(result, 'excessive alcohol').points, 28);
+    assert.equal(breakdownEntry(result, 'high stress').points, 10);
+});
+
+test('an interaction multiplier adds the extra share of its factors\' points', () => {
+    const result = classify({ smoker: true, alcohol: 'heavy' });
+    const interaction = breakdownEntry(result, 'smoking combined with heavy alcohol use');
+
+    // 1.25 x (25 + 20) adds a quarter of 45
+    assert.equal(interaction.points, 11);
+    assert.equal(interaction.source, 'interaction');
+    assert.equal(interaction.multiplier, 1.25);
+    assert.deepEqual(interaction.factors, ['smoking', 'excessive alcohol']);
+    assert.equal(result.score, 56);
+    assert.ok(result.rationale.includes('smoking combined with heavy alcohol use'));
+});
+
+test('an interaction multiplier applies to the dosed points', () => {
+    const result = classify({ smoker: true, cigarettes_per_day: 40, alcohol: 'heavy' });
+
+    // A quarter of 33 + 20
+    assert.equal(breakdownEntry(result, 'smoking combined with heavy alcohol use').points, 13);
+});
+
+test('an interaction with fixed points adds them when all its factors occur', () => {
+    const result = classify({ bmi: 32, exercise: 'rarely' });
+
+    assert.equal(breakdownEntry(result, 'obesity combined with physical inactivity').points, 8);
+    assert.equal(result.score, 15 + 20 + 8);
+    assert.equal(breakdownEntry(classify({ bmi: 32, exercise: 'regularly' }), 'obesity combined with physical inactivity'), undefined);
+});
+
+test('models without interactions score factors on their own', () => {
+    const result = classify({ smoker: true, alcohol: 'heavy' }, { modelVersion: '2.0' });
+
+    assert.equal(result.score_breakdown.some(entry => entry.source === 'interaction'), false);
+    assert.equal(result.score, 45);
+});
+
+test('protective factors subtract their points and are listed as strengths', () => {
+    const result = classify({ age: 30, smoker: false, never_smoked: true, exercise: 'rarely', diet: 'healthy' });
+
+    assert.equal(breakdownEntry(result, 'never smoked').points, -5);
+    assert.equal(breakdownEntry(result, 'never smoked').source, 'protective');
+    assert.equal(result.score, 5 + 15 - 6 - 5);
+    assert.ok(result.strengths.includes('never smoked'));
+});
+
+test('not smoking now is not enough for the never smoked strength', () => {
+    const formerSmoker = classify({ age: 30, smoker: false, never_smoked: false, exercise: 'rarely', diet: 'healthy' });
+
+    assert.equal(breakdownEntry(formerSmoker, 'never smoked'), undefined);
+    assert.equal(breakdownEntry(classify({ age: 30, smoker: false, exercise: 'rarely', diet: 'healthy' }), 'never smoked'), undefined);
+});
+
+test('the score does not drop below 0 and the floor is in the breakdown', () => {
+    const result = classify({
+        age: 30, smoker: false, never_smoked: true, exercise: 'regularly', diet: 'healthy',
+        alcohol: 'rarely', sleep: 8, stress: 'low', bmi: 22
+    });
+    const floor = breakdownEntry(result, 'score floor');
+
+    assert.equal(result.score, 0);
+    // 5 age base points less 29 protective points
+    assert.equal(floor.points, 24);
+    assert.equal(floor.source, 'floor');
+    assert.equal(result.score_breakdown.reduce((sum, entry) => sum + entry.points, 0), 0);
+});
+
+test('the score range spans the best and worst answers to the unanswered fields', () => {
+    const result = classify({ smoker: true, alcohol: 'heavy' });
+
+    assert.deepEqual(result.score_range.unanswered_fields, ['age', 'exercise', 'diet', 'sleep', 'stress', 'bmi']);
+    assert.equal(result.score_range.min, 32);
+    assert.equal(result.score_range.max, 100);
+    assert.equal(result.score_range.min_level, 'moderate');
+    assert.equal(result.score_range.max_level, 'very high');
+    assert.ok(result.score_range.min <= result.score && result.score <= result.score_range.max);
+});
+
+test('a fully answered survey has a range of just its score', () => {
+    const result = classify({
+        age: 50, smoker: false, exercise: 'sometimes', diet: 'balanced',
+        alcohol: 'rarely', sleep: 7, stress: 'moderate', bmi: 24
+    });
+
+    assert.deepEqual(result.score_range.unanswered_fields, []);
+    assert.equal(result.score_range.min, result.score);
+    assert.equal(result.score_range.max, result.score);
+});
@@ -0,0 +1,85 @@
+/**
+ * Survey parser: quantities and answers written as phrases
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSurvey } from '../services/surveyParser.js';
+import { extractFactors } from '../services/factorExtractor.js';
+
+const BASE = { age: 30, smoker: false, exercise: 'regularly', diet: 'healthy' };
+
+test('quantities are read from numbers and phrases', () => {
+    const { answers } = parseSurvey({ ...BASE, smoker: true, cigarettes_per_day: '20 a day', drinks_per_week: '12' });
+
+    assert.equal(answers.cigarettes_per_day, 20);
+    assert.equal(answers.drinks_per_week, 12);
+    // A quantity without a category answer fills the category in
+    assert.equal(answers.alcohol, 'moderate');
+});
+
+test('phrase answers become a category and keep their quantity', () => {
+    const { answers } = parseSurvey({ ...BASE, exercise: '30 minutes a day', alcohol: '3 beers a day', stress: '8/10' });
+
+    assert.equal(answers.exercise, 'regularly');
+    assert.equal(answers.moderate_minutes, 210);
+    assert.equal(answers.alcohol, 'heavy');
+    assert.equal(answers.drinks_per_week, 21);
+    assert.equal(answers.stress, 'high');
+    assert.equal(answers.stress_rating, 8);
+});
+
+test('phrase answers with a level word are read by that word', () => {
+    assert.equal(parseSurvey({ ...BASE, stress: 'very high' }).answers.stress, 'high');
+    assert.equal(parseSurvey({ ...BASE, stress: 'a little' }).answers.stress, 'moderate');
+    assert.equal(parseSurvey({ ...BASE, stress: 'overwhelmed' }).answers.stress, 'high');
+});
+
+test('unrecognised stress answers are kept as written, not read as high stress', () => {
+    for (const stress of ['n/a', 'unknown', 'not sure', 'medium', 'average', 'normal', 'stressed']) {
+        const { answers } = parseSurvey({ ...BASE, stress });
+
+        assert.equal(answers.stress, stress);
+        assert.equal(extractFactors(answers).factors.includes('high stress'), false, stress);
+    }
+});
+
+test('a bare mention of stress in free text gives no stress level', () => {
+    assert.equal(parseSurvey('I am 42 and I feel anxious').answers.stress, undefined);
+    assert.equal(parseSurvey('I am 42 and very stressed').answers.stress, 'high');
+    assert.equal(parseSurvey("I am 42 and I'm not stressed").answers.stress, 'low');
+});
+
+test('never smoked is read from phrases, pack-years and the answer itself', () => {
+    assert.equal(parseSurvey("I'm 42 and I've never smoked").answers.never_smoked, true);
+    assert.equal(parseSurvey("I'm 42, lifelong non-smoker").answers.never_smoked, true);
+    assert.equal(parseSurvey("I'm 42, I quit smoking last year").answers.never_smoked, false);
+    // Not smoking now says nothing about the past
+    assert.equal(parseSurvey("I'm 42, I don't smoke").answers.never_smoked, undefined);
+    assert.equal(parseSurvey("I'm 42 and a non-smoker").answers.never_smoked, undefined);
+
+    assert.equal(parseSurvey({ ...BASE, pack_years: 0 }).answers.never_smoked, true);
+    assert.equal(parseSurvey({ ...BASE, pack_years: 5 }).answers.never_smoked, false);
+    assert.equal(parseSurvey({ ...BASE, never_smoked: 'yes' }).answers.never_smoked, true);
+    assert.equal(parseSurvey(BASE).answers.never_smoked, undefined);
+});
+
+test('unrecognised answers are reported with the closest known answer', () => {
+    const { ambiguities } = parseSurvey({ ...BASE, exercise: 'regulary' });
+
+    assert.deepEqual(ambiguities, [{ field: 'exercise', value: 'regulary', suggestion: 'regularly', similarity: 0.89 }]);
+});
+
+test('unreadable yes/no answers are reported as ambiguous and left unanswered', () => {
+    const json = parseSurvey({ ...BASE, smoker: 'maybe' });
+    const text = parseSurvey('Age: 30\nSmoker: maybe\nExercise: regularly\nDiet: healthy');
+
+    for (const { answers, ambiguities } of [json, text]) {
+        assert.equal(answers.smoker, null);
+        assert.equal(ambiguities.length, 1);
+        assert.equal(ambiguities[0].field, 'smoker');
+        assert.equal(ambiguities[0].value, 'maybe');
+        assert.equal(typeof ambiguities[0].suggestion, 'boolean');
+    }
+    assert.equal(parseSurvey({ ...BASE, smoker: 'yess' }).ambiguities[0].suggestion, true);
+});
@@ -1,7 +1,9 @@
-import React, { useState } from 'react';
-import { Heart, Activity, Shield, Sparkles } from 'lucide-react';
+import React, { useState, useCallback } from 'react';
+import { Heart, Activity, Shield, Sparkles, History, FileText } from 'lucide-react';
 import SurveyForm from './components/SurveyForm';
 import ResultsDashboard from './components/ResultsDashboard';
+import HistoryView from './components/HistoryView';
+import FollowUpChat from './components/FollowUpChat';
 
 // API URL - uses environment variable in production, proxy in development
 const API_URL = import.meta.env.VITE_API_URL || '';
@@ -10,28 +12,133 @@ function App() {
     const [results, setResults] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
+    const [view, setView] = useState('analyze'); // 'analyze', 'history'
+    const [historySubjectId, setHistorySubjectId] = useState('');
+    const [language, setLanguage] = useState('en');
+    const [languageLoading, setLanguageLoading] = useState(false);
+    const [lastRequest, setLastRequest] = useState(null);
+    const [pendingSubjectId, setPendingSubjectId] = useState(undefined);
 
-    const handleAnalyze = async (input, isOcr = false) => {
+    const requestAnalysis = async (input, isOcr, subjectId, outputLanguage, ocrLines, modelVersion) => {
+        const response = await fetch(`${API_URL}/api/analyze`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ input, isOcr, subjectId, options: { language: outputLanguage, ocrLines, modelVersion } }),
+        });
+
+        return response.json();
+    };
+
+    const handleAnalyze = async (input, isOcr = false, subjectId, ocrLines) => {
         setLoading(true);
-        setError(null);
+        setPendingSubjectId(subjectId);
 
         try {
-            const response = await fetch(`${API_URL}/api/analyze`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ input, isOcr }),
+            const data = await requestAnalysis(input, isOcr, subjectId, language, ocrLines);
+
+            if (data.status === 'ok') {
+                setLastRequest({ input, isOcr, ocrLines });
+                setResults(data);
+                setError(null);
+            } else {
+                setResults(null);
+                setError(data);
+            }
+        } catch (err) {
+            setResults(null);
+            setError({
+                status: 'connection_error',
+                reason: 'Unable to connect to the analysis server. Please ensure the backend is running.'
             });
+        } finally {
+            setLoading(false);
+        }
+    };
 
-            const data = await response.json();
+    // Re-request the current analysis with recommendation/rationale text in another language.
+    // The subject ID is left out so the stored history does not gain a duplicate entry,
+    // and the scoring model is pinned so only the wording changes.
+    const handleChangeLanguage = async (nextLanguage) => {
+        setLanguage(nextLanguage);
+        if (!lastRequest) return;
 
+        setLanguageLoading(true);
+        try {
+            const { input, isOcr, ocrLines } = lastRequest;
+            const data = await requestAnalysis(input, isOcr, undefined, nextLanguage, ocrLines, results?.model_version);
             if (data.status === 'ok') {
-                setResults(data);
+                setResults(prev => ({
+                    ...data,
+                    subject_id: prev?.subject_id,
+                    assessment_id: prev?.assessment_id
+                }));
+            }
+        } catch (err) {
+            setError({
+                status: 'connection_error',
+                reason: 'Unable to connect to the analysis server. Please ensure the backend is running.'
+            });
+        } finally {
+            setLanguageLoading(false);
+        }
+    };
+
+    // Parse only (no analysis) - used to highlight where OCR fields came from
+    const handleParse = useCallback(async (input, ocrLines) => {
+        const response = await fetch(`${API_URL}/api/analyze/parse`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ input, isOcr: true, ocrLines }),
+        });
+
+        return response.json();
+    }, []);
+
+    // Ranked questions for the fields a partial parse is missing or unsure of
+    const handleFetchQuestions = async (answers, fieldProvenance, ambiguities) => {
+        const response = await fetch(`${API_URL}/api/analyze/next-questions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ answers, field_provenance: fieldProvenance, ambiguities, language }),
+        });
+
+        return response.json();
+    };
+
+    // Analyze the partial parse with the follow-up answers merged in, keeping the subject ID
+    const handleCompleteFollowUp = (answers) => {
+        handleAnalyze(answers, false, pendingSubjectId);
+    };
+
+    // Re-analyze with an unrecognised answer replaced by the value the user confirmed.
+    // This corrects the assessment on screen rather than taking a new one, so like a
+    // language change it leaves out the subject ID and pins the scoring model.
+    const handleConfirmAnswer = async (field, value) => {
+        const input = { ...results.answers, [field]: value };
+
+        setLoading(true);
+        try {
+            const data = await requestAnalysis(input, false, undefined, language, undefined, results.model_version);
+            if (data.status === 'ok') {
+                setLastRequest({ input, isOcr: false });
+                setResults(prev => ({
+                    ...data,
+                    subject_id: prev?.subject_id,
+                    assessment_id: prev?.assessment_id
+                }));
+                setError(null);
             } else {
+                setResults(null);
                 setError(data);
             }
         } catch (err) {
+            setResults(null);
             setError({
                 status: 'connection_error',
                 reason: 'Unable to connect to the analysis server. Please ensure the backend is running.'
@@ -41,6 +148,62 @@ function App() {
         }
     };
 
+    const handleSimulate = async (baseline, scenarios, outputLanguage, modelVersion) => {
+        const response = await fetch(`${API_URL}/api/simulate`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ input: baseline, scenarios, language: outputLanguage, modelVersion }),
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.reason || 'Unable to run the simulation.');
+        }
+        return data;
+    };
+
+    const handleDownloadReport = async (analysis) => {
+        const response = await fetch(`${API_URL}/api/report/pdf`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ analysis }),
+        });
+
+        if (!response.ok) {
+            throw new Error('Unable to generate the PDF report.');
+        }
+
+        // Trigger a browser download of the returned PDF
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'health-risk-report.pdf';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleLoadHistory = async (subjectId) => {
+        const response = await fetch(`${API_URL}/api/subjects/${encodeURIComponent(subjectId)}/assessments`);
+        return response.json();
+    };
+
+    const handleDeleteAssessment = async (subjectId, assessmentId) => {
+        const response = await fetch(
+            `${API_URL}/api/subjects/${encodeURIComponent(subjectId)}/assessments/${encodeURIComponent(assessmentId)}`,
+            { method: 'DELETE' }
+        );
+        return response.json();
+    };
+
+    const handleShowHistory = (subjectId = '') => {
+        setHistorySubjectId(subjectId);
+        setView('history');
+    };
+
     const handleReset = () => {
         setResults(null);
         setError(null);
@@ -59,14 +222,41 @@ function App() {
                     Analyze your lifestyle survey and receive personalized health insights
                     with actionable recommendations
                 </p>
+                <nav className="tab-switcher header__nav">
+                    <button
+                        type="button"
+                        className={`tab-button ${view === 'analyze' ? 'active' : ''}`}
+                        onClick={() => setView('analyze')}
+                    >
+                        <FileText size={18} />
+                        Analyze
+                    </button>
+                    <button
+                        type="button"
+                        className={`tab-button ${view === 'history' ? 'active' : ''}`}
+                        onClick={() => handleShowHistory(results?.subject_id || historySubjectId)}
+                    >
+                        <History size={18} />
+                        History
+                    </button>
+                </nav>
             </header>
 
             <main className="main-container">
-                {!results && !error && (
-                    <SurveyForm onAnalyze={handleAnalyze} loading={loading} />
+                {view === 'history' && (
+                    <HistoryView
+                        key={historySubjectId}
+                        initialSubjectId={historySubjectId}
+                        onLoadHistory={handleLoadHistory}
+                        onDeleteAssessment={handleDeleteAssessment}
+                    />
                 )}
 
-                {error && (
+                {view === 'analyze' && !results && !error && (
+                    <SurveyForm onAnalyze={handleAnalyze} onParse={handleParse} loading={loading} />
+                )}
+
+                {view === 'analyze' && error && (
                     <div className="glass-card">
                         <div className="error-card">
                             <div className="error-card__icon">
@@ -92,22 +282,36 @@ function App() {
                                 </div>
                             )}
 
-                            {error.partial_parse && (
-                                <div className="parsed-data" style={{ textAlign: 'left', marginBottom: '1.5rem' }}>
-                                    <pre>{JSON.stringify(error.partial_parse, null, 2)}</pre>
-                                </div>
+                            {error.partial_parse ? (
+                                <FollowUpChat
+                                    key={error.timestamp}
+                                    partialParse={error.partial_parse}
+                                    onFetchQuestions={handleFetchQuestions}
+                                    onComplete={handleCompleteFollowUp}
+                                    onCancel={handleReset}
+                                    loading={loading}
+                                />
+                            ) : (
+                                <button className="btn-primary" onClick={handleReset}>
+                                    <Activity size={20} />
+                                    Try Again
+                                </button>
                             )}
-
-                            <button className="btn-primary" onClick={handleReset}>
-                                <Activity size={20} />
-                                Try Again
-                            </button>
                         </div>
                     </div>
                 )}
 
-                {results && (
-                    <ResultsDashboard results={results} onReset={handleReset} />
+                {view === 'analyze' && results && (
+                    <ResultsDashboard
+                        results={results}
+                        onReset={handleReset}
+                        onSimulate={handleSimulate}
+                        onShowHistory={handleShowHistory}
+                        onDownloadReport={handleDownloadReport}
+                        onChangeLanguage={handleChangeLanguage}
+                        languageLoading={languageLoading}
+                        onConfirmAnswer={handleConfirmAnswer}
+                    />
                 )}
             </main>
 
@@ -0,0 +1,70 @@
+import React from 'react';
+import { Stethoscope, HelpCircle } from 'lucide-react';
+
+// Categories shown in the moderate and high risk colours
+const ELEVATED_CATEGORIES = ['slightly elevated', 'moderate', 'intermediate'];
+const HIGH_CATEGORIES = ['high', 'very high'];
+
+function categoryClass(category) {
+    if (HIGH_CATEGORIES.includes(category)) return 'clinical-score__category--high';
+    if (ELEVATED_CATEGORIES.includes(category)) return 'clinical-score__category--moderate';
+    return 'clinical-score__category--low';
+}
+
+function formatInputs(inputs) {
+    return inputs.map(input => input.replace(/_/g, ' ')).join(', ');
+}
+
+function ClinicalScores({ scores }) {
+    if (!scores || scores.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="clinical-scores">
+            {scores.map(entry => (
+                <div key={entry.id} className="clinical-score">
+                    <div className="clinical-score__header">
+                        {entry.status === 'computed' ? <Stethoscope size={18} /> : <HelpCircle size={18} />}
+                        <span className="clinical-score__name">{entry.name}</span>
+                    </div>
+
+                    {entry.status === 'computed' && (
+                        <>
+                            <div className="clinical-score__value">
+                                {entry.max_score !== undefined
+                                    ? `${entry.score} / ${entry.max_score} points`
+                                    : `${entry.ten_year_risk_percent}% over 10 years`}
+                                <span className={`clinical-score__category ${categoryClass(entry.category)}`}>
+                                    {entry.category}
+                                </span>
+                            </div>
+                            {entry.max_score !== undefined && (
+                                <p className="clinical-score__note">
+                                    About {entry.ten_year_risk_percent}% estimated 10-year risk
+                                </p>
+                            )}
+                            {entry.missing_optional_inputs.length > 0 && (
+                                <p className="clinical-score__note">
+                                    Counted as absent: {formatInputs(entry.missing_optional_inputs)}
+                                </p>
+                            )}
+                        </>
+                    )}
+
+                    {entry.status === 'insufficient_inputs' && (
+                        <p className="clinical-score__note">
+                            Needs: {formatInputs(entry.missing_inputs)}
+                        </p>
+                    )}
+
+                    {entry.status === 'not_applicable' && (
+                        <p className="clinical-score__note">{entry.reason}</p>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default ClinicalScores;
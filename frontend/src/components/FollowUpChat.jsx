@@ -0,0 +1,183 @@
+import React, { useEffect, useState } from 'react';
+import { MessageCircle, Loader2, Send, SkipForward, Activity } from 'lucide-react';
+
+// Keep the follow-up short; the ranking puts the most useful questions first
+const MAX_FOLLOW_UPS = 6;
+
+// Chat text until the first questions arrive with it in the chosen language
+const DEFAULT_MESSAGES = {
+    title: 'A Few More Questions',
+    skip: 'Skip',
+    skipped: 'Skipped',
+    analyze: 'Analyze with These Answers',
+    start_over: 'Start Over',
+    number_range: 'Please enter a number between {min} and {max}.',
+    load_failed: 'Unable to load follow-up questions.'
+};
+
+function fillMessage(message, params) {
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder);
+}
+
+function FollowUpChat({ partialParse, onFetchQuestions, onComplete, onCancel, loading }) {
+    const [answers, setAnswers] = useState(partialParse.answers || {});
+    const [provenance, setProvenance] = useState(partialParse.field_provenance || {});
+    const [ambiguities, setAmbiguities] = useState(partialParse.ambiguities || []);
+    const [transcript, setTranscript] = useState([]);
+    const [skipped, setSkipped] = useState([]);
+    const [question, setQuestion] = useState(null);
+    const [complete, setComplete] = useState(false);
+    const [numberValue, setNumberValue] = useState('');
+    const [fetching, setFetching] = useState(false);
+    const [error, setError] = useState(null);
+    const [messages, setMessages] = useState(DEFAULT_MESSAGES);
+
+    const asked = transcript.length;
+
+    // Re-rank after every answer so the next question reflects what is now known
+    useEffect(() => {
+        let cancelled = false;
+        setFetching(true);
+
+        onFetchQuestions(answers, provenance, ambiguities)
+            .then((data) => {
+                if (cancelled) return;
+                if (data.status === 'ok') {
+                    setMessages(data.messages || DEFAULT_MESSAGES);
+                    setComplete(data.complete);
+                    setQuestion(asked < MAX_FOLLOW_UPS
+                        ? data.questions.find(q => !skipped.includes(q.field)) || null
+                        : null);
+                    setError(null);
+                } else {
+                    setError(data.reason);
+                }
+            })
+            .catch(() => {
+                if (!cancelled) setError(messages.load_failed);
+            })
+            .finally(() => {
+                if (!cancelled) setFetching(false);
+            });
+
+        return () => { cancelled = true; };
+    }, [answers, skipped]);
+
+    const answerQuestion = (value, label) => {
+        setTranscript(prev => [...prev, { field: question.field, prompt: question.prompt, answer: label }]);
+        // An answer given here is confirmed, so its parse provenance and ambiguity no longer apply
+        setProvenance(({ [question.field]: _confirmed, ...rest }) => rest);
+        setAmbiguities(prev => prev.filter(ambiguity => ambiguity.field !== question.field));
+        setAnswers(prev => ({ ...prev, [question.field]: value }));
+        setNumberValue('');
+    };
+
+    const submitNumber = (e) => {
+        e.preventDefault();
+        const value = parseFloat(numberValue);
+        if (Number.isNaN(value) || value < question.min || value > question.max) {
+            setError(fillMessage(messages.number_range, { min: question.min, max: question.max }));
+            return;
+        }
+        setError(null);
+        answerQuestion(value, question.unit_label ? `${value} ${question.unit_label}` : String(value));
+    };
+
+    const skipQuestion = () => {
+        setTranscript(prev => [...prev, { field: question.field, prompt: question.prompt, answer: null }]);
+        setSkipped(prev => [...prev, question.field]);
+        setNumberValue('');
+    };
+
+    return (
+        <div className="follow-up">
+            <h3 className="results-section__title">
+                <MessageCircle size={20} />
+                {messages.title}
+            </h3>
+
+            <div className="follow-up__messages">
+                {transcript.map((entry, i) => (
+                    <React.Fragment key={i}>
+                        <div className="follow-up__message follow-up__message--question">{entry.prompt}</div>
+                        <div className={`follow-up__message follow-up__message--answer ${entry.answer === null ? 'follow-up__message--skipped' : ''}`}>
+                            {entry.answer === null ? messages.skipped : entry.answer}
+                        </div>
+                    </React.Fragment>
+                ))}
+
+                {question && !fetching && (
+                    <div className="follow-up__message follow-up__message--question">
+                        {question.prompt}
+                        {question.hint && (
+                            <span className="follow-up__hint">{question.hint}</span>
+                        )}
+                    </div>
+                )}
+
+                {fetching && (
+                    <div className="follow-up__status">
+                        <Loader2 size={16} className="spinner" />
+                    </div>
+                )}
+            </div>
+
+            {question && !fetching && (
+                <div className="follow-up__reply">
+                    {question.type === 'number' ? (
+                        <form className="follow-up__number" onSubmit={submitNumber}>
+                            <input
+                                type="number"
+                                className="form-input"
+                                min={question.min}
+                                max={question.max}
+                                step="any"
+                                value={numberValue}
+                                placeholder={question.unit_label}
+                                onChange={(e) => setNumberValue(e.target.value)}
+                                autoFocus
+                            />
+                            <button type="submit" className="btn-secondary" disabled={numberValue === ''}>
+                                <Send size={16} />
+                            </button>
+                        </form>
+                    ) : (
+                        <div className="follow-up__choices">
+                            {question.choices.map(({ value, label }) => (
+                                <button
+                                    key={String(value)}
+                                    type="button"
+                                    className={`btn-secondary follow-up__choice ${value === question.suggestion ? 'follow-up__choice--suggested' : ''}`}
+                                    onClick={() => answerQuestion(value, label)}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {!question.required && (
+                        <button type="button" className="follow-up__skip" onClick={skipQuestion}>
+                            <SkipForward size={14} />
+                            {messages.skip}
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {error && <p className="follow-up__status follow-up__status--error">{error}</p>}
+
+            <div className="follow-up__actions">
+                <button className="btn-primary" onClick={() => onComplete(answers)} disabled={!complete || loading}>
+                    {loading ? <Loader2 size={20} className="spinner" /> : <Activity size={20} />}
+                    {messages.analyze}
+                </button>
+                <button className="btn-secondary" onClick={onCancel}>
+                    {messages.start_over}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default FollowUpChat;
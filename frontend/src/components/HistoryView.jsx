@@ -0,0 +1,182 @@
+import React, { useEffect, useState } from 'react';
+import { History, Search, Trash2, Loader2 } from 'lucide-react';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 16, right: 16, bottom: 32, left: 36 };
+
+// Risk level bands drawn behind the score line (matches backend getRiskLevel thresholds)
+const RISK_BANDS = [
+    { level: 'low', from: 0, to: 25, color: 'var(--color-risk-low)' },
+    { level: 'moderate', from: 25, to: 50, color: 'var(--color-risk-moderate)' },
+    { level: 'high', from: 50, to: 75, color: 'var(--color-risk-high)' },
+    { level: 'very high', from: 75, to: 100, color: 'var(--color-risk-very-high)' },
+];
+
+const LEVEL_COLORS = Object.fromEntries(RISK_BANDS.map(band => [band.level, band.color]));
+
+function formatDate(iso) {
+    return new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: '2-digit' });
+}
+
+function HistoryChart({ assessments }) {
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+    const x = (index) => CHART_PADDING.left + (assessments.length > 1
+        ? (index / (assessments.length - 1)) * plotWidth
+        : plotWidth / 2);
+    const y = (score) => CHART_PADDING.top + plotHeight - (score / 100) * plotHeight;
+
+    const points = assessments.map((a, i) => `${x(i)},${y(a.score)}`).join(' ');
+
+    return (
+        <svg className="history-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img"
+            aria-label="Risk score over time">
+            {RISK_BANDS.map(band => (
+                <g key={band.level}>
+                    <rect
+                        x={CHART_PADDING.left}
+                        y={y(band.to)}
+                        width={plotWidth}
+                        height={y(band.from) - y(band.to)}
+                        fill={band.color}
+                        opacity={0.08}
+                    />
+                    <text x={CHART_PADDING.left - 6} y={y(band.from) + 4} className="history-chart__axis"
+                        textAnchor="end">
+                        {band.from}
+                    </text>
+                </g>
+            ))}
+
+            <polyline points={points} className="history-chart__line" />
+
+            {assessments.map((a, i) => (
+                <g key={a.id}>
+                    <circle cx={x(i)} cy={y(a.score)} r={5} fill={LEVEL_COLORS[a.risk_level]}>
+                        <title>{`${formatDate(a.created_at)}: ${a.score} (${a.risk_level})`}</title>
+                    </circle>
+                    <text x={x(i)} y={CHART_HEIGHT - 10} className="history-chart__axis" textAnchor="middle">
+                        {formatDate(a.created_at)}
+                    </text>
+                </g>
+            ))}
+        </svg>
+    );
+}
+
+function HistoryView({ initialSubjectId = '', onLoadHistory, onDeleteAssessment }) {
+    const [subjectId, setSubjectId] = useState(initialSubjectId);
+    // The subject whose history is on screen; deletes go here even if the input has been edited since
+    const [loadedSubjectId, setLoadedSubjectId] = useState(null);
+    const [assessments, setAssessments] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadHistory = async (id) => {
+        if (!id) return;
+
+        setLoading(true);
+        setError(null);
+
+        try {
+            const data = await onLoadHistory(id);
+            if (data.status === 'ok') {
+                setAssessments(data.assessments);
+                setLoadedSubjectId(id);
+            } else {
+                setAssessments(null);
+                setLoadedSubjectId(null);
+                setError(data.reason);
+            }
+        } catch {
+            setError('Unable to load assessment history.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadHistory(initialSubjectId);
+    }, [initialSubjectId]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        loadHistory(subjectId.trim());
+    };
+
+    const handleDelete = async (assessment) => {
+        const when = new Date(assessment.created_at).toLocaleString();
+        if (!window.confirm(`Delete the assessment from ${when} for ${loadedSubjectId}? This cannot be undone.`)) return;
+
+        try {
+            const data = await onDeleteAssessment(loadedSubjectId, assessment.id);
+            if (data.status === 'ok') {
+                setAssessments(prev => prev.filter(a => a.id !== assessment.id));
+            } else {
+                setError(data.reason);
+            }
+        } catch {
+            setError('Unable to delete assessment.');
+        }
+    };
+
+    return (
+        <div className="glass-card history-view">
+            <h3 className="section-title">
+                <History size={20} />
+                Assessment History
+            </h3>
+
+            <form className="history-view__lookup" onSubmit={handleSubmit}>
+                <input
+                    type="text"
+                    className="form-input"
+                    placeholder="Participant ID"
+                    value={subjectId}
+                    onChange={(e) => setSubjectId(e.target.value)}
+                />
+                <button type="submit" className="btn-secondary" disabled={loading || !subjectId.trim()}>
+                    {loading ? <Loader2 size={16} className="spinner" /> : <Search size={16} />}
+                    Load
+                </button>
+            </form>
+
+            {error && <p className="history-view__error">{error}</p>}
+
+            {assessments && assessments.length === 0 && (
+                <p style={{ color: 'var(--color-text-secondary)' }}>
+                    No assessments stored for this participant yet.
+                </p>
+            )}
+
+            {assessments && assessments.length > 0 && (
+                <>
+                    <HistoryChart assessments={assessments} />
+
+                    <ul className="history-view__list">
+                        {[...assessments].reverse().map(a => (
+                            <li key={a.id} className="history-view__item">
+                                <span>{new Date(a.created_at).toLocaleString()}</span>
+                                <span className="history-view__score" style={{ color: LEVEL_COLORS[a.risk_level] }}>
+                                    {a.score} &middot; {a.risk_level}
+                                </span>
+                                <button
+                                    type="button"
+                                    className="btn-secondary"
+                                    onClick={() => handleDelete(a)}
+                                    aria-label="Delete assessment"
+                                >
+                                    <Trash2 size={14} />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default HistoryView;
@@ -32,8 +32,15 @@ function ImageUploader({ onOcrComplete }) {
                 },
             });
 
-            const extractedText = result.data.text;
-            onOcrComplete(extractedText);
+            // Line and word confidences (0-1) let the parser score each field it reads
+            const toUnit = (confidence) => Math.round(confidence) / 100;
+            const lines = (result.data.lines || []).map(line => ({
+                text: line.text.trim(),
+                confidence: toUnit(line.confidence),
+                words: (line.words || []).map(word => ({ text: word.text, confidence: toUnit(word.confidence) }))
+            }));
+
+            onOcrComplete(result.data.text, lines);
             setProgressStatus('Complete!');
             setProgress(100);
         } catch (error) {
@@ -93,7 +100,7 @@ function ImageUploader({ onOcrComplete }) {
         setPreview(null);
         setProgress(0);
         setProgressStatus('');
-        onOcrComplete('');
+        onOcrComplete('', []);
         if (fileInputRef.current) {
             fileInputRef.current.value = '';
         }
@@ -0,0 +1,31 @@
+import React from 'react';
+import { Languages, Loader2 } from 'lucide-react';
+
+// Languages the backend message catalog can render results in
+const LANGUAGES = [
+    { code: 'en', name: 'English' },
+    { code: 'es', name: 'Español' },
+    { code: 'fr', name: 'Français' },
+    { code: 'hi', name: 'हिन्दी' }
+];
+
+function LanguageSwitcher({ language, onChange, loading }) {
+    return (
+        <label className="language-switcher">
+            {loading ? <Loader2 size={16} className="spinner" /> : <Languages size={16} />}
+            <span>Results language</span>
+            <select
+                className="form-select language-switcher__select"
+                value={language}
+                onChange={(e) => onChange(e.target.value)}
+                disabled={loading}
+            >
+                {LANGUAGES.map(({ code, name }) => (
+                    <option key={code} value={code}>{name}</option>
+                ))}
+            </select>
+        </label>
+    );
+}
+
+export default LanguageSwitcher;
@@ -0,0 +1,88 @@
+import React, { useRef } from 'react';
+
+// Confidence bands for highlighted fields
+function confidenceLevel(confidence) {
+    if (confidence >= 0.85) return 'high';
+    if (confidence >= 0.6) return 'medium';
+    return 'low';
+}
+
+/**
+ * Editable OCR text that highlights the span each parsed field came from.
+ * `provenance` is { text, fields } where fields is the parser's field_provenance
+ * for that exact text; highlights are hidden while the text has unparsed edits.
+ */
+function ProvenanceTextArea({ value, onChange, provenance, rows = 6 }) {
+    const textareaRef = useRef(null);
+    const backdropRef = useRef(null);
+
+    const spans = provenance && provenance.text === value
+        ? Object.entries(provenance.fields || {})
+            .map(([field, source]) => ({ field, ...source }))
+            .sort((a, b) => a.start - b.start)
+        : [];
+
+    // Backdrop text with <mark>s behind each field; overlapping spans keep the first
+    const segments = [];
+    let cursor = 0;
+    for (const span of spans) {
+        if (span.start < cursor) continue;
+        segments.push(value.slice(cursor, span.start));
+        segments.push(
+            <mark key={span.field} className={`provenance-mark provenance-mark--${confidenceLevel(span.confidence)}`}>
+                {value.slice(span.start, span.end)}
+            </mark>
+        );
+        cursor = span.end;
+    }
+    // Trailing newline keeps the backdrop as tall as the textarea content
+    segments.push(`${value.slice(cursor)}\n`);
+
+    const syncScroll = () => {
+        backdropRef.current.scrollTop = textareaRef.current.scrollTop;
+    };
+
+    // Select a field's source text so a misread can be retyped directly
+    const selectField = (span) => {
+        textareaRef.current.focus();
+        textareaRef.current.setSelectionRange(span.start, span.end);
+    };
+
+    return (
+        <div>
+            <div className="provenance-editor">
+                <div className="provenance-editor__backdrop form-textarea" ref={backdropRef} aria-hidden="true">
+                    {segments}
+                </div>
+                <textarea
+                    ref={textareaRef}
+                    className="form-textarea provenance-editor__input"
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    onScroll={syncScroll}
+                    rows={rows}
+                    spellCheck="false"
+                />
+            </div>
+
+            {spans.length > 0 && (
+                <div className="provenance-fields">
+                    {spans.map(span => (
+                        <button
+                            key={span.field}
+                            type="button"
+                            className={`provenance-field provenance-field--${confidenceLevel(span.confidence)}`}
+                            onClick={() => selectField(span)}
+                            title={`Line ${span.line} (${span.match})`}
+                        >
+                            {span.field}
+                            <span className="provenance-field__confidence">{Math.round(span.confidence * 100)}%</span>
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ProvenanceTextArea;
@@ -1,7 +1,8 @@
 import React from 'react';
 import {
     CigaretteOff, Apple, Footprints, Wine, Moon,
-    Brain, Scale, Stethoscope, Droplet, CalendarCheck, Lightbulb
+    Brain, Scale, Stethoscope, Droplet, CalendarCheck, Lightbulb,
+    HeartPulse, Activity, Ruler, Droplets, Heart, Users
 } from 'lucide-react';
 
 const ICON_MAP = {
@@ -15,6 +16,12 @@ const ICON_MAP = {
     'stethoscope': Stethoscope,
     'droplet': Droplet,
     'calendar-check': CalendarCheck,
+    'heart-pulse': HeartPulse,
+    'activity': Activity,
+    'ruler': Ruler,
+    'droplets': Droplets,
+    'heart': Heart,
+    'users': Users,
 };
 
 function RecommendationCard({ recommendation }) {
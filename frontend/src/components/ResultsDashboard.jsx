@@ -1,25 +1,54 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
     CheckCircle2, AlertTriangle, ArrowRight,
-    RotateCcw, Target, ListChecks, Lightbulb, AlertCircle
+    RotateCcw, Target, ShieldCheck, ListChecks, Lightbulb, AlertCircle, BarChart3, Stethoscope, History, FileDown, Loader2
 } from 'lucide-react';
 import RiskMeter from './RiskMeter';
+import ScoreBreakdown from './ScoreBreakdown';
+import ClinicalScores from './ClinicalScores';
+import WhatIfPanel from './WhatIfPanel';
 import RecommendationCard from './RecommendationCard';
+import LanguageSwitcher from './LanguageSwitcher';
 
-function ResultsDashboard({ results, onReset }) {
+function ResultsDashboard({
+    results, onReset, onSimulate, onShowHistory, onDownloadReport, onChangeLanguage, languageLoading, onConfirmAnswer
+}) {
     const {
         risk_level,
         score,
+        score_range,
+        risk_level_could_change,
         factors,
         rationale,
+        strengths,
+        score_breakdown,
         recommendations,
         detailed_recommendations,
+        clinical_scores,
         warnings,
         parse_confidence,
         factor_confidence,
-        answers
+        answers,
+        subject_id,
+        language,
+        model_version
     } = results;
 
+    const [downloading, setDownloading] = useState(false);
+    const [downloadError, setDownloadError] = useState(null);
+
+    const handleDownload = async () => {
+        setDownloading(true);
+        setDownloadError(null);
+        try {
+            await onDownloadReport(results);
+        } catch (err) {
+            setDownloadError(err.message);
+        } finally {
+            setDownloading(false);
+        }
+    };
+
     return (
         <div className="results-dashboard">
             {/* Analysis Steps */}
@@ -51,10 +80,23 @@ function ResultsDashboard({ results, onReset }) {
                     <h2 className="results-header__title">Your Health Risk Assessment</h2>
                     <p className="results-header__subtitle">
                         Based on your lifestyle survey responses
+                        {model_version && ` · scoring model ${model_version}`}
                     </p>
+                    {onChangeLanguage && (
+                        <LanguageSwitcher
+                            language={language || 'en'}
+                            onChange={onChangeLanguage}
+                            loading={languageLoading}
+                        />
+                    )}
                 </div>
 
-                <RiskMeter score={score} riskLevel={risk_level} />
+                <RiskMeter
+                    score={score}
+                    riskLevel={risk_level}
+                    scoreRange={score_range}
+                    levelCouldChange={risk_level_could_change}
+                />
 
                 {/* Confidence Indicators */}
                 <div style={{ display: 'flex', justifyContent: 'center', gap: '1rem', flexWrap: 'wrap' }}>
@@ -122,6 +164,49 @@ function ResultsDashboard({ results, onReset }) {
                 </div>
             </div>
 
+            {/* Strengths */}
+            {strengths && strengths.length > 0 && (
+                <div className="glass-card results-section" style={{ marginBottom: '1.5rem' }}>
+                    <h3 className="results-section__title">
+                        <ShieldCheck size={20} />
+                        Your Strengths
+                    </h3>
+                    <ul className="strengths-list">
+                        {strengths.map((item, index) => (
+                            <li key={index} className="strengths-item">
+                                <CheckCircle2 size={16} />
+                                {item}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {/* Score Breakdown */}
+            {score_breakdown && score_breakdown.length > 0 && (
+                <div className="glass-card" style={{ marginBottom: '1.5rem' }}>
+                    <h3 className="results-section__title">
+                        <BarChart3 size={20} />
+                        How Your Score Is Calculated
+                    </h3>
+                    <ScoreBreakdown breakdown={score_breakdown} score={score} />
+                </div>
+            )}
+
+            {/* Clinical Scores */}
+            {clinical_scores && clinical_scores.length > 0 && (
+                <div className="glass-card" style={{ marginBottom: '1.5rem' }}>
+                    <h3 className="results-section__title">
+                        <Stethoscope size={20} />
+                        Clinical Scores
+                    </h3>
+                    <p style={{ color: 'var(--color-text-secondary)', marginBottom: '1rem' }}>
+                        Validated scores reported alongside your lifestyle score. They run when their inputs are answered.
+                    </p>
+                    <ClinicalScores scores={clinical_scores} />
+                </div>
+            )}
+
             {/* Recommendations */}
             <div className="glass-card" style={{ marginTop: '1.5rem' }}>
                 <h3 className="results-section__title">
@@ -141,6 +226,16 @@ function ResultsDashboard({ results, onReset }) {
                 )}
             </div>
 
+            {/* What-If Simulator */}
+            {onSimulate && (
+                <WhatIfPanel
+                    answers={answers}
+                    baselineScore={score}
+                    baselineLevel={risk_level}
+                    onSimulate={(baseline, scenarios) => onSimulate(baseline, scenarios, language, model_version)}
+                />
+            )}
+
             {/* Warnings */}
             {warnings && warnings.length > 0 && (
                 <div className="warnings">
@@ -148,6 +243,15 @@ function ResultsDashboard({ results, onReset }) {
                         <div key={index} className="warning-item">
                             <AlertTriangle size={18} />
                             <span>{warning.message}</span>
+                            {warning.type === 'ambiguous_value' && warning.suggestion !== null && onConfirmAnswer && (
+                                <button
+                                    type="button"
+                                    className="warning-item__action"
+                                    onClick={() => onConfirmAnswer(warning.field, warning.suggestion)}
+                                >
+                                    Use "{typeof warning.suggestion === 'boolean' ? (warning.suggestion ? 'yes' : 'no') : warning.suggestion}"
+                                </button>
+                            )}
                         </div>
                     ))}
                 </div>
@@ -169,14 +273,27 @@ function ResultsDashboard({ results, onReset }) {
             </details>
 
             {/* Reset Button */}
-            <button
-                className="btn-secondary"
-                onClick={onReset}
-                style={{ marginTop: '2rem' }}
-            >
-                <RotateCcw size={18} />
-                Start New Analysis
-            </button>
+            <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', marginTop: '2rem' }}>
+                <button className="btn-secondary" onClick={onReset}>
+                    <RotateCcw size={18} />
+                    Start New Analysis
+                </button>
+                {onDownloadReport && (
+                    <button className="btn-secondary" onClick={handleDownload} disabled={downloading}>
+                        {downloading ? <Loader2 size={18} className="spinner" /> : <FileDown size={18} />}
+                        Download PDF Report
+                    </button>
+                )}
+                {subject_id && onShowHistory && (
+                    <button className="btn-secondary" onClick={() => onShowHistory(subject_id)}>
+                        <History size={18} />
+                        View History for {subject_id}
+                    </button>
+                )}
+            </div>
+            {downloadError && (
+                <p style={{ color: 'var(--color-risk-high)', marginTop: '0.75rem' }}>{downloadError}</p>
+            )}
         </div>
     );
 }
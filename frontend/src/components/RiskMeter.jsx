@@ -1,13 +1,19 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 
-function RiskMeter({ score, riskLevel }) {
+// Degrees of the gauge per score point (0 = left end, 100 = right end)
+const DEGREES_PER_POINT = 180 / 100;
+
+function RiskMeter({ score, riskLevel, scoreRange, levelCouldChange }) {
     const [animatedScore, setAnimatedScore] = useState(0);
     const [needleAngle, setNeedleAngle] = useState(-90);
+    const displayedScore = useRef(0);
 
     useEffect(() => {
-        // Animate score counting up
+        // Animate score counting from the currently shown score
         const duration = 1000;
         const startTime = Date.now();
+        const startScore = displayedScore.current;
+        let frame;
 
         const animate = () => {
             const elapsed = Date.now() - startTime;
@@ -16,21 +22,27 @@ function RiskMeter({ score, riskLevel }) {
             // Easing function
             const eased = 1 - Math.pow(1 - progress, 3);
 
-            setAnimatedScore(Math.round(score * eased));
+            displayedScore.current = Math.round(startScore + (score - startScore) * eased);
+            setAnimatedScore(displayedScore.current);
 
             if (progress < 1) {
-                requestAnimationFrame(animate);
+                frame = requestAnimationFrame(animate);
             }
         };
 
-        requestAnimationFrame(animate);
+        frame = requestAnimationFrame(animate);
 
         // Animate needle
         // Score 0 = -90deg, Score 100 = 90deg
         const targetAngle = -90 + (score / 100) * 180;
-        setTimeout(() => {
+        const timeout = setTimeout(() => {
             setNeedleAngle(targetAngle);
         }, 100);
+
+        return () => {
+            cancelAnimationFrame(frame);
+            clearTimeout(timeout);
+        };
     }, [score]);
 
     const getRiskClass = () => {
@@ -38,10 +50,19 @@ function RiskMeter({ score, riskLevel }) {
         return riskLevel;
     };
 
+    // Shade the part of the gauge the score could reach once the unanswered questions are answered
+    const showRange = scoreRange && scoreRange.max > scoreRange.min;
+    const bandStyle = showRange ? {
+        background: `conic-gradient(from 270deg, transparent 0deg ${scoreRange.min * DEGREES_PER_POINT}deg, `
+            + `var(--risk-meter-band) ${scoreRange.min * DEGREES_PER_POINT}deg ${scoreRange.max * DEGREES_PER_POINT}deg, `
+            + `transparent ${scoreRange.max * DEGREES_PER_POINT}deg 360deg)`
+    } : null;
+
     return (
         <div className="risk-meter">
             <div className="risk-meter__gauge">
                 <div className="risk-meter__arc">
+                    {showRange && <div className="risk-meter__band" style={bandStyle} />}
                     <div
                         className="risk-meter__needle"
                         style={{ transform: `translateX(-50%) rotate(${needleAngle}deg)` }}
@@ -56,6 +77,16 @@ function RiskMeter({ score, riskLevel }) {
             <div className={`risk-meter__level ${getRiskClass()}`}>
                 {riskLevel} Risk
             </div>
+
+            {showRange && (
+                <p className="risk-meter__range">
+                    Could be {scoreRange.min}–{scoreRange.max} once every question is answered
+                    {levelCouldChange && ` (${scoreRange.min_level} to ${scoreRange.max_level} risk)`}.
+                    {scoreRange.unanswered_fields.length > 0 && (
+                        <> Answer {scoreRange.unanswered_fields.map(field => field.replace(/_/g, ' ')).join(', ')} for a precise score.</>
+                    )}
+                </p>
+            )}
         </div>
     );
 }
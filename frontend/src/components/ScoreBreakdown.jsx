@@ -0,0 +1,93 @@
+import React from 'react';
+
+const SEGMENT_COLORS = [
+    '#667eea', '#764ba2', '#f093fb', '#f59e0b', '#ef4444',
+    '#10b981', '#06b6d4', '#8b5cf6', '#ec4899', '#84cc16',
+];
+
+function ScoreBreakdown({ breakdown, score }) {
+    if (!breakdown || breakdown.length === 0) {
+        return null;
+    }
+
+    const segments = breakdown.filter(entry => entry.points > 0);
+    const protective = breakdown.filter(entry => entry.source === 'protective');
+    const capEntry = breakdown.find(entry => entry.source === 'cap');
+    const floorEntry = breakdown.find(entry => entry.source === 'floor');
+    const rawTotal = segments.reduce((sum, entry) => sum + entry.points, 0);
+
+    // Scale to 100 unless the raw total overflows the cap
+    const scale = Math.max(100, rawTotal);
+
+    return (
+        <div className="score-breakdown">
+            <div className="score-breakdown__bar">
+                {segments.map((entry, index) => (
+                    <div
+                        key={index}
+                        className="score-breakdown__segment"
+                        style={{
+                            width: `${(entry.points / scale) * 100}%`,
+                            background: SEGMENT_COLORS[index % SEGMENT_COLORS.length]
+                        }}
+                        title={`${entry.factor}: +${entry.points}`}
+                    />
+                ))}
+                {capEntry && (
+                    <div
+                        className="score-breakdown__cap"
+                        style={{ left: `${(100 / scale) * 100}%` }}
+                        title="Score cap (100)"
+                    />
+                )}
+            </div>
+
+            <ul className="score-breakdown__legend">
+                {segments.map((entry, index) => (
+                    <li key={index} className="score-breakdown__legend-item">
+                        <span
+                            className="score-breakdown__swatch"
+                            style={{ background: SEGMENT_COLORS[index % SEGMENT_COLORS.length] }}
+                        />
+                        <span className="score-breakdown__label">
+                            {entry.factor}
+                            {entry.source === 'age_base' && <em> (age base)</em>}
+                            {entry.source === 'interaction' && <em> (combined risk)</em>}
+                        </span>
+                        <span className="score-breakdown__points">+{entry.points}</span>
+                    </li>
+                ))}
+                {protective.map((entry, index) => (
+                    <li key={`protective-${index}`} className="score-breakdown__legend-item">
+                        <span className="score-breakdown__swatch score-breakdown__swatch--protective" />
+                        <span className="score-breakdown__label">
+                            {entry.factor}
+                            <em> (strength)</em>
+                        </span>
+                        <span className="score-breakdown__points">{entry.points}</span>
+                    </li>
+                ))}
+                {capEntry && (
+                    <li className="score-breakdown__legend-item">
+                        <span className="score-breakdown__swatch score-breakdown__swatch--cap" />
+                        <span className="score-breakdown__label">capped at 100</span>
+                        <span className="score-breakdown__points">{capEntry.points}</span>
+                    </li>
+                )}
+                {floorEntry && (
+                    <li className="score-breakdown__legend-item">
+                        <span className="score-breakdown__swatch score-breakdown__swatch--cap" />
+                        <span className="score-breakdown__label">kept at 0</span>
+                        <span className="score-breakdown__points">+{floorEntry.points}</span>
+                    </li>
+                )}
+                <li className="score-breakdown__legend-item score-breakdown__total">
+                    <span className="score-breakdown__label">Total score</span>
+                    <span className="score-breakdown__points">{score}</span>
+                </li>
+            </ul>
+        </div>
+    );
+}
+
+export default ScoreBreakdown;
@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
-import { FileText, Image, Send, Loader2 } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { FileText, Image, Send, Loader2, HeartPulse } from 'lucide-react';
 import ImageUploader from './ImageUploader';
+import ProvenanceTextArea from './ProvenanceTextArea';
 
 const SAMPLE_JSON = `{
   "age": 42,
@@ -12,18 +13,65 @@ const SAMPLE_JSON = `{
 const DEFAULT_FORM_DATA = {
     age: '',
     smoker: false,
-    exercise: 'sometimes',
+    neverSmoked: false,
+    cigarettesPerDay: '',
+    packYears: '',
+    moderateMinutes: '90',
+    vigorousMinutes: '0',
     diet: 'balanced',
-    alcohol: 'rarely',
+    drinksPerWeek: '0',
     sleep: '7',
-    stress: 'moderate',
+    stressRating: '5',
+    height: '',
+    heightFeet: '',
+    heightInches: '',
+    heightUnit: 'cm',
+    weight: '',
+    weightUnit: 'kg',
+    systolicBp: '',
+    diastolicBp: '',
+    restingHeartRate: '',
+    waist: '',
+    waistUnit: 'cm',
+    fastingGlucose: '',
+    glucoseUnit: 'mg/dL',
+    totalCholesterol: '',
+    cholesterolUnit: 'mg/dL',
+    familyHistoryHeartDisease: false,
+    familyHistoryDiabetes: false,
+    bpMedication: false,
+    sex: '',
 };
 
-function SurveyForm({ onAnalyze, loading }) {
+const STRESS_RATINGS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+const STRESS_RATING_LABELS = { 1: 'Very low', 4: 'Moderate', 7: 'High', 10: 'Extreme' };
+
+// Empty quantity inputs are left out of the survey
+function toQuantity(value) {
+    return value === '' ? undefined : Number(value);
+}
+
+// Readings are sent with their units for the API to convert
+function toMeasurement(value, unit) {
+    return value === '' ? undefined : `${value} ${unit}`;
+}
+
+// Height and weight are sent with their units; the API converts them to BMI
+function formatHeight({ height, heightFeet, heightInches, heightUnit }) {
+    if (heightUnit === 'ft') {
+        return heightFeet ? `${heightFeet} ft ${heightInches || 0} in` : undefined;
+    }
+    return height ? `${height} cm` : undefined;
+}
+
+function SurveyForm({ onAnalyze, onParse, loading }) {
     const [mode, setMode] = useState('form'); // 'form', 'json', 'image'
     const [jsonInput, setJsonInput] = useState(SAMPLE_JSON);
     const [formData, setFormData] = useState(DEFAULT_FORM_DATA);
     const [ocrText, setOcrText] = useState('');
+    const [ocrLines, setOcrLines] = useState([]);
+    const [provenance, setProvenance] = useState(null);
+    const [subjectId, setSubjectId] = useState('');
 
     const handleFormChange = (field, value) => {
         setFormData(prev => ({ ...prev, [field]: value }));
@@ -31,35 +79,76 @@ function SurveyForm({ onAnalyze, loading }) {
 
     const handleSubmit = (e) => {
         e.preventDefault();
+        const participantId = subjectId.trim() || undefined;
 
         if (mode === 'json') {
             try {
                 const parsed = JSON.parse(jsonInput);
-                onAnalyze(parsed, false);
+                onAnalyze(parsed, false, participantId);
             } catch {
-                onAnalyze(jsonInput, false);
+                onAnalyze(jsonInput, false, participantId);
             }
         } else if (mode === 'image') {
-            onAnalyze(ocrText, true);
+            onAnalyze(ocrText, true, participantId, ocrLines);
         } else {
             // Convert form data to proper types
             const data = {
                 age: parseInt(formData.age, 10) || undefined,
+                sex: formData.sex || undefined,
                 smoker: formData.smoker,
-                exercise: formData.exercise,
+                // Left off, the toggle does not say the person smoked before, so only "yes" is sent
+                never_smoked: !formData.smoker && formData.neverSmoked ? true : undefined,
+                cigarettes_per_day: formData.smoker ? toQuantity(formData.cigarettesPerDay) : undefined,
+                pack_years: formData.smoker ? toQuantity(formData.packYears) : undefined,
+                moderate_minutes: toQuantity(formData.moderateMinutes),
+                vigorous_minutes: toQuantity(formData.vigorousMinutes),
                 diet: formData.diet,
-                alcohol: formData.alcohol,
+                drinks_per_week: toQuantity(formData.drinksPerWeek),
                 sleep: parseInt(formData.sleep, 10) || undefined,
-                stress: formData.stress,
+                stress_rating: toQuantity(formData.stressRating),
+                height: formatHeight(formData),
+                weight: toMeasurement(formData.weight, formData.weightUnit),
+                systolic_bp: toQuantity(formData.systolicBp),
+                diastolic_bp: toQuantity(formData.diastolicBp),
+                resting_heart_rate: toQuantity(formData.restingHeartRate),
+                waist_cm: toMeasurement(formData.waist, formData.waistUnit),
+                fasting_glucose: toMeasurement(formData.fastingGlucose, formData.glucoseUnit),
+                total_cholesterol: toMeasurement(formData.totalCholesterol, formData.cholesterolUnit),
+                family_history_heart_disease: formData.familyHistoryHeartDisease,
+                family_history_diabetes: formData.familyHistoryDiabetes,
+                bp_medication: formData.bpMedication,
             };
-            onAnalyze(data, false);
+            onAnalyze(data, false, participantId);
         }
     };
 
-    const handleOcrComplete = (text) => {
+    const handleOcrComplete = (text, lines = []) => {
         setOcrText(text);
+        setOcrLines(lines);
     };
 
+    // Re-parse the extracted text shortly after edits to refresh field highlights
+    useEffect(() => {
+        if (mode !== 'image' || !ocrText.trim() || !onParse) return undefined;
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const result = await onParse(ocrText, ocrLines);
+                if (!cancelled && result.field_provenance) {
+                    setProvenance({ text: ocrText, fields: result.field_provenance });
+                }
+            } catch {
+                // Highlights are a review aid; analysis still works without them
+            }
+        }, 400);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [mode, ocrText, ocrLines, onParse]);
+
     return (
         <div className="glass-card survey-form">
             {/* Tab Switcher */}
@@ -93,118 +182,452 @@ function SurveyForm({ onAnalyze, loading }) {
             <form onSubmit={handleSubmit}>
                 {/* Form Mode */}
                 {mode === 'form' && (
-                    <div className="form-section">
-                        <h3 className="section-title">
-                            <FileText size={20} />
-                            Lifestyle Survey
-                        </h3>
+                    <>
+                        <div className="form-section">
+                            <h3 className="section-title">
+                                <FileText size={20} />
+                                Lifestyle Survey
+                            </h3>
 
-                        <div className="form-grid">
-                            <div className="form-group">
-                                <label className="form-label" htmlFor="age">Age</label>
-                                <input
-                                    type="number"
-                                    id="age"
-                                    className="form-input"
-                                    placeholder="Enter your age"
-                                    value={formData.age}
-                                    onChange={(e) => handleFormChange('age', e.target.value)}
-                                    min="1"
-                                    max="120"
-                                />
-                            </div>
+                            <div className="form-grid">
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="age">Age</label>
+                                    <input
+                                        type="number"
+                                        id="age"
+                                        className="form-input"
+                                        placeholder="Enter your age"
+                                        value={formData.age}
+                                        onChange={(e) => handleFormChange('age', e.target.value)}
+                                        min="1"
+                                        max="120"
+                                    />
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="sex">Sex (optional)</label>
+                                    <select
+                                        id="sex"
+                                        className="form-select"
+                                        value={formData.sex}
+                                        onChange={(e) => handleFormChange('sex', e.target.value)}
+                                    >
+                                        <option value="">Prefer not to say</option>
+                                        <option value="female">Female</option>
+                                        <option value="male">Male</option>
+                                    </select>
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label">Smoker</label>
+                                    <div className="toggle-container">
+                                        <label className="toggle-switch">
+                                            <input
+                                                type="checkbox"
+                                                checked={formData.smoker}
+                                                onChange={(e) => handleFormChange('smoker', e.target.checked)}
+                                            />
+                                            <span className="toggle-slider"></span>
+                                        </label>
+                                        <span style={{ color: 'var(--color-text-secondary)' }}>
+                                            {formData.smoker ? 'Yes' : 'No'}
+                                        </span>
+                                    </div>
+                                </div>
+
+                                {!formData.smoker && (
+                                    <div className="form-group">
+                                        <label className="form-label">Never Smoked</label>
+                                        <div className="toggle-container">
+                                            <label className="toggle-switch">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={formData.neverSmoked}
+                                                    onChange={(e) => handleFormChange('neverSmoked', e.target.checked)}
+                                                />
+                                                <span className="toggle-slider"></span>
+                                            </label>
+                                            <span style={{ color: 'var(--color-text-secondary)' }}>
+                                                {formData.neverSmoked ? 'Yes' : 'No'}
+                                            </span>
+                                        </div>
+                                    </div>
+                                )}
+
+                                {formData.smoker && (
+                                    <>
+                                        <div className="form-group">
+                                            <label className="form-label" htmlFor="cigarettesPerDay">Cigarettes per Day</label>
+                                            <input
+                                                type="number"
+                                                id="cigarettesPerDay"
+                                                className="form-input"
+                                                placeholder="Optional"
+                                                value={formData.cigarettesPerDay}
+                                                onChange={(e) => handleFormChange('cigarettesPerDay', e.target.value)}
+                                                min="0"
+                                                max="100"
+                                            />
+                                        </div>
+
+                                        <div className="form-group">
+                                            <label className="form-label" htmlFor="packYears">Pack-Years</label>
+                                            <input
+                                                type="number"
+                                                id="packYears"
+                                                className="form-input"
+                                                placeholder="Packs per day × years smoked"
+                                                value={formData.packYears}
+                                                onChange={(e) => handleFormChange('packYears', e.target.value)}
+                                                min="0"
+                                                max="200"
+                                                step="0.5"
+                                            />
+                                        </div>
+                                    </>
+                                )}
+
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="moderateMinutes">Moderate Activity (min/week)</label>
+                                    <input
+                                        type="number"
+                                        id="moderateMinutes"
+                                        className="form-input"
+                                        placeholder="Brisk walking, cycling, housework"
+                                        value={formData.moderateMinutes}
+                                        onChange={(e) => handleFormChange('moderateMinutes', e.target.value)}
+                                        min="0"
+                                        max="10080"
+                                    />
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="vigorousMinutes">Vigorous Activity (min/week)</label>
+                                    <input
+                                        type="number"
+                                        id="vigorousMinutes"
+                                        className="form-input"
+                                        placeholder="Running, fast cycling, sports"
+                                        value={formData.vigorousMinutes}
+                                        onChange={(e) => handleFormChange('vigorousMinutes', e.target.value)}
+                                        min="0"
+                                        max="10080"
+                                    />
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="diet">Diet Type</label>
+                                    <select
+                                        id="diet"
+                                        className="form-select"
+                                        value={formData.diet}
+                                        onChange={(e) => handleFormChange('diet', e.target.value)}
+                                    >
+                                        <option value="high sugar">High Sugar / Junk Food</option>
+                                        <option value="balanced">Balanced / Mixed</option>
+                                        <option value="healthy">Healthy / Whole Foods</option>
+                                    </select>
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="drinksPerWeek">Alcoholic Drinks per Week</label>
+                                    <input
+                                        type="number"
+                                        id="drinksPerWeek"
+                                        className="form-input"
+                                        placeholder="Standard drinks"
+                                        value={formData.drinksPerWeek}
+                                        onChange={(e) => handleFormChange('drinksPerWeek', e.target.value)}
+                                        min="0"
+                                        max="200"
+                                    />
+                                </div>
 
-                            <div className="form-group">
-                                <label className="form-label">Smoker</label>
-                                <div className="toggle-container">
-                                    <label className="toggle-switch">
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="sleep">Average Sleep (hours)</label>
+                                    <select
+                                        id="sleep"
+                                        className="form-select"
+                                        value={formData.sleep}
+                                        onChange={(e) => handleFormChange('sleep', e.target.value)}
+                                    >
+                                        <option value="4">4 hours or less</option>
+                                        <option value="5">5 hours</option>
+                                        <option value="6">6 hours</option>
+                                        <option value="7">7 hours</option>
+                                        <option value="8">8 hours</option>
+                                        <option value="9">9+ hours</option>
+                                    </select>
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="stressRating">Stress Level (1-10)</label>
+                                    <select
+                                        id="stressRating"
+                                        className="form-select"
+                                        value={formData.stressRating}
+                                        onChange={(e) => handleFormChange('stressRating', e.target.value)}
+                                    >
+                                        {STRESS_RATINGS.map(rating => (
+                                            <option key={rating} value={rating}>
+                                                {rating}{STRESS_RATING_LABELS[rating] ? ` - ${STRESS_RATING_LABELS[rating]}` : ''}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="height">Height</label>
+                                    <div className="measurement-input">
+                                        {formData.heightUnit === 'ft' ? (
+                                            <>
+                                                <input
+                                                    type="number"
+                                                    id="height"
+                                                    className="form-input"
+                                                    placeholder="ft"
+                                                    value={formData.heightFeet}
+                                                    onChange={(e) => handleFormChange('heightFeet', e.target.value)}
+                                                    min="3"
+                                                    max="8"
+                                                />
+                                                <input
+                                                    type="number"
+                                                    className="form-input"
+                                                    placeholder="in"
+                                                    aria-label="Height inches"
+                                                    value={formData.heightInches}
+                                                    onChange={(e) => handleFormChange('heightInches', e.target.value)}
+                                                    min="0"
+                                                    max="11"
+                                                />
+                                            </>
+                                        ) : (
+                                            <input
+                                                type="number"
+                                                id="height"
+                                                className="form-input"
+                                                placeholder="Optional"
+                                                value={formData.height}
+                                                onChange={(e) => handleFormChange('height', e.target.value)}
+                                                min="90"
+                                                max="250"
+                                            />
+                                        )}
+                                        <select
+                                            className="form-select"
+                                            aria-label="Height unit"
+                                            value={formData.heightUnit}
+                                            onChange={(e) => handleFormChange('heightUnit', e.target.value)}
+                                        >
+                                            <option value="cm">cm</option>
+                                            <option value="ft">ft / in</option>
+                                        </select>
+                                    </div>
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="weight">Weight</label>
+                                    <div className="measurement-input">
                                         <input
-                                            type="checkbox"
-                                            checked={formData.smoker}
-                                            onChange={(e) => handleFormChange('smoker', e.target.checked)}
+                                            type="number"
+                                            id="weight"
+                                            className="form-input"
+                                            placeholder="Optional"
+                                            value={formData.weight}
+                                            onChange={(e) => handleFormChange('weight', e.target.value)}
+                                            min="1"
+                                            step="0.1"
                                         />
-                                        <span className="toggle-slider"></span>
-                                    </label>
-                                    <span style={{ color: 'var(--color-text-secondary)' }}>
-                                        {formData.smoker ? 'Yes' : 'No'}
-                                    </span>
+                                        <select
+                                            className="form-select"
+                                            aria-label="Weight unit"
+                                            value={formData.weightUnit}
+                                            onChange={(e) => handleFormChange('weightUnit', e.target.value)}
+                                        >
+                                            <option value="kg">kg</option>
+                                            <option value="lb">lb</option>
+                                        </select>
+                                    </div>
                                 </div>
                             </div>
+                        </div>
 
-                            <div className="form-group">
-                                <label className="form-label" htmlFor="exercise">Exercise Frequency</label>
-                                <select
-                                    id="exercise"
-                                    className="form-select"
-                                    value={formData.exercise}
-                                    onChange={(e) => handleFormChange('exercise', e.target.value)}
-                                >
-                                    <option value="rarely">Rarely / Never</option>
-                                    <option value="sometimes">Sometimes (1-2x/week)</option>
-                                    <option value="regularly">Regularly (3+ times/week)</option>
-                                </select>
-                            </div>
+                        <div className="form-section">
+                            <h3 className="section-title">
+                                <HeartPulse size={20} />
+                                Clinical Measurements (optional)
+                            </h3>
 
-                            <div className="form-group">
-                                <label className="form-label" htmlFor="diet">Diet Type</label>
-                                <select
-                                    id="diet"
-                                    className="form-select"
-                                    value={formData.diet}
-                                    onChange={(e) => handleFormChange('diet', e.target.value)}
-                                >
-                                    <option value="high sugar">High Sugar / Junk Food</option>
-                                    <option value="balanced">Balanced / Mixed</option>
-                                    <option value="healthy">Healthy / Whole Foods</option>
-                                </select>
-                            </div>
+                            <div className="form-grid">
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="systolicBp">Blood Pressure (mmHg)</label>
+                                    <div className="measurement-input">
+                                        <input
+                                            type="number"
+                                            id="systolicBp"
+                                            className="form-input"
+                                            placeholder="Systolic"
+                                            value={formData.systolicBp}
+                                            onChange={(e) => handleFormChange('systolicBp', e.target.value)}
+                                            min="60"
+                                            max="260"
+                                        />
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            placeholder="Diastolic"
+                                            aria-label="Diastolic blood pressure"
+                                            value={formData.diastolicBp}
+                                            onChange={(e) => handleFormChange('diastolicBp', e.target.value)}
+                                            min="30"
+                                            max="160"
+                                        />
+                                    </div>
+                                </div>
 
-                            <div className="form-group">
-                                <label className="form-label" htmlFor="alcohol">Alcohol Consumption</label>
-                                <select
-                                    id="alcohol"
-                                    className="form-select"
-                                    value={formData.alcohol}
-                                    onChange={(e) => handleFormChange('alcohol', e.target.value)}
-                                >
-                                    <option value="rarely">Rarely / Never</option>
-                                    <option value="moderate">Moderate / Social</option>
-                                    <option value="heavy">Heavy / Frequent</option>
-                                </select>
-                            </div>
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="restingHeartRate">Resting Heart Rate (bpm)</label>
+                                    <input
+                                        type="number"
+                                        id="restingHeartRate"
+                                        className="form-input"
+                                        placeholder="Optional"
+                                        value={formData.restingHeartRate}
+                                        onChange={(e) => handleFormChange('restingHeartRate', e.target.value)}
+                                        min="25"
+                                        max="220"
+                                    />
+                                </div>
 
-                            <div className="form-group">
-                                <label className="form-label" htmlFor="sleep">Average Sleep (hours)</label>
-                                <select
-                                    id="sleep"
-                                    className="form-select"
-                                    value={formData.sleep}
-                                    onChange={(e) => handleFormChange('sleep', e.target.value)}
-                                >
-                                    <option value="4">4 hours or less</option>
-                                    <option value="5">5 hours</option>
-                                    <option value="6">6 hours</option>
-                                    <option value="7">7 hours</option>
-                                    <option value="8">8 hours</option>
-                                    <option value="9">9+ hours</option>
-                                </select>
-                            </div>
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="waist">Waist Circumference</label>
+                                    <div className="measurement-input">
+                                        <input
+                                            type="number"
+                                            id="waist"
+                                            className="form-input"
+                                            placeholder="Optional"
+                                            value={formData.waist}
+                                            onChange={(e) => handleFormChange('waist', e.target.value)}
+                                            min="1"
+                                            step="0.1"
+                                        />
+                                        <select
+                                            className="form-select"
+                                            aria-label="Waist unit"
+                                            value={formData.waistUnit}
+                                            onChange={(e) => handleFormChange('waistUnit', e.target.value)}
+                                        >
+                                            <option value="cm">cm</option>
+                                            <option value="in">in</option>
+                                        </select>
+                                    </div>
+                                </div>
 
-                            <div className="form-group">
-                                <label className="form-label" htmlFor="stress">Stress Level</label>
-                                <select
-                                    id="stress"
-                                    className="form-select"
-                                    value={formData.stress}
-                                    onChange={(e) => handleFormChange('stress', e.target.value)}
-                                >
-                                    <option value="low">Low</option>
-                                    <option value="moderate">Moderate</option>
-                                    <option value="high">High</option>
-                                </select>
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="fastingGlucose">Fasting Glucose</label>
+                                    <div className="measurement-input">
+                                        <input
+                                            type="number"
+                                            id="fastingGlucose"
+                                            className="form-input"
+                                            placeholder="Optional"
+                                            value={formData.fastingGlucose}
+                                            onChange={(e) => handleFormChange('fastingGlucose', e.target.value)}
+                                            min="0"
+                                            step="0.1"
+                                        />
+                                        <select
+                                            className="form-select"
+                                            aria-label="Glucose unit"
+                                            value={formData.glucoseUnit}
+                                            onChange={(e) => handleFormChange('glucoseUnit', e.target.value)}
+                                        >
+                                            <option value="mg/dL">mg/dL</option>
+                                            <option value="mmol/L">mmol/L</option>
+                                        </select>
+                                    </div>
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="totalCholesterol">Total Cholesterol</label>
+                                    <div className="measurement-input">
+                                        <input
+                                            type="number"
+                                            id="totalCholesterol"
+                                            className="form-input"
+                                            placeholder="Optional"
+                                            value={formData.totalCholesterol}
+                                            onChange={(e) => handleFormChange('totalCholesterol', e.target.value)}
+                                            min="0"
+                                            step="0.1"
+                                        />
+                                        <select
+                                            className="form-select"
+                                            aria-label="Cholesterol unit"
+                                            value={formData.cholesterolUnit}
+                                            onChange={(e) => handleFormChange('cholesterolUnit', e.target.value)}
+                                        >
+                                            <option value="mg/dL">mg/dL</option>
+                                            <option value="mmol/L">mmol/L</option>
+                                        </select>
+                                    </div>
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label">Family History of Heart Disease</label>
+                                    <div className="toggle-container">
+                                        <label className="toggle-switch">
+                                            <input
+                                                type="checkbox"
+                                                checked={formData.familyHistoryHeartDisease}
+                                                onChange={(e) => handleFormChange('familyHistoryHeartDisease', e.target.checked)}
+                                            />
+                                            <span className="toggle-slider"></span>
+                                        </label>
+                                        <span style={{ color: 'var(--color-text-secondary)' }}>
+                                            {formData.familyHistoryHeartDisease ? 'Yes' : 'No'}
+                                        </span>
+                                    </div>
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label">Family History of Diabetes</label>
+                                    <div className="toggle-container">
+                                        <label className="toggle-switch">
+                                            <input
+                                                type="checkbox"
+                                                checked={formData.familyHistoryDiabetes}
+                                                onChange={(e) => handleFormChange('familyHistoryDiabetes', e.target.checked)}
+                                            />
+                                            <span className="toggle-slider"></span>
+                                        </label>
+                                        <span style={{ color: 'var(--color-text-secondary)' }}>
+                                            {formData.familyHistoryDiabetes ? 'Yes' : 'No'}
+                                        </span>
+                                    </div>
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label">Taking Blood Pressure Medication</label>
+                                    <div className="toggle-container">
+                                        <label className="toggle-switch">
+                                            <input
+                                                type="checkbox"
+                                                checked={formData.bpMedication}
+                                                onChange={(e) => handleFormChange('bpMedication', e.target.checked)}
+                                            />
+                                            <span className="toggle-slider"></span>
+                                        </label>
+                                        <span style={{ color: 'var(--color-text-secondary)' }}>
+                                            {formData.bpMedication ? 'Yes' : 'No'}
+                                        </span>
+                                    </div>
+                                </div>
                             </div>
                         </div>
-                    </div>
+                    </>
                 )}
 
                 {/* JSON Mode */}
@@ -216,7 +639,7 @@ function SurveyForm({ onAnalyze, loading }) {
                         </h3>
                         <div className="form-group">
                             <label className="form-label" htmlFor="json-input">
-                                Enter survey data as JSON
+                                Enter survey data as JSON, or describe yourself in a few sentences
                             </label>
                             <textarea
                                 id="json-input"
@@ -228,7 +651,9 @@ function SurveyForm({ onAnalyze, loading }) {
                             />
                         </div>
                         <p style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>
-                            Supported fields: age, smoker, exercise, diet, alcohol, sleep, stress, bmi
+                            Supported fields: age, smoker, exercise, diet, alcohol, sleep, stress, bmi,
+                            plus optional clinical readings such as blood_pressure ("130/85") and fasting_glucose.
+                            Sentences work too, e.g. "I'm 42, I quit smoking last year, and I walk every day".
                         </p>
                     </div>
                 )}
@@ -245,10 +670,10 @@ function SurveyForm({ onAnalyze, loading }) {
                         {ocrText && (
                             <div className="form-group" style={{ marginTop: '1.5rem' }}>
                                 <label className="form-label">Extracted Text (editable)</label>
-                                <textarea
-                                    className="form-textarea"
+                                <ProvenanceTextArea
                                     value={ocrText}
-                                    onChange={(e) => setOcrText(e.target.value)}
+                                    onChange={setOcrText}
+                                    provenance={provenance}
                                     rows={6}
                                 />
                             </div>
@@ -256,6 +681,19 @@ function SurveyForm({ onAnalyze, loading }) {
                     </div>
                 )}
 
+                {/* Participant ID (stores the result in the participant's history) */}
+                <div className="form-group">
+                    <label className="form-label" htmlFor="subject-id">Participant ID (optional)</label>
+                    <input
+                        type="text"
+                        id="subject-id"
+                        className="form-input"
+                        placeholder="Save this assessment to a participant's history"
+                        value={subjectId}
+                        onChange={(e) => setSubjectId(e.target.value)}
+                    />
+                </div>
+
                 {/* Submit Button */}
                 <button
                     type="submit"
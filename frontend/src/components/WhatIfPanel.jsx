@@ -0,0 +1,171 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FlaskConical, Loader2, TrendingDown, TrendingUp } from 'lucide-react';
+import RiskMeter from './RiskMeter';
+
+// Lifestyle changes offered as toggles; shown only when they differ from the answers
+const WHAT_IF_CHANGES = [
+    {
+        id: 'quit_smoking',
+        label: 'Quit smoking',
+        overrides: { smoker: false },
+        applies: (answers) => answers.smoker === true
+    },
+    {
+        id: 'exercise',
+        label: 'Exercise regularly',
+        overrides: { exercise: 'regularly' },
+        applies: (answers) => answers.exercise !== 'regularly'
+    },
+    {
+        id: 'diet',
+        label: 'Eat a healthy diet',
+        overrides: { diet: 'healthy' },
+        applies: (answers) => answers.diet !== 'healthy'
+    },
+    {
+        id: 'alcohol',
+        label: 'Cut back on alcohol',
+        overrides: { alcohol: 'rarely' },
+        applies: (answers) => answers.alcohol !== undefined && answers.alcohol !== 'rarely'
+    },
+    {
+        id: 'sleep',
+        label: 'Sleep 8 hours a night',
+        overrides: { sleep: 8 },
+        applies: (answers) => typeof answers.sleep === 'number' && (answers.sleep < 7 || answers.sleep > 9)
+    },
+    {
+        id: 'stress',
+        label: 'Lower stress',
+        overrides: { stress: 'low' },
+        applies: (answers) => answers.stress !== undefined && answers.stress !== 'low'
+    },
+    {
+        id: 'weight',
+        label: 'Reach a healthy weight (BMI 24)',
+        overrides: { bmi: 24 },
+        applies: (answers) => typeof answers.bmi === 'number' && answers.bmi >= 25
+    },
+];
+
+function WhatIfPanel({ answers, baselineScore, baselineLevel, onSimulate }) {
+    const [selected, setSelected] = useState([]);
+    const [scenario, setScenario] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const requestId = useRef(0);
+
+    const availableChanges = WHAT_IF_CHANGES.filter(change => change.applies(answers || {}));
+
+    useEffect(() => {
+        if (selected.length === 0) {
+            setScenario(null);
+            setError(null);
+            return;
+        }
+
+        const overrides = WHAT_IF_CHANGES
+            .filter(change => selected.includes(change.id))
+            .reduce((acc, change) => ({ ...acc, ...change.overrides }), {});
+
+        // Ignore responses that arrive after a newer toggle
+        const currentRequest = ++requestId.current;
+        setLoading(true);
+
+        onSimulate(answers, [{ name: 'what-if', overrides }])
+            .then((data) => {
+                if (currentRequest !== requestId.current) return;
+                if (data.status === 'ok') {
+                    setScenario(data.scenarios[0]);
+                    setError(null);
+                } else {
+                    setError(data.reason);
+                }
+            })
+            .catch((err) => {
+                if (currentRequest === requestId.current) {
+                    setError(err.message || 'Unable to run the simulation.');
+                }
+            })
+            .finally(() => {
+                if (currentRequest === requestId.current) {
+                    setLoading(false);
+                }
+            });
+    }, [selected]);
+
+    const toggleChange = (id) => {
+        setSelected(prev => prev.includes(id) ? prev.filter(c => c !== id) : [...prev, id]);
+    };
+
+    if (availableChanges.length === 0) {
+        return null;
+    }
+
+    const score = scenario ? scenario.score : baselineScore;
+    const riskLevel = scenario ? scenario.risk_level : baselineLevel;
+
+    return (
+        <div className="glass-card what-if" style={{ marginTop: '1.5rem' }}>
+            <h3 className="results-section__title">
+                <FlaskConical size={20} />
+                What If You Changed...
+            </h3>
+
+            <div className="what-if__layout">
+                <div className="what-if__toggles">
+                    {availableChanges.map(change => (
+                        <label key={change.id} className="what-if__toggle">
+                            <span className="toggle-switch">
+                                <input
+                                    type="checkbox"
+                                    checked={selected.includes(change.id)}
+                                    onChange={() => toggleChange(change.id)}
+                                />
+                                <span className="toggle-slider"></span>
+                            </span>
+                            <span>{change.label}</span>
+                        </label>
+                    ))}
+                </div>
+
+                <div className="what-if__result">
+                    <RiskMeter score={score} riskLevel={riskLevel} />
+
+                    {loading && (
+                        <p className="what-if__status">
+                            <Loader2 size={14} className="spinner" style={{ display: 'inline-block' }} />
+                            Simulating...
+                        </p>
+                    )}
+
+                    {error && <p className="what-if__status what-if__status--error">{error}</p>}
+
+                    {scenario && !loading && (
+                        <div className="what-if__summary">
+                            <p className={scenario.score_delta <= 0 ? 'what-if__delta--down' : 'what-if__delta--up'}>
+                                {scenario.score_delta <= 0 ? <TrendingDown size={16} /> : <TrendingUp size={16} />}
+                                {scenario.score_delta > 0 ? '+' : ''}{scenario.score_delta} points
+                                {scenario.level_change.changed && (
+                                    <> &middot; {scenario.level_change.from} &rarr; {scenario.level_change.to}</>
+                                )}
+                            </p>
+                            {scenario.factors_removed.length > 0 && (
+                                <p className="what-if__factors">
+                                    Removes: {scenario.factors_removed.join(', ')}
+                                </p>
+                            )}
+                            {scenario.factors_added.length > 0 && (
+                                <p className="what-if__factors">
+                                    Adds: {scenario.factors_added.join(', ')}
+                                </p>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default WhatIfPanel;